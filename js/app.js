@@ -9,6 +9,55 @@
     // UI Elements
     let elements = {};
 
+    // Selected travel profile ID (see TravelProfiles)
+    let travelProfile = TravelProfiles.DEFAULT_PROFILE;
+
+    // Route currently shown: { origin, destination, via, profile, path, segments, stops,
+    //                          steps, distance, duration }
+    let currentRoute = null;
+
+    // Alternative routes offered besides the best one
+    const ROUTE_ALTERNATIVES = 3;
+
+    // Routes to choose from for the trip last calculated: { trip, results, selected }
+    let routeChoices = null;
+
+    // Saved route the shown route is stored as; edits on the map replace it
+    let savedRouteId = null;
+
+    // Avoided areas and roads, expired ones included; routes keep off the others
+    let avoids = [];
+    // Blocked roads the last route found no road for, e.g. after a network rebuild
+    let unmatchedAvoidIds = new Set();
+
+    // Wait after dragging the route before recalculating it
+    const ROUTE_EDIT_DEBOUNCE_MS = 500;
+    let routeEditTimer = null;
+
+    // Step being followed while navigating
+    let navigationStepIndex = 0;
+
+    // Place search under the location inputs
+    const SUGGEST_DEBOUNCE_MS = 200;
+    const MIN_QUERY_LENGTH = 2;
+    const SUGGESTION_ICONS = { street: 'signpost', address: 'home', coordinates: 'pin_drop' };
+    const COORDINATE_FORMATS = {
+        decimal: 'Coordinates',
+        dms: 'Coordinates (DMS)',
+        geo: 'geo: link',
+        pluscode: 'Plus code'
+    };
+
+    // Per input: { timer, requestId, results, active }
+    const suggestionState = new Map();
+
+    // Area downloads
+    const DOWNLOAD_ZOOM_LIMITS = { min: 3, max: 19 }; // Zoom levels the tile layer serves
+    const DEFAULT_DOWNLOAD_ZOOMS = { min: 12, max: 17 };
+
+    // Latest progress of queued and running downloads, by job ID
+    const downloadJobs = new Map();
+
     /**
      * Initialize the application
      */
@@ -30,6 +79,18 @@
         // Initialize cache size display
         updateCacheSize();
 
+        // List downloaded regions and outline them on the map
+        renderRegions();
+
+        // List saved and imported routes
+        renderRoutes();
+
+        // Show bookmarks on the map
+        renderWaypoints();
+
+        // List avoided areas and roads and show them on the map
+        renderAvoids();
+
         console.log('GeoCache initialized successfully');
     }
 
@@ -49,6 +110,13 @@
             // Inputs
             originInput: document.getElementById('originInput'),
             destinationInput: document.getElementById('destinationInput'),
+            originSuggestions: document.getElementById('originSuggestions'),
+            destinationSuggestions: document.getElementById('destinationSuggestions'),
+            profileSelector: document.getElementById('profileSelector'),
+            stopList: document.getElementById('stopList'),
+            addStop: document.getElementById('addStop'),
+            planTrip: document.getElementById('planTrip'),
+            roundTrip: document.getElementById('roundTrip'),
             
             // Buttons
             useCurrentLocation: document.getElementById('useCurrentLocation'),
@@ -56,15 +124,60 @@
             clearRoute: document.getElementById('clearRoute'),
             locateButton: document.getElementById('locateButton'),
             downloadArea: document.getElementById('downloadArea'),
+            importRoadNetwork: document.getElementById('importRoadNetwork'),
+            roadNetworkFile: document.getElementById('roadNetworkFile'),
+            importArchive: document.getElementById('importArchive'),
+            archiveFile: document.getElementById('archiveFile'),
             clearCache: document.getElementById('clearCache'),
             
+            // Route Progress
+            routeProgress: document.getElementById('routeProgress'),
+            routeProgressText: document.getElementById('routeProgressText'),
+            cancelRoute: document.getElementById('cancelRoute'),
+
             // Route Info
             routeInfo: document.getElementById('routeInfo'),
             routeDistance: document.getElementById('routeDistance'),
             routeTime: document.getElementById('routeTime'),
+            routeSteps: document.getElementById('routeSteps'),
+            startNavigation: document.getElementById('startNavigation'),
+            routeAlternatives: document.getElementById('routeAlternatives'),
+
+            // Saved Routes
+            routeList: document.getElementById('routeList'),
+            importRoutes: document.getElementById('importRoutes'),
+            routeFile: document.getElementById('routeFile'),
+            isochroneBands: document.getElementById('isochroneBands'),
+            showReachability: document.getElementById('showReachability'),
+            hideReachability: document.getElementById('hideReachability'),
+            isochroneLegend: document.getElementById('isochroneLegend'),
+            avoidDuration: document.getElementById('avoidDuration'),
+            drawAvoidArea: document.getElementById('drawAvoidArea'),
+            blockRoad: document.getElementById('blockRoad'),
+            avoidList: document.getElementById('avoidList'),
+            exportAvoids: document.getElementById('exportAvoids'),
+            importAvoids: document.getElementById('importAvoids'),
+            avoidFile: document.getElementById('avoidFile'),
+
+            // Navigation Banner
+            navBanner: document.getElementById('navBanner'),
+            navStepIcon: document.getElementById('navStepIcon'),
+            navInstruction: document.getElementById('navInstruction'),
+            navSummary: document.getElementById('navSummary'),
+            stopNavigation: document.getElementById('stopNavigation'),
             
             // Cache Info
             cacheSize: document.getElementById('cacheSize'),
+            tileCacheBudget: document.getElementById('tileCacheBudget'),
+            downloadMinZoom: document.getElementById('downloadMinZoom'),
+            downloadMaxZoom: document.getElementById('downloadMaxZoom'),
+            downloadTileLimit: document.getElementById('downloadTileLimit'),
+            downloadEstimate: document.getElementById('downloadEstimate'),
+            downloadProgress: document.getElementById('downloadProgress'),
+            downloadProgressText: document.getElementById('downloadProgressText'),
+            downloadProgressBar: document.getElementById('downloadProgressBar'),
+            cancelDownload: document.getElementById('cancelDownload'),
+            regionList: document.getElementById('regionList'),
             
             // Toast & Loading
             toast: document.getElementById('toast'),
@@ -81,9 +194,34 @@
             await CacheManager.init();
             console.log('Cache Manager initialized');
 
+            // Restore the saved travel profile
+            const savedProfile = await CacheManager.getPreference('travelProfile');
+            if (savedProfile) {
+                travelProfile = TravelProfiles.get(savedProfile).id;
+            }
+            updateProfileSelector();
+
+            // Restore the area download options
+            await setupDownloadOptions();
+            elements.tileCacheBudget.value = String(await TileStore.getCacheBudget());
+
+            // Keep offline data from being cleared when storage runs low
+            CacheManager.requestPersistence()
+                .catch(error => console.warn('Persistent storage request failed:', error))
+                .finally(updateCacheSize);
+
             // Initialize Map
-            MapManager.init('map');
+            const tileSource = await CacheManager.getPreference('tileSource');
+            const showWaypoints = await CacheManager.getPreference('showWaypoints');
+            MapManager.init('map', {
+                tileSource: tileSource || 'raster',
+                showWaypoints: showWaypoints !== false
+            });
             console.log('Map Manager initialized');
+
+            // Follow region downloads and resume any left from the last visit
+            DownloadService.onProgress(handleDownloadProgress);
+            DownloadService.init();
         } catch (error) {
             console.error('Module initialization error:', error);
             showToast('Error initializing app: ' + error.message);
@@ -97,29 +235,121 @@
         // Toggle panel
         elements.togglePanel.addEventListener('click', togglePanel);
 
+        // Travel profile selector
+        elements.profileSelector.addEventListener('click', (event) => {
+            const option = event.target.closest('.profile-option');
+            if (option) {
+                selectProfile(option.dataset.profile);
+            }
+        });
+
         // Use current location button
         elements.useCurrentLocation.addEventListener('click', useCurrentLocation);
 
+        // Add stop button; the next map click places the stop
+        elements.addStop.addEventListener('click', () => {
+            MapManager.requestStop();
+            showToast('Click the map to add a stop');
+        });
+
+        // Optimize order button; visits the stops in the best order found
+        elements.planTrip.addEventListener('click', planTrip);
+
         // Calculate route button
-        elements.calculateRoute.addEventListener('click', calculateRoute);
+        elements.calculateRoute.addEventListener('click', () => calculateRoute());
 
         // Clear route button
         elements.clearRoute.addEventListener('click', clearRoute);
 
+        // Navigation buttons
+        elements.startNavigation.addEventListener('click', startNavigation);
+        elements.stopNavigation.addEventListener('click', stopNavigation);
+
+        // Cancel route calculation button
+        elements.cancelRoute.addEventListener('click', () => {
+            RouteService.cancel();
+        });
+
+        // Import routes button opens the file picker
+        elements.importRoutes.addEventListener('click', () => {
+            elements.routeFile.click();
+        });
+        elements.routeFile.addEventListener('change', importRoutes);
+
+        // Areas reachable from the origin or current location
+        elements.showReachability.addEventListener('click', showReachability);
+        elements.hideReachability.addEventListener('click', hideReachability);
+
+        // Avoided areas and roads
+        elements.drawAvoidArea.addEventListener('click', drawAvoidArea);
+        elements.blockRoad.addEventListener('click', blockRoad);
+        elements.exportAvoids.addEventListener('click', exportAvoids);
+        elements.importAvoids.addEventListener('click', () => {
+            elements.avoidFile.click();
+        });
+        elements.avoidFile.addEventListener('change', importAvoids);
+
         // Locate button (FAB)
         elements.locateButton.addEventListener('click', () => {
             MapManager.centerOnCurrentLocation();
         });
 
-        // Download area button
+        // Download area button and its options
         elements.downloadArea.addEventListener('click', downloadArea);
+        elements.downloadMinZoom.addEventListener('change', () => changeDownloadZoom('min'));
+        elements.downloadMaxZoom.addEventListener('change', () => changeDownloadZoom('max'));
+        elements.downloadTileLimit.addEventListener('change', changeDownloadTileLimit);
+        elements.cancelDownload.addEventListener('click', cancelActiveDownload);
+        elements.tileCacheBudget.addEventListener('change', changeTileCacheBudget);
+
+        // The download estimate follows the visible area and base map
+        if (MapManager.map) {
+            MapManager.map.on('moveend', updateDownloadEstimate);
+            MapManager.map.on('baselayerchange', changeTileSource);
+
+            // Stops and alternative routes
+            MapManager.map.on('stopschange', renderStops);
+            MapManager.map.on('alternativeselect', event => selectRouteChoice(event.index));
+
+            // Edit the route by dragging its markers, or its line to add a stop
+            MapManager.map.on('routeedit', handleRouteEdit);
+            MapManager.map.on('routedrag', event => insertRouteStop(event.location, event.pathIndex));
+
+            // Bookmark a spot by long-pressing (or right-clicking) the map, or
+            // from a marker's popup
+            MapManager.map.on('contextmenu', event => addWaypoint(event.latlng));
+            MapManager.map.on('bookmarkrequest', event => addWaypoint(event.location, event.name));
+            MapManager.map.on('waypointaction', handleWaypointAction);
+            MapManager.map.on('avoidaction', event => deleteAvoid(event.avoid));
+            MapManager.map.on('overlayadd overlayremove', () => {
+                CacheManager.savePreference('showWaypoints', MapManager.areWaypointsVisible())
+                    .catch(error => console.warn('Failed to save bookmark visibility:', error));
+            });
+        }
+        updateDownloadEstimate();
+
+        // Import road network button opens the file picker
+        elements.importRoadNetwork.addEventListener('click', () => {
+            elements.roadNetworkFile.click();
+        });
+        elements.roadNetworkFile.addEventListener('change', importRoadNetwork);
+
+        // Import map archive button opens the file picker
+        elements.importArchive.addEventListener('click', () => {
+            elements.archiveFile.click();
+        });
+        elements.archiveFile.addEventListener('change', importArchive);
 
         // Clear cache button
         elements.clearCache.addEventListener('click', clearCacheHandler);
 
-        // Input change handlers
-        elements.originInput.addEventListener('input', handleInputChange);
-        elements.destinationInput.addEventListener('input', handleInputChange);
+        // Input change handlers; typing searches offline places
+        [elements.originInput, elements.destinationInput].forEach((input) => {
+            input.addEventListener('input', handleInputChange);
+            input.addEventListener('paste', handlePaste);
+            input.addEventListener('keydown', handleSuggestionKeys);
+            input.addEventListener('blur', () => hideSuggestions(input));
+        });
     }
 
     /**
@@ -129,6 +359,29 @@
         elements.controlPanel.classList.toggle('collapsed');
     }
 
+    /**
+     * Select and persist the travel profile
+     */
+    async function selectProfile(profileId) {
+        travelProfile = TravelProfiles.get(profileId).id;
+        updateProfileSelector();
+
+        try {
+            await CacheManager.savePreference('travelProfile', travelProfile);
+        } catch (error) {
+            console.warn('Failed to save travel profile:', error);
+        }
+    }
+
+    /**
+     * Reflect the selected travel profile in the selector
+     */
+    function updateProfileSelector() {
+        elements.profileSelector.querySelectorAll('.profile-option').forEach((option) => {
+            option.setAttribute('aria-checked', String(option.dataset.profile === travelProfile));
+        });
+    }
+
     /**
      * Use current location as origin
      */
@@ -137,7 +390,7 @@
         
         if (location) {
             MapManager.setOriginMarker(location, 'Current Location');
-            elements.originInput.value = `${location.lat.toFixed(6)}, ${location.lng.toFixed(6)}`;
+            elements.originInput.value = CoordinateParser.formatCoordinates(location);
             showToast('Using current location as origin');
         } else {
             showToast('Current location not available');
@@ -147,8 +400,10 @@
 
     /**
      * Calculate route between origin and destination
+     * @param {Object} options - { edited: recalculating after the route was edited
+     *                            on the map; keeps the view and replaces the saved route }
      */
-    async function calculateRoute() {
+    async function calculateRoute({ edited = false } = {}) {
         const origin = MapManager.getOrigin();
         const destination = MapManager.getDestination();
 
@@ -162,130 +417,1908 @@
             return;
         }
 
-        // Show loading overlay
-        showLoading(true);
+        // A new route replaces the one being navigated
+        if (NavigationManager.isActive()) {
+            stopNavigation();
+        }
+
+        // Show progress without blocking the map; a new request replaces this one
+        showRouteProgress('Calculating route...');
 
         try {
             console.log('Calculating route from', origin, 'to', destination);
 
-            // Calculate route using A* algorithm
-            const result = await Pathfinder.calculateRoute(origin, destination);
+            // Calculate route using A* algorithm in the route worker
+            const via = MapManager.getStops();
+            const result = await RouteService.route(origin, destination, {
+                profile: travelProfile,
+                via: via.map(({ lat, lng }) => ({ lat, lng })),
+                alternatives: ROUTE_ALTERNATIVES,
+                avoid: avoids,
+                onProgress: updateRouteProgress
+            });
 
-            if (result.success) {
-                // Draw route on map
-                MapManager.drawRoute(result.path);
-
-                // Update route info
-                elements.routeDistance.textContent = `Distance: ${result.distanceText}`;
-                elements.routeTime.textContent = `Est. Time: ${result.durationText}`;
-                elements.routeInfo.style.display = 'block';
-
-                // Save route to cache
-                try {
-                    await CacheManager.saveRoute({
-                        origin: origin,
-                        destination: destination,
-                        path: result.path,
-                        distance: result.distance,
-                        duration: result.duration
-                    });
-                    console.log('Route saved to cache');
-                } catch (error) {
-                    console.warn('Failed to save route:', error);
+            // Superseded by a newer request, which keeps the progress row,
+            // or cancelled by the user
+            if (result.cancelled) {
+                if (!RouteService.isBusy()) {
+                    showRouteProgress(null);
                 }
+                return;
+            }
+
+            showRouteProgress(null);
+
+            if (result.success) {
+                routeChoices = {
+                    trip: { origin, destination, via },
+                    results: [result, ...(result.alternatives || [])],
+                    selected: 0
+                };
+                showRouteChoice(!edited);
+
+                const alternatives = routeChoices.results.length - 1;
+                const warning = checkAvoids(result);
+                showToast(`Route ${edited ? 'updated' : 'calculated'}: ${result.distanceText}` +
+                    (alternatives > 0 ? ` (${alternatives} alternative${alternatives > 1 ? 's' : ''})` : '') +
+                    warning, warning ? 6000 : undefined);
 
-                showToast(`Route calculated: ${result.distanceText}`);
+                await saveCurrentRoute({ replace: edited });
             } else {
                 showToast('Could not calculate route: ' + result.error);
             }
         } catch (error) {
+            showRouteProgress(null);
             console.error('Route calculation error:', error);
             showToast('Error calculating route');
-        } finally {
-            showLoading(false);
         }
     }
 
     /**
-     * Clear route and markers
+     * Reorder the stops for the shortest trip and route through them: from the
+     * origin to the destination, or back to the origin for a round trip, where
+     * a destination already set becomes one more stop
      */
-    function clearRoute() {
-        MapManager.clearAll();
-        elements.originInput.value = '';
-        elements.destinationInput.value = '';
-        elements.routeInfo.style.display = 'none';
-        showToast('Route cleared');
+    async function planTrip() {
+        const origin = MapManager.getOrigin();
+        const destination = MapManager.getDestination();
+        const roundTrip = elements.roundTrip.checked;
+
+        if (!origin) {
+            showToast('Please set a starting point (click on map)');
+            return;
+        }
+
+        if (!roundTrip && !destination) {
+            showToast('Please set a destination, or plan a round trip');
+            return;
+        }
+
+        // Places to visit, each with the label it keeps as a stop
+        const places = [
+            { lat: origin.lat, lng: origin.lng, label: MapManager.getOriginLabel() },
+            ...MapManager.getStops()
+        ];
+        if (destination) {
+            places.push({ lat: destination.lat, lng: destination.lng, label: MapManager.getDestinationLabel() });
+        }
+
+        if (NavigationManager.isActive()) {
+            stopNavigation();
+        }
+
+        showRouteProgress('Planning trip...');
+
+        try {
+            const result = await RouteService.planTrip(places.map(({ lat, lng }) => ({ lat, lng })), {
+                profile: travelProfile,
+                roundTrip,
+                avoid: avoids,
+                onProgress: updateRouteProgress
+            });
+
+            if (result.cancelled) {
+                if (!RouteService.isBusy()) {
+                    showRouteProgress(null);
+                }
+                return;
+            }
+
+            showRouteProgress(null);
+
+            if (!result.success) {
+                showToast('Could not plan trip: ' + result.error);
+                return;
+            }
+
+            // The start, and a fixed end, keep their place in the order
+            const via = result.order.slice(1, roundTrip ? undefined : -1).map(index => places[index]);
+            MapManager.setStops(via);
+            if (roundTrip) {
+                MapManager.setDestinationMarker(origin, places[0].label);
+            }
+
+            routeChoices = {
+                trip: { origin, destination: roundTrip ? origin : destination, via },
+                results: [result],
+                selected: 0
+            };
+            showRouteChoice(true);
+            const warning = checkAvoids(result);
+            showToast(`Trip planned: ${via.length} stop${via.length === 1 ? '' : 's'}, ${result.distanceText}${warning}`,
+                warning ? 6000 : undefined);
+
+            await saveCurrentRoute();
+        } catch (error) {
+            showRouteProgress(null);
+            console.error('Trip planning error:', error);
+            showToast('Error planning trip');
+        }
     }
 
     /**
-     * Download current map area for offline use
+     * Recalculate the shown route, shortly after the last edit on the map
      */
-    async function downloadArea() {
-        const bounds = MapManager.getBounds();
-        const zoom = MapManager.getZoom();
+    function scheduleRouteUpdate() {
+        if (!currentRoute || NavigationManager.isActive()) {
+            return;
+        }
 
-        if (!bounds) {
-            showToast('Map not ready');
+        clearTimeout(routeEditTimer);
+        routeEditTimer = setTimeout(() => {
+            routeEditTimer = null;
+            if (currentRoute && !NavigationManager.isActive()) {
+                calculateRoute({ edited: true });
+            }
+        }, ROUTE_EDIT_DEBOUNCE_MS);
+    }
+
+    /**
+     * Show where a dragged end point now is, and update the route
+     * @param {Object} event - { kind: 'origin', 'destination' or 'stop' }
+     */
+    function handleRouteEdit({ kind }) {
+        if (kind === 'origin') {
+            elements.originInput.value = CoordinateParser.formatCoordinates(MapManager.getOrigin());
+        } else if (kind === 'destination') {
+            elements.destinationInput.value = CoordinateParser.formatCoordinates(MapManager.getDestination());
+        }
+
+        scheduleRouteUpdate();
+    }
+
+    /**
+     * Add a stop where the route line was dragged to, between the stops of the
+     * leg it was dragged from, and update the route
+     * @param {Number} pathIndex - Start of the dragged path segment
+     */
+    function insertRouteStop(location, pathIndex) {
+        if (!currentRoute) {
             return;
         }
 
-        showLoading(true);
+        // Stops reached at or before the segment come first
+        const index = currentRoute.stops.filter(stopIndex => stopIndex <= pathIndex).length;
+        MapManager.insertStop(Math.min(index, MapManager.getStops().length), location);
+        scheduleRouteUpdate();
+    }
+
+    /**
+     * Save the route shown; saving the same trip again replaces it
+     * @param {Object} options - { replace: replace the saved route this one was edited from }
+     */
+    async function saveCurrentRoute({ replace = false } = {}) {
+        const { origin, destination } = currentRoute;
 
         try {
-            showToast('Downloading map tiles... This may take a moment.');
-            
-            const result = await CacheManager.downloadArea(bounds, zoom);
-            
-            showToast(`Downloaded ${result.cached} of ${result.total} tiles`);
-            await updateCacheSize();
+            savedRouteId = await CacheManager.saveRoute({
+                origin: origin,
+                destination: destination,
+                via: currentRoute.via,
+                originLabel: MapManager.getOriginLabel() || CoordinateParser.formatCoordinates(origin),
+                destinationLabel: MapManager.getDestinationLabel() || CoordinateParser.formatCoordinates(destination),
+                profile: currentRoute.profile,
+                path: currentRoute.path,
+                stops: currentRoute.stops,
+                steps: currentRoute.steps,
+                distance: currentRoute.distance,
+                duration: currentRoute.duration
+            }, replace ? savedRouteId : null);
+            console.log('Route saved to cache');
+            renderRoutes();
         } catch (error) {
-            console.error('Download area error:', error);
-            showToast('Error downloading area');
-        } finally {
-            showLoading(false);
+            console.warn('Failed to save route:', error);
         }
     }
 
     /**
-     * Clear cache handler
+     * Show the selected route of the last calculation with the others beside it
+     * @param {Boolean} fitBounds - Zoom the map to the route
      */
-    async function clearCacheHandler() {
-        if (!confirm('Are you sure you want to clear all cached data?')) {
+    function showRouteChoice(fitBounds) {
+        const { trip, results, selected } = routeChoices;
+
+        showRoute(trip, results[selected], { fitBounds, color: MapManager.ROUTE_COLORS[selected] });
+        MapManager.showAlternatives(results.map(result => result.path), selected);
+        renderRouteChoices();
+    }
+
+    /**
+     * Switch to another of the calculated routes and save it in place of the previous choice
+     */
+    async function selectRouteChoice(index) {
+        if (!routeChoices || index === routeChoices.selected || NavigationManager.isActive()) {
             return;
         }
 
-        showLoading(true);
+        routeChoices.selected = index;
+        showRouteChoice(false);
+        await saveCurrentRoute();
+    }
 
-        try {
-            await CacheManager.clearCache();
-            await updateCacheSize();
-            showToast('Cache cleared successfully');
-        } catch (error) {
-            console.error('Clear cache error:', error);
-            showToast('Error clearing cache');
-        } finally {
-            showLoading(false);
+    /**
+     * List the calculated routes with their distance and time
+     */
+    function renderRouteChoices() {
+        const results = routeChoices ? routeChoices.results : [];
+
+        // A single route needs no choice
+        if (results.length < 2) {
+            elements.routeAlternatives.replaceChildren();
+            return;
         }
+
+        elements.routeAlternatives.replaceChildren(...results.map((result, index) => {
+            const button = document.createElement('button');
+            button.className = 'route-alternative';
+            button.setAttribute('role', 'radio');
+            button.setAttribute('aria-checked', String(index === routeChoices.selected));
+            button.addEventListener('click', () => selectRouteChoice(index));
+
+            const swatch = document.createElement('span');
+            swatch.className = 'route-swatch';
+            swatch.style.backgroundColor = MapManager.ROUTE_COLORS[index];
+
+            const text = document.createElement('span');
+            text.textContent = `${result.distanceText} · ${result.durationText}`;
+
+            button.append(swatch, text);
+            return button;
+        }));
     }
 
     /**
-     * Update cache size display
+     * Forget the routes to choose from, hiding their lines and list
      */
-    async function updateCacheSize() {
-        try {
-            const size = await CacheManager.getCacheSize();
-            elements.cacheSize.textContent = `Cache: ${size.usage} MB`;
-        } catch (error) {
-            console.error('Error getting cache size:', error);
+    function clearRouteChoices() {
+        routeChoices = null;
+        MapManager.clearAlternatives();
+        renderRouteChoices();
+    }
+
+    /**
+     * Draw a calculated route and show its details in the route panel
+     * @param {Object} trip - { origin, destination, via: [{ lat, lng, label }] }
+     * @param {Object} options - { fitBounds: zoom the map to the route, color: line color }
+     * @returns {Object} - The route, which becomes currentRoute
+     */
+    function showRoute(trip, result, { fitBounds = true, color } = {}) {
+        MapManager.drawRoute(result.path, color, fitBounds);
+
+        const stops = result.stops || [];
+        currentRoute = {
+            origin: trip.origin,
+            destination: trip.destination,
+            via: trip.via || [],
+            profile: result.profile,
+            path: result.path,
+            segments: result.segments,
+            stops,
+            steps: RouteInstructions.generate(result.path, result.segments, stops),
+            distance: result.distance,
+            duration: result.duration
+        };
+
+        elements.routeDistance.textContent = `Distance: ${result.distanceText}`;
+        elements.routeTime.textContent = `Est. Time: ${result.durationText}`;
+        renderSteps(currentRoute.steps);
+        elements.routeInfo.style.display = 'block';
+
+        return currentRoute;
+    }
+
+    /**
+     * Start live navigation along the current route
+     */
+    function startNavigation() {
+        if (!currentRoute) {
+            showToast('Calculate a route first');
+            return;
+        }
+
+        const started = NavigationManager.start(currentRoute, {
+            onUpdate: updateNavigationBanner,
+            onReroute: rerouteFrom,
+            onArrive: () => {
+                stopNavigation();
+                showToast('You have arrived');
+            },
+            onStop: (message) => {
+                stopNavigation();
+                showToast(message);
+            }
+        });
+
+        if (!started) {
+            return;
+        }
+
+        // The route being followed is the one kept
+        navigationStepIndex = 0;
+        clearRouteChoices();
+        MapManager.setRouteEditing(false);
+
+        elements.navInstruction.textContent = 'Waiting for GPS...';
+        elements.navSummary.textContent = '';
+        elements.navStepIcon.textContent = 'navigation';
+        elements.navBanner.style.display = 'flex';
+        elements.controlPanel.classList.add('collapsed');
+    }
+
+    /**
+     * Stop live navigation
+     */
+    function stopNavigation() {
+        NavigationManager.stop();
+        MapManager.setRouteEditing(true);
+        elements.navBanner.style.display = 'none';
+        highlightStep(-1);
+    }
+
+    /**
+     * Show navigation progress in the banner
+     */
+    function updateNavigationBanner(state) {
+        const { nextStep } = state;
+
+        elements.navStepIcon.textContent = state.offRoute ? 'wrong_location' : nextStep.icon;
+        elements.navInstruction.textContent = state.offRoute
+            ? 'Off route'
+            : RouteInstructions.describe(nextStep, state.distanceToNextStep);
+        elements.navSummary.textContent =
+            `${RouteInstructions.formatDistance(state.remainingDistance)} · ${state.remainingMinutes} min left`;
+
+        navigationStepIndex = state.stepIndex;
+        highlightStep(state.stepIndex);
+        MapManager.panTo(state.location);
+    }
+
+    /**
+     * Calculate a new route from the user's position to the current destination
+     * through the stops not reached yet
+     * @returns {Object|null} - The new route, or null if none was found
+     */
+    async function rerouteFrom(location) {
+        showToast('Off route. Recalculating...');
+
+        // A stop's step becomes the current one once it is passed
+        const via = currentRoute.steps
+            .filter((step, index) => step.type === 'via' && index > navigationStepIndex)
+            .map(step => currentRoute.via[step.stop]);
+
+        const result = await RouteService.route(location, currentRoute.destination, {
+            profile: currentRoute.profile,
+            via: via.map(({ lat, lng }) => ({ lat, lng })),
+            avoid: avoids
+        });
+
+        if (!result.success) {
+            if (!result.cancelled) {
+                showToast('Could not reroute: ' + result.error);
+            }
+            return null;
+        }
+
+        checkAvoids(result);
+        return showRoute({ origin: location, destination: currentRoute.destination, via }, result, { fitBounds: false });
+    }
+
+    /**
+     * Mark the step being followed in the route panel
+     */
+    function highlightStep(stepIndex) {
+        Array.from(elements.routeSteps.children).forEach((item, index) => {
+            item.classList.toggle('active', index === stepIndex);
+        });
+    }
+
+    /**
+     * Render turn-by-turn steps in the route panel
+     */
+    function renderSteps(steps) {
+        elements.routeSteps.replaceChildren(...steps.map((step) => {
+            const item = document.createElement('li');
+            item.className = 'route-step';
+
+            const icon = document.createElement('span');
+            icon.className = 'material-icons';
+            icon.textContent = step.icon;
+
+            const text = document.createElement('span');
+            text.className = 'route-step-text';
+            text.textContent = step.text;
+
+            item.append(icon, text);
+
+            if (step.type !== 'arrive') {
+                const distance = document.createElement('span');
+                distance.className = 'route-step-distance';
+                distance.textContent = RouteInstructions.formatDistance(step.distance);
+                item.append(distance);
+            }
+
+            return item;
+        }));
+    }
+
+    /**
+     * Update the route progress text from a worker progress message
+     */
+    function updateRouteProgress(progress) {
+        if (progress.stage === 'loading-graph') {
+            showRouteProgress('Loading road network...');
+        } else if (progress.stage === 'matrix') {
+            showRouteProgress(`Measuring travel times (${progress.done + 1}/${progress.total})...`);
+        } else if (progress.stage === 'searching') {
+            const expanded = progress.expanded ? ` (${progress.expanded.toLocaleString()} nodes)` : '';
+            showRouteProgress(`Searching route${expanded}...`);
+        }
+    }
+
+    /**
+     * Show route progress text, or hide the progress row when text is null
+     */
+    function showRouteProgress(text) {
+        if (text === null) {
+            elements.routeProgress.style.display = 'none';
+            return;
         }
+
+        elements.routeProgressText.textContent = text;
+        elements.routeProgress.style.display = 'flex';
+    }
+
+    /**
+     * Clear route and markers
+     */
+    function clearRoute() {
+        stopNavigation();
+        currentRoute = null;
+        savedRouteId = null;
+        clearTimeout(routeEditTimer);
+        clearRouteChoices();
+        RouteService.cancel();
+        showRouteProgress(null);
+        MapManager.clearAll();
+        elements.isochroneLegend.replaceChildren();
+        elements.originInput.value = '';
+        elements.destinationInput.value = '';
+        elements.routeInfo.style.display = 'none';
+        elements.routeSteps.replaceChildren();
+        showToast('Route cleared');
     }
 
     /**
-     * Handle input changes
+     * List the intermediate stops; drag them (or use Alt+arrow keys) to reorder
      */
-    function handleInputChange() {
-        // In a real app, you might implement geocoding here
-        // For now, we rely on map clicks to set coordinates
+    function renderStops() {
+        const stops = MapManager.getStops();
+        let dragIndex = null;
+
+        elements.stopList.replaceChildren(...stops.map((stop, index) => {
+            const label = stop.label || CoordinateParser.formatCoordinates(stop);
+            const item = document.createElement('li');
+            item.className = 'stop-item';
+            item.draggable = true;
+            item.tabIndex = 0;
+            item.setAttribute('aria-label', `Stop ${index + 1}: ${label}. Alt and arrow keys move it.`);
+
+            item.addEventListener('dragstart', (event) => {
+                dragIndex = index;
+                event.dataTransfer.effectAllowed = 'move';
+                item.classList.add('dragging');
+            });
+            item.addEventListener('dragend', () => item.classList.remove('dragging'));
+            item.addEventListener('dragover', (event) => {
+                if (dragIndex !== null && dragIndex !== index) {
+                    event.preventDefault();
+                    item.classList.add('drop-target');
+                }
+            });
+            item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+            item.addEventListener('drop', (event) => {
+                event.preventDefault();
+                MapManager.moveStop(dragIndex, index);
+            });
+            item.addEventListener('keydown', (event) => {
+                const target = index + (event.key === 'ArrowUp' ? -1 : event.key === 'ArrowDown' ? 1 : 0);
+                if (event.altKey && target !== index && target >= 0 && target < stops.length) {
+                    event.preventDefault();
+                    MapManager.moveStop(index, target);
+                    elements.stopList.children[target].focus();
+                }
+            });
+
+            const handle = document.createElement('span');
+            handle.className = 'material-icons';
+            handle.textContent = 'drag_indicator';
+
+            const text = document.createElement('span');
+            text.className = 'stop-label';
+            text.textContent = `${index + 1}. ${label}`;
+
+            const remove = createIconButton('close', `Remove stop ${index + 1}`);
+            remove.addEventListener('click', () => MapManager.removeStop(index));
+
+            item.append(handle, text, remove);
+            return item;
+        }));
+    }
+
+    /**
+     * List saved and imported routes, pinned ones first, then newest first
+     */
+    async function renderRoutes() {
+        let routes;
+        try {
+            routes = await CacheManager.getRoutes();
+        } catch (error) {
+            console.error('Error loading routes:', error);
+            return;
+        }
+
+        routes.sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || b.timestamp - a.timestamp);
+
+        elements.routeList.replaceChildren(...routes.map((route) => {
+            const name = RouteFormats.getRouteName(route);
+            const item = document.createElement('li');
+            item.className = 'route-item';
+            item.classList.toggle('pinned', Boolean(route.pinned));
+
+            // Name and summary; clicking shows the route
+            const text = document.createElement('button');
+            text.className = 'route-text';
+            text.title = 'Show route';
+            text.addEventListener('click', () => showSavedRoute(route));
+
+            const nameElement = document.createElement('span');
+            nameElement.className = 'route-name';
+            nameElement.textContent = name;
+
+            text.append(nameElement);
+
+            // Named routes also show where they go
+            if (route.name && route.originLabel) {
+                const ends = document.createElement('span');
+                ends.className = 'route-meta';
+                ends.textContent = `${route.originLabel} → ${route.destinationLabel}`;
+                text.append(ends);
+            }
+
+            const profile = TravelProfiles.get(route.profile);
+            const meta = document.createElement('span');
+            meta.className = 'route-meta';
+            const stopCount = route.via ? route.via.length : 0;
+            meta.textContent = `${route.duplicate ? 'Older copy · ' : ''}${route.imported ? 'Imported · ' : ''}${profile.label} · ` +
+                (stopCount > 0 ? `${stopCount} stop${stopCount > 1 ? 's' : ''} · ` : '') +
+                `${formatDistance(route.distance)} · ${formatDuration(route.duration)} · ` +
+                `${new Date(route.timestamp).toLocaleDateString()}`;
+
+            text.append(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'route-actions';
+
+            const pin = createIconButton('push_pin', route.pinned ? `Unpin ${name}` : `Pin ${name}`);
+            pin.setAttribute('aria-pressed', String(Boolean(route.pinned)));
+            pin.addEventListener('click', () => updateSavedRoute(route, { pinned: !route.pinned }));
+
+            const rename = createIconButton('edit', `Rename ${name}`);
+            rename.addEventListener('click', () => renameRoute(route));
+
+            const gpx = createIconButton('route', `Export ${name} as GPX`);
+            gpx.addEventListener('click', () => exportRoute(route, 'gpx'));
+
+            const geoJson = createIconButton('data_object', `Export ${name} as GeoJSON`);
+            geoJson.addEventListener('click', () => exportRoute(route, 'geojson'));
+
+            const remove = createIconButton('delete', `Delete ${name}`);
+            remove.addEventListener('click', () => deleteRoute(route));
+
+            actions.append(pin, rename, gpx, geoJson, remove);
+            item.append(text, actions);
+            return item;
+        }));
+    }
+
+    /**
+     * Draw a saved route and show its details in the route panel
+     */
+    function showSavedRoute(route) {
+        if (NavigationManager.isActive()) {
+            stopNavigation();
+        }
+
+        clearRouteChoices();
+        savedRouteId = route.imported ? null : route.id;
+        MapManager.setOriginMarker(route.origin, route.originLabel);
+        MapManager.setDestinationMarker(route.destination, route.destinationLabel);
+        MapManager.setStops(route.via || []);
+        MapManager.drawRoute(route.path);
+
+        currentRoute = {
+            origin: route.origin,
+            destination: route.destination,
+            via: route.via || [],
+            profile: route.profile,
+            path: route.path,
+            segments: [],
+            stops: route.stops || [],
+            steps: route.steps || RouteInstructions.generate(route.path, [], route.stops),
+            distance: route.distance,
+            duration: route.duration
+        };
+
+        elements.originInput.value = route.originLabel || CoordinateParser.formatCoordinates(route.origin);
+        elements.destinationInput.value = route.destinationLabel || CoordinateParser.formatCoordinates(route.destination);
+        elements.routeDistance.textContent = `Distance: ${formatDistance(route.distance)}`;
+        elements.routeTime.textContent = `Est. Time: ${formatDuration(route.duration)}`;
+        renderSteps(currentRoute.steps);
+        elements.routeInfo.style.display = 'block';
+    }
+
+    /**
+     * Save changes to a saved route and list it again
+     */
+    async function updateSavedRoute(route, changes) {
+        try {
+            await CacheManager.updateRoute(route.id, changes);
+            await renderRoutes();
+        } catch (error) {
+            console.error('Update route error:', error);
+            showToast('Error updating route');
+        }
+    }
+
+    /**
+     * Ask for a new name for a saved route; an empty name restores the default
+     */
+    async function renameRoute(route) {
+        const name = prompt('Route name', RouteFormats.getRouteName(route));
+        if (name === null) {
+            return;
+        }
+
+        await updateSavedRoute(route, { name: name.trim() || null });
+    }
+
+    /**
+     * Delete a saved route
+     */
+    async function deleteRoute(route) {
+        const name = RouteFormats.getRouteName(route);
+        if (!confirm(`Delete the saved route "${name}"?`)) {
+            return;
+        }
+
+        try {
+            await CacheManager.deleteRoute(route.id);
+            if (route.id === savedRouteId) {
+                savedRouteId = null;
+            }
+            showToast(`Deleted ${name}`);
+            await renderRoutes();
+        } catch (error) {
+            console.error('Delete route error:', error);
+            showToast('Error deleting route');
+        }
+    }
+
+    /**
+     * Save a route as a GPX or GeoJSON file
+     * @param {String} format - 'gpx' or 'geojson'
+     */
+    function exportRoute(route, format) {
+        const content = format === 'gpx' ? RouteFormats.toGpx(route) : RouteFormats.toGeoJson(route);
+        const type = format === 'gpx' ? 'application/gpx+xml' : 'application/geo+json';
+        const basename = RouteFormats.getRouteName(route).replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'route';
+
+        downloadFile(content, type, `${basename}.${format}`);
+    }
+
+    /**
+     * Offer text as a file download
+     */
+    function downloadFile(content, type, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Import the tracks of a GPX, GeoJSON or KML file as saved routes
+     */
+    async function importRoutes(event) {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            const tracks = RouteFormats.parse(await file.text());
+            const fallbackName = file.name.replace(/\.[^.]+$/, '');
+
+            const routes = tracks.map((track, index) => RouteFormats.toRoute({
+                ...track,
+                name: track.name || (tracks.length > 1 ? `${fallbackName} ${index + 1}` : fallbackName)
+            }, travelProfile));
+
+            for (const route of routes) {
+                await CacheManager.saveRoute(route);
+            }
+
+            showSavedRoute(routes[0]);
+            showToast(routes.length === 1
+                ? `Imported ${routes[0].name}`
+                : `Imported ${routes.length} routes`);
+            await renderRoutes();
+        } catch (error) {
+            console.error('Route import error:', error);
+            showToast('Could not import routes: ' + error.message);
+        } finally {
+            // Allow picking the same file again
+            event.target.value = '';
+        }
+    }
+
+    /**
+     * Fill the areas reachable from the origin, or else the current location,
+     * within the chosen times or distances for the selected travel profile
+     */
+    async function showReachability() {
+        const origin = MapManager.getOrigin() || MapManager.currentLocation;
+        if (!origin) {
+            showToast('Set a starting point or allow location access');
+            return;
+        }
+
+        // Preset values look like "minutes:5,10,15"
+        const [unit, values] = elements.isochroneBands.value.split(':');
+        const bands = values.split(',').map(Number);
+        const describe = value => unit === 'km' ? `${value} km` : `${value} min`;
+
+        showRouteProgress('Measuring reach...');
+
+        try {
+            const result = await RouteService.isochrones(origin, {
+                profile: travelProfile,
+                bands,
+                unit,
+                avoid: avoids,
+                onProgress: (progress) => {
+                    if (progress.stage === 'searching') {
+                        showRouteProgress('Measuring reach...');
+                    } else {
+                        updateRouteProgress(progress);
+                    }
+                }
+            });
+
+            if (result.cancelled) {
+                if (!RouteService.isBusy()) {
+                    showRouteProgress(null);
+                }
+                return;
+            }
+
+            showRouteProgress(null);
+
+            if (!result.success) {
+                showToast('Could not measure reach: ' + result.error);
+                return;
+            }
+
+            MapManager.showIsochrones(result.bands, value => `Within ${describe(value)}`);
+
+            elements.isochroneLegend.replaceChildren(...result.bands.map((band, index) => {
+                const color = MapManager.ISOCHRONE_COLORS[index];
+                const swatch = document.createElement('span');
+                swatch.className = 'isochrone-swatch';
+                swatch.style.borderColor = color;
+                swatch.style.backgroundColor = `${color}33`;
+
+                const item = document.createElement('span');
+                item.append(swatch, describe(band.value));
+                return item;
+            }));
+
+            const warning = checkAvoids(result);
+            showToast(`${TravelProfiles.get(result.profile).label} reach shown${warning}`, warning ? 6000 : undefined);
+        } catch (error) {
+            showRouteProgress(null);
+            console.error('Reachability error:', error);
+            showToast('Error measuring reach');
+        }
+    }
+
+    /**
+     * Remove the reachability areas from the map
+     */
+    function hideReachability() {
+        MapManager.clearIsochrones();
+        elements.isochroneLegend.replaceChildren();
+    }
+
+    /**
+     * List avoided areas and roads and show them on the map
+     */
+    async function renderAvoids() {
+        try {
+            avoids = await CacheManager.getAvoids();
+        } catch (error) {
+            console.error('Error loading avoided areas:', error);
+            return;
+        }
+
+        MapManager.showAvoids(avoids);
+
+        const now = Date.now();
+        elements.avoidList.replaceChildren(...avoids.map((avoid) => {
+            const name = avoid.name || (avoid.type === 'area' ? 'Avoided area' : 'Blocked road');
+            const item = document.createElement('li');
+            item.className = 'avoid-item';
+            item.classList.toggle('expired', Boolean(avoid.expires && avoid.expires <= now));
+            item.classList.toggle('unmatched', unmatchedAvoidIds.has(avoid.id));
+
+            const text = document.createElement('div');
+            text.className = 'avoid-text';
+
+            const nameElement = document.createElement('span');
+            nameElement.className = 'route-name';
+            nameElement.textContent = name;
+
+            const meta = document.createElement('span');
+            meta.className = 'route-meta';
+            meta.textContent = `${avoid.type === 'area' ? 'Area' : 'Road'} · ` + (!avoid.expires ? 'until deleted'
+                : avoid.expires <= now ? 'expired'
+                : `until ${new Date(avoid.expires).toLocaleString()}`) +
+                (unmatchedAvoidIds.has(avoid.id) ? ' · no longer matches a road' : '');
+
+            text.append(nameElement, meta);
+
+            const remove = createIconButton('delete', `Delete ${name}`);
+            remove.addEventListener('click', () => deleteAvoid(avoid));
+
+            item.append(text, remove);
+            return item;
+        }));
+    }
+
+    /**
+     * Mark the blocked roads a route result found no road for, which happens
+     * when the road network was rebuilt or a shared block is from other data
+     * @returns {string} - Warning naming them for the route's message, or ''
+     */
+    function checkAvoids(result) {
+        const ids = result.unmatchedAvoids || [];
+        const changed = ids.length !== unmatchedAvoidIds.size || ids.some(id => !unmatchedAvoidIds.has(id));
+        unmatchedAvoidIds = new Set(ids);
+        if (changed) {
+            renderAvoids();
+        }
+
+        const names = avoids
+            .filter(avoid => unmatchedAvoidIds.has(avoid.id))
+            .map(avoid => avoid.name || 'Blocked road');
+        return names.length > 0 ? `. Not blocked, no longer matches a road: ${names.join(', ')}` : '';
+    }
+
+    /**
+     * Draw an area on the map for routes to avoid
+     */
+    async function drawAvoidArea() {
+        showToast('Click the corners of the area; double-click to finish', 5000);
+
+        const polygon = await MapManager.drawArea();
+        if (!polygon) {
+            return;
+        }
+
+        const name = prompt('Name for this area (optional):', '');
+        if (name === null) {
+            return;
+        }
+
+        await saveAvoid({ type: 'area', polygon, name: name.trim() || null });
+    }
+
+    /**
+     * Tap a road on the map to mark it blocked
+     */
+    async function blockRoad() {
+        showToast('Tap the road to block');
+
+        const location = await MapManager.pickLocation();
+        if (!location) {
+            return;
+        }
+
+        const result = await RouteService.findRoadSegment(location);
+        if (!result.success) {
+            showToast('Could not block road: ' + result.error);
+            return;
+        }
+
+        const name = prompt('Name for this blocked road (optional):', result.name || '');
+        if (name === null) {
+            return;
+        }
+
+        await saveAvoid({ type: 'road', from: result.from, to: result.to, name: name.trim() || null });
+    }
+
+    /**
+     * Save an avoided area or road for the time chosen, and reroute around it
+     */
+    async function saveAvoid(avoid) {
+        const hours = parseFloat(elements.avoidDuration.value);
+        const expires = hours > 0 ? Date.now() + hours * 60 * 60 * 1000 : null;
+
+        try {
+            await CacheManager.saveAvoids([{ ...avoid, expires }]);
+            await renderAvoids();
+            showToast(avoid.type === 'area' ? 'Area avoided' : 'Road blocked');
+            scheduleRouteUpdate();
+        } catch (error) {
+            console.error('Save avoided area error:', error);
+            showToast('Error saving avoided area');
+        }
+    }
+
+    /**
+     * Delete an avoided area or road after confirming
+     */
+    async function deleteAvoid(avoid) {
+        const name = avoid.name || (avoid.type === 'area' ? 'this avoided area' : 'this blocked road');
+        if (!confirm(`Delete ${name}?`)) {
+            return;
+        }
+
+        try {
+            await CacheManager.deleteAvoid(avoid.id);
+            await renderAvoids();
+            scheduleRouteUpdate();
+        } catch (error) {
+            console.error('Delete avoided area error:', error);
+            showToast('Error deleting avoided area');
+        }
+    }
+
+    /**
+     * Save the avoided areas and roads as a GeoJSON file to share
+     */
+    function exportAvoids() {
+        if (avoids.length === 0) {
+            showToast('Nothing to export yet');
+            return;
+        }
+
+        downloadFile(RouteFormats.avoidsToGeoJson(avoids), 'application/geo+json', 'avoided-areas.geojson');
+    }
+
+    /**
+     * Add the areas and roads of a shared GeoJSON file
+     */
+    async function importAvoids(event) {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            const imported = RouteFormats.parseAvoids(await file.text());
+            await CacheManager.saveAvoids(imported);
+            await renderAvoids();
+            const areas = imported.filter(avoid => avoid.type === 'area').length;
+            const roads = imported.length - areas;
+            showToast(`Imported ${areas} area${areas === 1 ? '' : 's'} and ${roads} road${roads === 1 ? '' : 's'} to avoid`);
+            scheduleRouteUpdate();
+        } catch (error) {
+            console.error('Avoided areas import error:', error);
+            showToast('Could not import avoided areas: ' + error.message);
+        } finally {
+            // Allow picking the same file again
+            event.target.value = '';
+        }
+    }
+
+    /**
+     * Show the saved bookmarks on the map
+     */
+    async function renderWaypoints() {
+        try {
+            MapManager.showWaypoints(await CacheManager.getWaypoints());
+        } catch (error) {
+            console.error('Error loading bookmarks:', error);
+        }
+    }
+
+    /**
+     * Ask for the details of a new bookmark and save it
+     * @param {String} name - Suggested name
+     */
+    async function addWaypoint(location, name = null) {
+        const { lat, lng } = location;
+        const waypoint = await MapManager.editWaypoint({ lat, lng, name, category: null, notes: '' });
+        if (!waypoint) {
+            return;
+        }
+
+        try {
+            const now = Date.now();
+            await CacheManager.saveWaypoint({
+                ...waypoint,
+                coordinates: [lat, lng],
+                createdAt: now,
+                updatedAt: now
+            });
+            showToast(`Bookmarked ${waypoint.name}`);
+            await renderWaypoints();
+        } catch (error) {
+            console.error('Save bookmark error:', error);
+            showToast('Error saving bookmark');
+        }
+    }
+
+    /**
+     * Act on a button of a bookmark's popup
+     */
+    async function handleWaypointAction({ action, waypoint }) {
+        const location = { lat: waypoint.lat, lng: waypoint.lng };
+
+        if (action === 'origin') {
+            MapManager.setOriginMarker(location, waypoint.name);
+            elements.originInput.value = waypoint.name;
+        } else if (action === 'destination') {
+            MapManager.setDestinationMarker(location, waypoint.name);
+            elements.destinationInput.value = waypoint.name;
+        } else if (action === 'stop') {
+            MapManager.addStop(location, waypoint.name);
+        } else if (action === 'edit') {
+            await editWaypoint(waypoint);
+        } else if (action === 'delete') {
+            await deleteWaypoint(waypoint);
+        }
+    }
+
+    /**
+     * Change a bookmark's name, category and notes
+     */
+    async function editWaypoint(waypoint) {
+        const edited = await MapManager.editWaypoint(waypoint);
+        if (!edited) {
+            return;
+        }
+
+        try {
+            await CacheManager.updateWaypoint(waypoint.id, {
+                name: edited.name,
+                category: edited.category,
+                notes: edited.notes,
+                updatedAt: Date.now()
+            });
+            await renderWaypoints();
+        } catch (error) {
+            console.error('Update bookmark error:', error);
+            showToast('Error updating bookmark');
+        }
+    }
+
+    /**
+     * Delete a bookmark
+     */
+    async function deleteWaypoint(waypoint) {
+        if (!confirm(`Delete the bookmark "${waypoint.name}"?`)) {
+            return;
+        }
+
+        try {
+            await CacheManager.deleteWaypoint(waypoint.id);
+            showToast(`Deleted ${waypoint.name}`);
+            await renderWaypoints();
+        } catch (error) {
+            console.error('Delete bookmark error:', error);
+            showToast('Error deleting bookmark');
+        }
+    }
+
+    /**
+     * Format a distance in km the way route results are
+     */
+    function formatDistance(distanceKm) {
+        return distanceKm < 1
+            ? `${Math.round(distanceKm * 1000)} m`
+            : `${distanceKm.toFixed(2)} km`;
+    }
+
+    /**
+     * Format a duration in minutes the way route results are
+     */
+    function formatDuration(minutes) {
+        return minutes < 60
+            ? `${minutes} min`
+            : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
+    /**
+     * Fill the download zoom selectors and restore the saved options
+     */
+    async function setupDownloadOptions() {
+        for (let zoom = DOWNLOAD_ZOOM_LIMITS.min; zoom <= DOWNLOAD_ZOOM_LIMITS.max; zoom++) {
+            elements.downloadMinZoom.add(new Option(String(zoom), String(zoom)));
+            elements.downloadMaxZoom.add(new Option(String(zoom), String(zoom)));
+        }
+
+        const zooms = await CacheManager.getPreference('downloadZooms') || DEFAULT_DOWNLOAD_ZOOMS;
+        const tileLimit = await CacheManager.getPreference('downloadTileLimit') || CacheManager.DEFAULT_MAX_DOWNLOAD_TILES;
+
+        elements.downloadMinZoom.value = String(zooms.min);
+        elements.downloadMaxZoom.value = String(zooms.max);
+        elements.downloadTileLimit.value = String(tileLimit);
+    }
+
+    /**
+     * Get the selected download options
+     * @returns {Object} - { minZoom, maxZoom, tileLimit }
+     */
+    function getDownloadOptions() {
+        return {
+            minZoom: Number(elements.downloadMinZoom.value),
+            maxZoom: Number(elements.downloadMaxZoom.value),
+            tileLimit: Number(elements.downloadTileLimit.value) || CacheManager.DEFAULT_MAX_DOWNLOAD_TILES
+        };
+    }
+
+    /**
+     * What downloading the visible area fetches: the selected options for the
+     * base map's tile source, with the zoom range cut to the levels it has
+     * @returns {Object} - { minZoom, maxZoom, tileLimit, source }
+     */
+    function getDownloadPlan() {
+        const options = getDownloadOptions();
+        const source = MapManager.getTileSource();
+        const maxZoom = Math.min(options.maxZoom, TileStore.getMaxZoom(source));
+
+        return {
+            minZoom: Math.min(options.minZoom, maxZoom),
+            maxZoom,
+            tileLimit: options.tileLimit,
+            source
+        };
+    }
+
+    /**
+     * Persist the base map choice; downloads fetch tiles for it
+     */
+    async function changeTileSource() {
+        updateDownloadEstimate();
+
+        try {
+            await CacheManager.savePreference('tileSource', MapManager.getTileSource());
+        } catch (error) {
+            console.warn('Failed to save base map:', error);
+        }
+    }
+
+    /**
+     * Keep the zoom range ordered after one end changes, and persist it
+     * @param {String} changed - 'min' or 'max'
+     */
+    async function changeDownloadZoom(changed) {
+        const { minZoom, maxZoom } = getDownloadOptions();
+
+        if (minZoom > maxZoom) {
+            if (changed === 'min') {
+                elements.downloadMaxZoom.value = String(minZoom);
+            } else {
+                elements.downloadMinZoom.value = String(maxZoom);
+            }
+        }
+
+        updateDownloadEstimate();
+
+        try {
+            const zooms = getDownloadOptions();
+            await CacheManager.savePreference('downloadZooms', { min: zooms.minZoom, max: zooms.maxZoom });
+        } catch (error) {
+            console.warn('Failed to save download zoom range:', error);
+        }
+    }
+
+    /**
+     * Persist the download tile limit
+     */
+    async function changeDownloadTileLimit() {
+        const limit = Math.floor(Number(elements.downloadTileLimit.value));
+
+        if (!(limit > 0)) {
+            elements.downloadTileLimit.value = String(CacheManager.DEFAULT_MAX_DOWNLOAD_TILES);
+        } else {
+            elements.downloadTileLimit.value = String(limit);
+        }
+
+        updateDownloadEstimate();
+
+        try {
+            await CacheManager.savePreference('downloadTileLimit', getDownloadOptions().tileLimit);
+        } catch (error) {
+            console.warn('Failed to save download tile limit:', error);
+        }
+    }
+
+    /**
+     * Show the tile count and size of downloading the visible area
+     */
+    function updateDownloadEstimate() {
+        const bounds = MapManager.getBounds();
+        if (!bounds) {
+            return;
+        }
+
+        const { minZoom, maxZoom, tileLimit, source } = getDownloadPlan();
+        const estimate = CacheManager.estimateDownload(bounds, minZoom, maxZoom, source);
+        const overLimit = estimate.tiles > tileLimit;
+
+        let text = `${estimate.tiles.toLocaleString()} ${source === 'vector' ? 'vector ' : ''}tiles, ` +
+            `about ${formatBytes(estimate.bytes)}`;
+        if (overLimit) {
+            text += ` (over the ${tileLimit.toLocaleString()} tile limit)`;
+        }
+
+        elements.downloadEstimate.textContent = text;
+        elements.downloadEstimate.classList.toggle('over-limit', overLimit);
+    }
+
+    /**
+     * Format a byte count for display
+     */
+    function formatBytes(bytes) {
+        if (bytes < 1024 * 1024) {
+            return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        }
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Download current map area for offline use
+     */
+    async function downloadArea() {
+        const bounds = MapManager.getBounds();
+
+        if (!bounds) {
+            showToast('Map not ready');
+            return;
+        }
+
+        const { minZoom, maxZoom, tileLimit, source } = getDownloadPlan();
+        const estimate = CacheManager.estimateDownload(bounds, minZoom, maxZoom, source);
+
+        if (estimate.tiles > tileLimit) {
+            showToast(`This area needs ${estimate.tiles.toLocaleString()} tiles, over the limit of ${tileLimit.toLocaleString()}. Zoom in or narrow the zoom range.`);
+            return;
+        }
+
+        const regions = await CacheManager.getRegions();
+        const name = prompt(
+            `Download ${estimate.tiles.toLocaleString()} ${source === 'vector' ? 'vector ' : ''}tiles (about ${formatBytes(estimate.bytes)}) for zoom ${minZoom}-${maxZoom}.\n\nRegion name:`,
+            `Region ${regions.length + 1}`
+        );
+
+        if (name === null) {
+            return;
+        }
+
+        try {
+            const { region } = await DownloadService.downloadArea(bounds, minZoom, maxZoom, tileLimit, name.trim() || null, source);
+            showToast(`Queued ${region.name} for download`);
+            await renderRegions();
+        } catch (error) {
+            console.error('Download area error:', error);
+            showToast('Error downloading area');
+        }
+    }
+
+    /**
+     * Track region download progress and report finished jobs
+     * @param {Object} progress - See DownloadQueue.subscribe
+     */
+    function handleDownloadProgress(progress) {
+        switch (progress.status) {
+            case 'queued':
+            case 'running':
+                downloadJobs.set(progress.id, progress);
+                break;
+            case 'done':
+                downloadJobs.delete(progress.id);
+                showToast(`Downloaded ${progress.name}: ${progress.completed} of ${progress.total} tiles${describeRoadDownload(progress.graph)}`);
+                updateCacheSize();
+                renderRegions();
+                break;
+            case 'cancelled':
+                downloadJobs.delete(progress.id);
+                showToast(`Cancelled download of ${progress.name}`);
+                renderRegions();
+                break;
+            case 'failed':
+                downloadJobs.delete(progress.id);
+                showToast(`Download of ${progress.name} failed: ${progress.error}`);
+                renderRegions();
+                break;
+        }
+
+        renderDownloadProgress();
+    }
+
+    /**
+     * The download to show in the progress bar: the running one, else the oldest queued
+     */
+    function getActiveDownload() {
+        const jobs = Array.from(downloadJobs.values());
+        return jobs.find(job => job.status === 'running') || jobs[0] || null;
+    }
+
+    /**
+     * Show progress of the active download and how many are waiting
+     */
+    function renderDownloadProgress() {
+        const active = getActiveDownload();
+        elements.downloadProgress.hidden = !active;
+
+        if (!active) {
+            return;
+        }
+
+        const waiting = downloadJobs.size - 1;
+        const state = active.status === 'running'
+            ? `${active.done.toLocaleString()} / ${active.total.toLocaleString()} tiles`
+            : 'waiting';
+
+        elements.downloadProgressText.textContent = `${active.name}: ${state}` +
+            (waiting > 0 ? ` (${waiting} more queued)` : '');
+        elements.downloadProgressBar.value = active.total > 0 ? active.done / active.total : 0;
+    }
+
+    /**
+     * Cancel the download shown in the progress bar
+     */
+    async function cancelActiveDownload() {
+        const active = getActiveDownload();
+        if (active) {
+            await cancelDownloads(job => job.id === active.id);
+        }
+    }
+
+    /**
+     * Cancel the queued and running downloads that match a filter
+     */
+    async function cancelDownloads(filter) {
+        const jobs = Array.from(downloadJobs.values()).filter(filter);
+
+        try {
+            await Promise.all(jobs.map(job => DownloadService.cancel(job.id)));
+        } catch (error) {
+            console.error('Cancel download error:', error);
+        }
+    }
+
+    /**
+     * Describe the road network part of a region download for a toast
+     */
+    function describeRoadDownload(graph) {
+        return graph
+            ? `, ${graph.edges} road segments, ${graph.places} places`
+            : ' (road network unavailable)';
+    }
+
+    /**
+     * List downloaded regions in the panel and outline them on the map
+     */
+    async function renderRegions() {
+        let regions;
+        try {
+            regions = await CacheManager.getRegions();
+        } catch (error) {
+            console.error('Error loading regions:', error);
+            return;
+        }
+
+        elements.regionList.replaceChildren(...regions.map((region) => {
+            const item = document.createElement('li');
+            item.className = 'region-item';
+
+            // Name and usage; clicking zooms to the region
+            const text = document.createElement('button');
+            text.className = 'region-text';
+            text.title = 'Show region';
+            text.addEventListener('click', () => MapManager.fitBounds(region.bounds));
+
+            const name = document.createElement('span');
+            name.className = 'region-name';
+            name.textContent = region.name;
+
+            const meta = document.createElement('span');
+            meta.className = 'region-meta';
+            meta.textContent = `${region.imported ? 'Imported · ' : ''}${region.source === 'vector' ? 'Vector · ' : ''}` +
+                `Zoom ${region.minZoom}-${region.maxZoom} · ` +
+                `${region.tileCount.toLocaleString()} tiles · ${formatBytes(region.bytes)} · ` +
+                `updated ${new Date(region.updatedAt).toLocaleDateString()}`;
+
+            text.append(name, meta);
+
+            item.append(text);
+
+            // Imported tiles come from their archive, not the tile servers
+            if (!region.imported) {
+                const refresh = createIconButton('refresh', `Refresh ${region.name}`);
+                refresh.addEventListener('click', () => refreshRegion(region));
+                item.append(refresh);
+            }
+
+            const exportButton = createIconButton('save_alt', `Export ${region.name}`);
+            exportButton.addEventListener('click', () => exportRegion(region));
+
+            const remove = createIconButton('delete', `Delete ${region.name}`);
+            remove.addEventListener('click', () => deleteRegion(region));
+
+            item.append(exportButton, remove);
+            return item;
+        }));
+
+        MapManager.showRegions(regions);
+    }
+
+    /**
+     * Create a small icon button
+     */
+    function createIconButton(icon, label) {
+        const button = document.createElement('button');
+        button.className = 'icon-button-small';
+        button.setAttribute('aria-label', label);
+        button.title = label;
+
+        const iconElement = document.createElement('span');
+        iconElement.className = 'material-icons';
+        iconElement.textContent = icon;
+
+        button.append(iconElement);
+        return button;
+    }
+
+    /**
+     * Re-download a region's stale tiles and road network
+     */
+    async function refreshRegion(region) {
+        try {
+            await DownloadService.refreshRegion(region.id, getDownloadOptions().tileLimit);
+            showToast(`Queued ${region.name} for refresh`);
+        } catch (error) {
+            console.error('Refresh region error:', error);
+            showToast('Could not refresh region: ' + error.message);
+        }
+    }
+
+    /**
+     * Delete a region's data, keeping tiles other regions still use
+     */
+    async function deleteRegion(region) {
+        if (!confirm(`Delete the offline data of "${region.name}"? Tiles other regions use are kept.`)) {
+            return;
+        }
+
+        try {
+            // Stop downloads that would add tiles back to the region
+            await cancelDownloads(job => job.regionId === region.id);
+            await CacheManager.deleteRegion(region.id);
+            showToast(`Deleted ${region.name}`);
+            await updateCacheSize();
+            await renderRegions();
+        } catch (error) {
+            console.error('Delete region error:', error);
+            showToast('Error deleting region');
+        }
+    }
+
+    /**
+     * Save a region's tiles as a PMTiles file
+     */
+    async function exportRegion(region) {
+        showLoading(true);
+
+        try {
+            const { blob, filename } = await TileArchives.exportRegion(region.id);
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        } catch (error) {
+            console.error('Export region error:', error);
+            showToast('Could not export region: ' + error.message);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    /**
+     * Import a local MBTiles or PMTiles file as a region
+     */
+    async function importArchive(event) {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        showLoading(true);
+
+        try {
+            const { region, tiles } = await TileArchives.importFile(file);
+            const hint = region.source !== MapManager.getTileSource()
+                ? ` Switch to the ${region.source === 'vector' ? 'vector' : 'standard'} map to see it.`
+                : '';
+            showToast(`Imported ${tiles.toLocaleString()} tiles as ${region.name}.${hint}`, 5000);
+            MapManager.fitBounds(region.bounds);
+            await updateCacheSize();
+            await renderRegions();
+        } catch (error) {
+            console.error('Map archive import error:', error);
+            showToast('Could not import map archive: ' + error.message);
+        } finally {
+            // Allow picking the same file again
+            event.target.value = '';
+            showLoading(false);
+        }
+    }
+
+    /**
+     * Import a road network from a local OSM file
+     */
+    async function importRoadNetwork(event) {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        showLoading(true);
+
+        try {
+            // Parsing and graph building happen in the route worker
+            const stats = await RouteService.loadGraph({ source: 'osm', text: await file.text() });
+            showToast(`Imported ${stats.edges} road segments and ${stats.places} places`);
+        } catch (error) {
+            console.error('Road network import error:', error);
+            showToast('Could not import road network: ' + error.message);
+        } finally {
+            // Allow picking the same file again
+            event.target.value = '';
+            showLoading(false);
+        }
+    }
+
+    /**
+     * Clear cache handler
+     */
+    async function clearCacheHandler() {
+        if (!confirm('Clear all offline maps and road networks? Saved routes, bookmarks and avoided areas are kept.')) {
+            return;
+        }
+
+        showLoading(true);
+
+        try {
+            await cancelDownloads(() => true);
+            await CacheManager.clearCache();
+            await updateCacheSize();
+            await renderRegions();
+            showToast('Cache cleared successfully');
+        } catch (error) {
+            console.error('Clear cache error:', error);
+            showToast('Error clearing cache');
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    /**
+     * Update cache size display
+     */
+    async function updateCacheSize() {
+        try {
+            const size = await CacheManager.getCacheSize();
+            elements.cacheSize.textContent = `Cache: ${size.usage} of ${size.quota} MB · ` +
+                (size.persisted ? 'persistent' : 'may be cleared by the browser');
+            elements.cacheSize.title = size.persisted
+                ? 'The browser keeps offline data even when storage runs low'
+                : 'The browser may clear offline data when storage runs low';
+        } catch (error) {
+            console.error('Error getting cache size:', error);
+        }
+    }
+
+    /**
+     * Save the browsing cache limit and evict tiles over it
+     */
+    async function changeTileCacheBudget() {
+        const budget = Math.floor(Number(elements.tileCacheBudget.value));
+
+        if (!(budget >= 10)) {
+            elements.tileCacheBudget.value = String(await TileStore.getCacheBudget());
+            return;
+        }
+
+        elements.tileCacheBudget.value = String(budget);
+
+        try {
+            await CacheManager.savePreference('tileCacheBudget', budget);
+            const result = await TileStore.evict();
+            if (result.evicted > 0) {
+                showToast(`Removed ${result.evicted} least recently used tiles`);
+            }
+            await updateCacheSize();
+        } catch (error) {
+            console.error('Tile cache limit error:', error);
+            showToast('Error applying cache limit');
+        }
+    }
+
+    /**
+     * Handle input changes: search offline places once typing pauses
+     */
+    function handleInputChange(event) {
+        const input = event.target;
+        const state = getSuggestionState(input);
+        const query = input.value.trim();
+
+        clearTimeout(state.timer);
+
+        if (query.length < MIN_QUERY_LENGTH) {
+            hideSuggestions(input);
+            return;
+        }
+
+        state.timer = setTimeout(() => searchPlaces(input, query), SUGGEST_DEBOUNCE_MS);
+    }
+
+    /**
+     * Place the marker straight away when coordinates are pasted
+     */
+    function handlePaste(event) {
+        const input = event.target;
+
+        // Let the pasted text land in the input first
+        setTimeout(async () => {
+            const coordinates = await parseCoordinates(input.value);
+            if (coordinates) {
+                pickSuggestion(input, coordinates);
+            }
+        }, 0);
+    }
+
+    /**
+     * Parse typed coordinates, a geo: link or a plus code as a suggestion
+     * @returns {Object|null} - Suggestion for the location, or null
+     */
+    async function parseCoordinates(text) {
+        const center = MapManager.getCenter();
+        let result = CoordinateParser.parse(text, center);
+
+        // Short plus code followed by a town: complete it near that town
+        if (result && result.locality) {
+            const [place] = await Geocoder.search(result.locality, { near: center, limit: 1 });
+            if (place) {
+                result = CoordinateParser.parse(text, place);
+            }
+        }
+
+        if (!result) {
+            return null;
+        }
+
+        return {
+            id: 'coordinates',
+            name: result.label,
+            type: 'coordinates',
+            detail: COORDINATE_FORMATS[result.format],
+            lat: result.lat,
+            lng: result.lng
+        };
+    }
+
+    /**
+     * Search places for an input and show the matches under it
+     */
+    async function searchPlaces(input, query) {
+        const state = getSuggestionState(input);
+        const requestId = ++state.requestId;
+
+        try {
+            // Coordinates are shown on their own rather than searched as names
+            const coordinates = await parseCoordinates(query);
+            const results = coordinates
+                ? [coordinates]
+                : await Geocoder.search(query, { near: MapManager.getCenter() });
+
+            // Superseded by newer typing
+            if (requestId !== state.requestId) {
+                return;
+            }
+
+            renderSuggestions(input, results);
+        } catch (error) {
+            console.error('Place search error:', error);
+        }
+    }
+
+    /**
+     * Get the suggestion state of an input
+     */
+    function getSuggestionState(input) {
+        if (!suggestionState.has(input)) {
+            suggestionState.set(input, { timer: null, requestId: 0, results: [], active: -1 });
+        }
+        return suggestionState.get(input);
+    }
+
+    /**
+     * Get the suggestion list shown under an input
+     */
+    function getSuggestionList(input) {
+        return input === elements.originInput ? elements.originSuggestions : elements.destinationSuggestions;
+    }
+
+    /**
+     * Render place suggestions under an input
+     */
+    function renderSuggestions(input, results) {
+        const state = getSuggestionState(input);
+        const list = getSuggestionList(input);
+
+        state.results = results;
+        state.active = -1;
+
+        if (results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'suggestion-empty';
+            empty.textContent = 'No offline places found. Download an area to search it.';
+            list.replaceChildren(empty);
+        } else {
+            list.replaceChildren(...results.map((place, index) => {
+                const item = document.createElement('li');
+                item.className = 'suggestion';
+                item.id = `${list.id}-${index}`;
+                item.setAttribute('role', 'option');
+
+                const icon = document.createElement('span');
+                icon.className = 'material-icons';
+                icon.textContent = SUGGESTION_ICONS[place.type] || 'place';
+
+                const text = document.createElement('span');
+                text.className = 'suggestion-text';
+
+                const name = document.createElement('span');
+                name.className = 'suggestion-name';
+                name.textContent = place.name;
+
+                const detail = document.createElement('span');
+                detail.className = 'suggestion-detail';
+                detail.textContent = place.detail;
+
+                text.append(name, detail);
+                item.append(icon, text);
+
+                // mousedown fires before the input loses focus and hides the list
+                item.addEventListener('mousedown', (event) => {
+                    event.preventDefault();
+                    pickSuggestion(input, place);
+                });
+
+                return item;
+            }));
+        }
+
+        list.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Keyboard navigation in the suggestion list
+     */
+    function handleSuggestionKeys(event) {
+        const input = event.target;
+        const state = getSuggestionState(input);
+
+        if (getSuggestionList(input).hidden || state.results.length === 0) {
+            return;
+        }
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            const count = state.results.length;
+            setActiveSuggestion(input, (state.active + step + count) % count);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            pickSuggestion(input, state.results[Math.max(state.active, 0)]);
+        } else if (event.key === 'Escape') {
+            hideSuggestions(input);
+        }
+    }
+
+    /**
+     * Highlight a suggestion for keyboard selection
+     */
+    function setActiveSuggestion(input, index) {
+        const state = getSuggestionState(input);
+        const items = getSuggestionList(input).querySelectorAll('.suggestion');
+
+        state.active = index;
+        items.forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            item.setAttribute('aria-selected', String(i === index));
+        });
+
+        items[index].scrollIntoView({ block: 'nearest' });
+        input.setAttribute('aria-activedescendant', items[index].id);
+    }
+
+    /**
+     * Use a suggested place as origin or destination
+     */
+    function pickSuggestion(input, place) {
+        const location = { lat: place.lat, lng: place.lng };
+
+        input.value = place.name;
+        hideSuggestions(input);
+
+        if (input === elements.originInput) {
+            MapManager.setOriginMarker(location, place.name);
+        } else {
+            MapManager.setDestinationMarker(location, place.name);
+        }
+
+        MapManager.panTo(location);
+    }
+
+    /**
+     * Hide the suggestion list of an input
+     */
+    function hideSuggestions(input) {
+        const state = getSuggestionState(input);
+        const list = getSuggestionList(input);
+
+        // Drop the results of a search still running
+        clearTimeout(state.timer);
+        state.requestId++;
+        state.results = [];
+        state.active = -1;
+
+        list.hidden = true;
+        list.replaceChildren();
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
     }
 
     /**
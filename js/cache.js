@@ -5,14 +5,23 @@
 
 const CacheManager = (function() {
     const DB_NAME = 'GeoCacheDB';
-    const DB_VERSION = 1;
+    const DB_VERSION = 9;
     const STORES = {
         TILES: 'map_tiles',
         ROUTES: 'routes',
         WAYPOINTS: 'waypoints',
-        PREFERENCES: 'preferences'
+        PREFERENCES: 'preferences',
+        GRAPH_PACKS: 'graph_packs',
+        PLACES: 'places',
+        REGIONS: 'regions',
+        DOWNLOAD_JOBS: 'download_jobs',
+        AVOIDS: 'avoids'
     };
-    const TILE_DOWNLOAD_DELAY_MS = 100; // Delay between tile downloads to avoid overwhelming the server
+    const DEFAULT_MAX_DOWNLOAD_TILES = 5000; // OSM's tile servers are not meant for bulk fetching
+    // Typical tile sizes: OSM raster PNGs, and Shortbread vector tiles, which
+    // are larger but make every deeper zoom level unnecessary
+    const ESTIMATED_TILE_BYTES = { raster: 20 * 1024, vector: 40 * 1024 };
+    const MAX_MERCATOR_LAT = 85.05112878; // Web Mercator cuts off the poles here
 
     let db = null;
 
@@ -30,6 +39,14 @@ const CacheManager = (function() {
 
             request.onsuccess = () => {
                 db = request.result;
+
+                // The page and service worker share the database; let a newer
+                // version of either upgrade it and reopen on next use
+                db.onversionchange = () => {
+                    db.close();
+                    db = null;
+                };
+
                 console.log('IndexedDB initialized successfully');
                 resolve(db);
             };
@@ -57,6 +74,95 @@ const CacheManager = (function() {
                     db.createObjectStore(STORES.PREFERENCES, { keyPath: 'key' });
                 }
 
+                // Added in version 2: routing graphs for downloaded areas
+                if (!db.objectStoreNames.contains(STORES.GRAPH_PACKS)) {
+                    const packsStore = db.createObjectStore(STORES.GRAPH_PACKS, { keyPath: 'id', autoIncrement: true });
+                    packsStore.createIndex('bounds', ['south', 'west', 'north', 'east'], { unique: false });
+                }
+
+                // Added in version 3: searchable places for offline geocoding
+                if (!db.objectStoreNames.contains(STORES.PLACES)) {
+                    const placesStore = db.createObjectStore(STORES.PLACES, { keyPath: 'id' });
+                    placesStore.createIndex('tokens', 'tokens', { unique: false, multiEntry: true });
+                }
+
+                // Added in version 4: named download regions; tiles and places
+                // list the regions that use them
+                if (!db.objectStoreNames.contains(STORES.REGIONS)) {
+                    db.createObjectStore(STORES.REGIONS, { keyPath: 'id', autoIncrement: true });
+                }
+
+                [STORES.TILES, STORES.PLACES].forEach((name) => {
+                    const store = event.target.transaction.objectStore(name);
+                    if (!store.indexNames.contains('regions')) {
+                        store.createIndex('regions', 'regions', { unique: false, multiEntry: true });
+                    }
+                });
+
+                // Added in version 5: persisted tile download queue
+                if (!db.objectStoreNames.contains(STORES.DOWNLOAD_JOBS)) {
+                    db.createObjectStore(STORES.DOWNLOAD_JOBS, { keyPath: 'id', autoIncrement: true });
+                }
+
+                // Added in version 6: last use of each tile for LRU eviction
+                // (existing tiles are filled in by version 9)
+                const tilesStore = event.target.transaction.objectStore(STORES.TILES);
+                if (!tilesStore.indexNames.contains('accessedAt')) {
+                    tilesStore.createIndex('accessedAt', 'accessedAt', { unique: false });
+                }
+
+                // Added in version 7: routes keyed by profile and end points so
+                // a recalculated route replaces the saved one; the newest of
+                // existing duplicates takes the key and older ones are kept,
+                // flagged as duplicates, for the user to delete
+                const routesStore = event.target.transaction.objectStore(STORES.ROUTES);
+                if (!routesStore.indexNames.contains('key')) {
+                    routesStore.createIndex('key', 'key', { unique: false });
+
+                    const seen = new Set();
+                    routesStore.index('timestamp').openCursor(null, 'prev').onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) {
+                            return;
+                        }
+
+                        const key = getRouteKey(cursor.value);
+                        if (seen.has(key)) {
+                            cursor.update({ ...cursor.value, duplicate: true });
+                        } else {
+                            seen.add(key);
+                            cursor.update({ ...cursor.value, key });
+                        }
+                        cursor.continue();
+                    };
+                }
+
+                // Added in version 8: areas and road segments routes avoid
+                if (!db.objectStoreNames.contains(STORES.AVOIDS)) {
+                    db.createObjectStore(STORES.AVOIDS, { keyPath: 'id', autoIncrement: true });
+                }
+
+                // Added in version 9: tiles no region holds, by last use and
+                // size, so eviction never loads a tile; existing tiles count
+                // as used when they were saved
+                if (!tilesStore.indexNames.contains('evictable')) {
+                    tilesStore.createIndex('evictable', ['evictableAt', 'size'], { unique: false });
+
+                    tilesStore.openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) {
+                            return;
+                        }
+
+                        const tile = cursor.value;
+                        if (tile.accessedAt === undefined) {
+                            tile.accessedAt = tile.timestamp;
+                        }
+                        cursor.update(indexTile(tile));
+                        cursor.continue();
+                    };
+                }
+
                 console.log('IndexedDB schema created');
             };
         });
@@ -64,27 +170,115 @@ const CacheManager = (function() {
 
     /**
      * Save a map tile to cache
+     * Tiles are keyed by canonical URL; go through TileStore, which normalizes them
+     * @param {Number} regionId - Region the tile is downloaded for, if any;
+     *                            without one the tile is marked as browsed
      */
-    async function saveTile(url, blob) {
+    async function saveTile(url, blob, regionId = null) {
         if (!db) await init();
 
         return new Promise((resolve, reject) => {
             const transaction = db.transaction([STORES.TILES], 'readwrite');
             const store = transaction.objectStore(STORES.TILES);
+            const request = store.get(url);
 
-            const data = {
-                url: url,
-                blob: blob,
-                timestamp: Date.now()
+            // Keep the regions that already use the tile
+            request.onsuccess = () => {
+                const now = Date.now();
+                const data = {
+                    url: url,
+                    blob: blob,
+                    timestamp: now,
+                    accessedAt: now,
+                    regions: addRegion(request.result && request.result.regions, regionId),
+                    browsed: isBrowsed(request.result, regionId)
+                };
+
+                store.put(indexTile(data));
             };
 
-            const request = store.put(data);
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
 
-            request.onsuccess = () => resolve(true);
+    /**
+     * Save many map tiles in one transaction
+     * @param {Array} tiles - [{ url, blob }] with canonical URLs
+     * @param {Number} regionId - Region the tiles belong to, if any
+     */
+    async function saveTiles(tiles, regionId = null) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.TILES], 'readwrite');
+            const store = transaction.objectStore(STORES.TILES);
+            const now = Date.now();
+
+            for (const tile of tiles) {
+                const request = store.get(tile.url);
+                request.onsuccess = () => {
+                    store.put(indexTile({
+                        url: tile.url,
+                        blob: tile.blob,
+                        timestamp: now,
+                        accessedAt: now,
+                        regions: addRegion(request.result && request.result.regions, regionId),
+                        browsed: isBrowsed(request.result, regionId)
+                    }));
+                };
+            }
+
+            transaction.oncomplete = () => resolve(tiles.length);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get the URLs of every cached tile a region uses, without loading the tiles
+     * @returns {Array} - Tile URLs
+     */
+    async function getRegionTileUrls(regionId) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.TILES], 'readonly');
+            const index = transaction.objectStore(STORES.TILES).index('regions');
+            const request = index.getAllKeys(IDBKeyRange.only(regionId));
+
+            request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
+    /**
+     * Mark a cached tile as used by a region
+     * @returns {Object|undefined} - The tile record, or undefined if the tile is not cached
+     */
+    async function claimTile(url, regionId) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.TILES], 'readwrite');
+            const store = transaction.objectStore(STORES.TILES);
+            const request = store.get(url);
+            let record;
+
+            request.onsuccess = () => {
+                record = request.result;
+                if (record && !(record.regions || []).includes(regionId)) {
+                    // Tiles saved before browsing was recorded came from it if no region had them
+                    record.browsed = record.browsed || !record.regions || record.regions.length === 0;
+                    record.regions = addRegion(record.regions, regionId);
+                    store.put(indexTile(record));
+                }
+            };
+
+            transaction.oncomplete = () => resolve(record);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     /**
      * Get a cached tile
      */
@@ -101,28 +295,183 @@ const CacheManager = (function() {
         });
     }
 
+    /**
+     * Record that a cached tile was used, for LRU eviction
+     */
+    async function touchTile(url) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.TILES], 'readwrite');
+            const store = transaction.objectStore(STORES.TILES);
+            const request = store.get(url);
+
+            request.onsuccess = () => {
+                if (request.result) {
+                    request.result.accessedAt = Date.now();
+                    store.put(indexTile(request.result));
+                }
+            };
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete the least recently used tiles until those cached while browsing
+     * fit in a size budget; tiles of downloaded regions are never evicted
+     * and don't count against the budget
+     * Walks keys of the evictable index only, so no tile is loaded
+     * @param {Number} maxBytes - Budget for tiles outside any region
+     * @returns {Object} - { evicted: tiles deleted, bytes: bytes freed }
+     */
+    async function evictTiles(maxBytes) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.TILES], 'readwrite');
+            const store = transaction.objectStore(STORES.TILES);
+            const request = store.index('evictable').openKeyCursor(null, 'prev');
+            const result = { evicted: 0, bytes: 0 };
+            let kept = 0;
+            let full = false;
+
+            // Newest first: keep tiles until the budget runs out, then delete
+            // every older one
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    return;
+                }
+
+                const [, size] = cursor.key;
+                if (!full && kept + size <= maxBytes) {
+                    kept += size;
+                } else {
+                    full = true;
+                    store.delete(cursor.primaryKey);
+                    result.evicted++;
+                    result.bytes += size;
+                }
+
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     /**
      * Save a route
+     * A route with the same profile and stops (or the same imported track)
+     * replaces the saved one and keeps its name and pin; duplicates kept from
+     * before routes had keys are left alone unless one is replaceId
+     * @param {Number|null} replaceId - Saved route this is an edit of; it is
+     *                                  replaced too, keeping its name and pin
+     * @returns {Number} - Route ID
      */
-    async function saveRoute(route) {
+    async function saveRoute(route, replaceId = null) {
         if (!db) await init();
 
         return new Promise((resolve, reject) => {
             const transaction = db.transaction([STORES.ROUTES], 'readwrite');
             const store = transaction.objectStore(STORES.ROUTES);
-
+            const key = getRouteKey(route);
             const data = {
+                name: null,
+                pinned: false,
                 ...route,
+                key,
                 timestamp: Date.now()
             };
 
-            const request = store.add(data);
+            const put = (existing) => {
+                if (existing) {
+                    data.id = existing.id;
+                    data.name = existing.name || data.name;
+                    data.pinned = existing.pinned || false;
+                }
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
+                const request = store.put(data);
+                request.onsuccess = () => resolve(request.result);
+            };
+
+            const lookup = store.index('key').get(key);
+            lookup.onsuccess = () => {
+                const existing = lookup.result;
+
+                if (replaceId === null || (existing && existing.id === replaceId)) {
+                    put(existing);
+                } else if (existing) {
+                    // The edit matches another saved route, which takes its place
+                    store.delete(replaceId);
+                    put(existing);
+                } else {
+                    const replaced = store.get(replaceId);
+                    replaced.onsuccess = () => put(replaced.result);
+                }
+            };
+
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Change fields of a saved route, such as its name or pin
+     * @returns {Object} - The updated route
+     */
+    async function updateRoute(id, changes) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.ROUTES], 'readwrite');
+            const store = transaction.objectStore(STORES.ROUTES);
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                if (!request.result) {
+                    reject(new Error('Route not found'));
+                    return;
+                }
+
+                const route = { ...request.result, ...changes, id };
+                store.put(route).onsuccess = () => resolve(route);
+            };
+
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete a saved route
+     */
+    async function deleteRoute(id) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.ROUTES], 'readwrite');
+            transaction.objectStore(STORES.ROUTES).delete(id);
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 
+    /**
+     * Identity of a route for replacing earlier copies: calculated routes by
+     * profile and stops, imported tracks also by their shape
+     */
+    function getRouteKey(route) {
+        const point = location => `${location.lat.toFixed(5)},${location.lng.toFixed(5)}`;
+        const ends = [route.origin, ...(route.via || []), route.destination].map(point).join('>');
+
+        return route.imported
+            ? `track:${ends}:${route.path.length}:${Math.round(route.distance * 1000)}`
+            : `route:${route.profile}:${ends}`;
+    }
+
     /**
      * Get all saved routes
      */
@@ -172,6 +521,102 @@ const CacheManager = (function() {
         });
     }
 
+    /**
+     * Change fields of a waypoint, such as its name, category or notes
+     * @returns {Object} - The updated waypoint
+     */
+    async function updateWaypoint(id, changes) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.WAYPOINTS], 'readwrite');
+            const store = transaction.objectStore(STORES.WAYPOINTS);
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                if (!request.result) {
+                    reject(new Error('Waypoint not found'));
+                    return;
+                }
+
+                const waypoint = { ...request.result, ...changes, id };
+                store.put(waypoint).onsuccess = () => resolve(waypoint);
+            };
+
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete a waypoint
+     */
+    async function deleteWaypoint(id) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.WAYPOINTS], 'readwrite');
+            transaction.objectStore(STORES.WAYPOINTS).delete(id);
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Save areas or road segments for routes to avoid
+     * @param {Array} avoids - [{ type: 'area', polygon } | { type: 'road', from, to },
+     *                          with name and expires (timestamp or null)]
+     * @returns {Array} - IDs of the saved avoids
+     */
+    async function saveAvoids(avoids) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.AVOIDS], 'readwrite');
+            const store = transaction.objectStore(STORES.AVOIDS);
+            const ids = [];
+
+            avoids.forEach((avoid, index) => {
+                store.add({ ...avoid, timestamp: Date.now() }).onsuccess = (event) => {
+                    ids[index] = event.target.result;
+                };
+            });
+
+            transaction.oncomplete = () => resolve(ids);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get all avoided areas and road segments, expired ones included
+     */
+    async function getAvoids() {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.AVOIDS], 'readonly');
+            const request = transaction.objectStore(STORES.AVOIDS).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete an avoided area or road segment
+     */
+    async function deleteAvoid(id) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.AVOIDS], 'readwrite');
+            transaction.objectStore(STORES.AVOIDS).delete(id);
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     /**
      * Save a preference
      */
@@ -206,30 +651,530 @@ const CacheManager = (function() {
         });
     }
 
+    /**
+     * Save a routing graph pack for a downloaded area
+     * @param {Array} bounds - [[south, west], [north, east]]
+     * @param {Object} pack - Result of Pathfinder.Graph#toPack()
+     */
+    async function saveGraphPack(bounds, pack, regionId = null) {
+        if (!db) await init();
+
+        const [[south, west], [north, east]] = bounds;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.GRAPH_PACKS], 'readwrite');
+            const store = transaction.objectStore(STORES.GRAPH_PACKS);
+
+            const data = {
+                south, west, north, east,
+                pack: pack,
+                regionId: regionId,
+                timestamp: Date.now()
+            };
+
+            const request = store.add(data);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get a graph pack record by ID
+     */
+    async function getGraphPack(id) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.GRAPH_PACKS], 'readonly');
+            const store = transaction.objectStore(STORES.GRAPH_PACKS);
+            const request = store.get(id);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Find the smallest graph pack whose bounds contain all given points
+     * Only the bounds index is read, so packs are not deserialized while searching
+     * @returns {Number|null} - Pack ID
+     */
+    async function findGraphPack(...points) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.GRAPH_PACKS], 'readonly');
+            const index = transaction.objectStore(STORES.GRAPH_PACKS).index('bounds');
+            const request = index.openKeyCursor();
+
+            let bestId = null;
+            let bestArea = Infinity;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(bestId);
+                    return;
+                }
+
+                const [south, west, north, east] = cursor.key;
+                const containsAll = points.every(point =>
+                    point.lat >= south && point.lat <= north &&
+                    point.lng >= west && point.lng <= east
+                );
+                const area = (north - south) * (east - west);
+
+                if (containsAll && area < bestArea) {
+                    bestId = cursor.primaryKey;
+                    bestArea = area;
+                }
+
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save places for offline search, replacing places with the same ID
+     * @param {Array} places - [{ id, name, type, lat, lng, tokens }]
+     * @param {Number} regionId - Region the places are downloaded for, if any
+     */
+    async function savePlaces(places, regionId = null) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.PLACES], 'readwrite');
+            const store = transaction.objectStore(STORES.PLACES);
+
+            // Keep the regions that already use each place
+            for (const place of places) {
+                const request = store.get(place.id);
+                request.onsuccess = () => {
+                    store.put({
+                        ...place,
+                        regions: addRegion(request.result && request.result.regions, regionId)
+                    });
+                };
+            }
+
+            transaction.oncomplete = () => resolve(places.length);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * List the distinct search tokens in a key range
+     * @param {String} from - Lowest token (inclusive)
+     * @param {String} to - Highest token (inclusive)
+     * @param {Number} limit - Maximum number of tokens to return
+     */
+    async function getPlaceTokens(from, to, limit = 1000) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.PLACES], 'readonly');
+            const index = transaction.objectStore(STORES.PLACES).index('tokens');
+            const request = index.openKeyCursor(IDBKeyRange.bound(from, to), 'nextunique');
+            const tokens = [];
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || tokens.length >= limit) {
+                    resolve(tokens);
+                    return;
+                }
+                tokens.push(cursor.key);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get places that have a search token
+     */
+    async function getPlacesByToken(token, limit = 200) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.PLACES], 'readonly');
+            const index = transaction.objectStore(STORES.PLACES).index('tokens');
+            const request = index.getAll(token, limit);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save a download region
+     * @param {Object} region - { id?, name, bounds, minZoom, maxZoom, createdAt,
+     *                          updatedAt, bytes, tileCount, graphPackId, source,
+     *                          imported: true for regions imported from an archive,
+     *                          format: tile format of imported regions ('png', 'jpg', ...) }
+     * @returns {Number} - Region ID
+     */
+    async function saveRegion(region) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.REGIONS], 'readwrite');
+            const store = transaction.objectStore(STORES.REGIONS);
+            const request = store.put(region);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get a download region by ID
+     */
+    async function getRegion(id) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.REGIONS], 'readonly');
+            const store = transaction.objectStore(STORES.REGIONS);
+            const request = store.get(id);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all download regions
+     */
+    async function getRegions() {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.REGIONS], 'readonly');
+            const store = transaction.objectStore(STORES.REGIONS);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete a region and the data only it uses
+     * Tiles and places another region also uses are kept, and so are tiles
+     * cached while browsing, which go back to the browsing cache's LRU budget
+     */
+    async function deleteRegion(id) {
+        if (!db) await init();
+
+        const region = await getRegion(id);
+        if (!region) {
+            return false;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(
+                [STORES.REGIONS, STORES.TILES, STORES.PLACES, STORES.GRAPH_PACKS],
+                'readwrite'
+            );
+
+            transaction.objectStore(STORES.REGIONS).delete(id);
+            releaseRegion(transaction.objectStore(STORES.TILES), id, { keep: tile => tile.browsed, update: indexTile });
+            releaseRegion(transaction.objectStore(STORES.PLACES), id);
+
+            if (region.graphPackId !== undefined && region.graphPackId !== null) {
+                transaction.objectStore(STORES.GRAPH_PACKS).delete(region.graphPackId);
+            }
+
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Remove a region from the records of a store, deleting records no
+     * region uses any more
+     * @param {Object} options - { keep: whether a record no region uses is kept anyway,
+     *                            update: prepares a changed record for storing }
+     */
+    function releaseRegion(store, regionId, { keep = () => false, update = record => record } = {}) {
+        const request = store.index('regions').openCursor(IDBKeyRange.only(regionId));
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                return;
+            }
+
+            const record = cursor.value;
+            record.regions = record.regions.filter(id => id !== regionId);
+
+            if (record.regions.length === 0 && !keep(record)) {
+                cursor.delete();
+            } else {
+                cursor.update(update(record));
+            }
+
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Fill a tile record's fields for the evictable index: its size, and
+     * while no region holds it, its last use
+     * @returns {Object} - The record
+     */
+    function indexTile(record) {
+        record.size = record.blob ? record.blob.size : 0;
+
+        if (record.regions && record.regions.length > 0) {
+            delete record.evictableAt;
+        } else {
+            record.evictableAt = record.accessedAt;
+        }
+
+        return record;
+    }
+
+    /**
+     * Whether a tile was ever cached while browsing, rather than only for regions
+     * @param {Object} existing - Stored record being replaced, if any
+     */
+    function isBrowsed(existing, regionId) {
+        return Boolean(existing && existing.browsed) || regionId === null || regionId === undefined;
+    }
+
+    /**
+     * Add a region ID to a record's region list
+     */
+    function addRegion(regions, regionId) {
+        const result = regions ? regions.slice() : [];
+        if (regionId !== null && regionId !== undefined && !result.includes(regionId)) {
+            result.push(regionId);
+        }
+        return result;
+    }
+
+    /**
+     * Delete a graph pack
+     */
+    async function deleteGraphPack(id) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.GRAPH_PACKS], 'readwrite');
+            const request = transaction.objectStore(STORES.GRAPH_PACKS).delete(id);
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save a tile download job
+     * @param {Object} job - See DownloadQueue
+     * @returns {Number} - Job ID
+     */
+    async function saveDownloadJob(job) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.DOWNLOAD_JOBS], 'readwrite');
+            const store = transaction.objectStore(STORES.DOWNLOAD_JOBS);
+            const request = store.put(job);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Take a download job for one page or service worker to run, in one
+     * transaction so two of them never run it at once
+     * @param {String} owner - ID of the context taking the job
+     * @param {Number} expiredBefore - Leases last renewed before this have lapsed
+     * @returns {Object|null} - The job, now held by owner, or null if it is
+     *                          gone or another context holds it
+     */
+    async function claimDownloadJob(id, owner, expiredBefore) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.DOWNLOAD_JOBS], 'readwrite');
+            const store = transaction.objectStore(STORES.DOWNLOAD_JOBS);
+            const request = store.get(id);
+            let job = null;
+
+            request.onsuccess = () => {
+                const stored = request.result;
+                if (stored && (!stored.owner || stored.owner === owner || stored.leasedAt < expiredBefore)) {
+                    job = { ...stored, owner, leasedAt: Date.now() };
+                    store.put(job);
+                }
+            };
+
+            transaction.oncomplete = () => resolve(job);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Save a download job if a context still holds it, renewing its lease
+     * @param {String} owner - ID of the context that claimed the job
+     * @returns {String} - 'saved'; 'cancelled' if it was cancelled elsewhere
+     *                     (it is not saved); 'lost' if it is gone or another
+     *                     context took it over
+     */
+    async function saveOwnedDownloadJob(job, owner) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.DOWNLOAD_JOBS], 'readwrite');
+            const store = transaction.objectStore(STORES.DOWNLOAD_JOBS);
+            const request = store.get(job.id);
+            let result = 'lost';
+
+            request.onsuccess = () => {
+                const stored = request.result;
+                if (!stored || stored.owner !== owner) {
+                    return;
+                }
+
+                if (stored.status === 'cancelled') {
+                    result = 'cancelled';
+                } else {
+                    job.leasedAt = Date.now();
+                    store.put(job);
+                    result = 'saved';
+                }
+            };
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Change fields of a download job, if it still exists
+     * @returns {Boolean} - Whether the job was found
+     */
+    async function updateDownloadJob(id, changes) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.DOWNLOAD_JOBS], 'readwrite');
+            const store = transaction.objectStore(STORES.DOWNLOAD_JOBS);
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put({ ...request.result, ...changes });
+                }
+            };
+
+            transaction.oncomplete = () => resolve(Boolean(request.result));
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a tile download job by ID
+     */
+    async function getDownloadJob(id) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.DOWNLOAD_JOBS], 'readonly');
+            const store = transaction.objectStore(STORES.DOWNLOAD_JOBS);
+            const request = store.get(id);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all tile download jobs, oldest first
+     */
+    async function getDownloadJobs() {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.DOWNLOAD_JOBS], 'readonly');
+            const store = transaction.objectStore(STORES.DOWNLOAD_JOBS);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete a tile download job
+     */
+    async function deleteDownloadJob(id) {
+        if (!db) await init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORES.DOWNLOAD_JOBS], 'readwrite');
+            const request = transaction.objectStore(STORES.DOWNLOAD_JOBS).delete(id);
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     /**
      * Get cache size estimate
+     * @returns {Object} - { usage, quota } in MB, and whether storage is
+     *                     persistent (exempt from eviction by the browser)
      */
     async function getCacheSize() {
         if ('storage' in navigator && 'estimate' in navigator.storage) {
             const estimate = await navigator.storage.estimate();
             const usageMB = (estimate.usage / 1024 / 1024).toFixed(2);
             const quotaMB = (estimate.quota / 1024 / 1024).toFixed(2);
-            return { usage: usageMB, quota: quotaMB };
+            const persisted = 'persisted' in navigator.storage ? await navigator.storage.persisted() : false;
+            return { usage: usageMB, quota: quotaMB, persisted };
         }
-        return { usage: 0, quota: 0 };
+        return { usage: 0, quota: 0, persisted: false };
     }
 
     /**
-     * Clear all cached data
+     * Ask the browser not to clear offline data under storage pressure
+     * @returns {Boolean} - Whether storage is persistent
+     */
+    async function requestPersistence() {
+        if (!('storage' in navigator && 'persist' in navigator.storage)) {
+            return false;
+        }
+
+        if (await navigator.storage.persisted()) {
+            return true;
+        }
+
+        return navigator.storage.persist();
+    }
+
+    /**
+     * Clear all cached map data; saved routes, waypoints, avoided areas and preferences are kept
      */
     async function clearCache() {
         if (!db) await init();
 
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORES.TILES, STORES.ROUTES], 'readwrite');
+            const transaction = db.transaction(
+                [STORES.TILES, STORES.GRAPH_PACKS, STORES.PLACES, STORES.REGIONS, STORES.DOWNLOAD_JOBS],
+                'readwrite'
+            );
 
             const tilesClear = transaction.objectStore(STORES.TILES).clear();
-            const routesClear = transaction.objectStore(STORES.ROUTES).clear();
+            const packsClear = transaction.objectStore(STORES.GRAPH_PACKS).clear();
+            const placesClear = transaction.objectStore(STORES.PLACES).clear();
+            const regionsClear = transaction.objectStore(STORES.REGIONS).clear();
+            const jobsClear = transaction.objectStore(STORES.DOWNLOAD_JOBS).clear();
 
             transaction.oncomplete = () => {
                 console.log('Cache cleared successfully');
@@ -244,63 +1189,111 @@ const CacheManager = (function() {
     }
 
     /**
-     * Cache tiles for a specific area
+     * Create a named download region; its tiles are fetched by DownloadQueue
      * @param {Array} bounds - [[south, west], [north, east]]
-     * @param {Number} zoom - Zoom level
+     * @param {Number} minZoom - Lowest zoom level
+     * @param {Number} maxZoom - Highest zoom level
+     * @param {Number} maxTiles - Refuse areas that need more tiles than this
+     * @param {String} name - Region name
+     * @param {String} source - Tile source, 'raster' or 'vector' (see TileStore)
+     * @returns {Object} - The saved region
      */
-    async function downloadArea(bounds, zoom) {
-        const tiles = getTilesForBounds(bounds, zoom);
-        const total = tiles.length;
-        let cached = 0;
-
-        for (const tile of tiles) {
-            try {
-                const url = `https://tile.openstreetmap.org/${tile.z}/${tile.x}/${tile.y}.png`;
-                
-                // Check if already cached
-                const existing = await getTile(url);
-                if (existing) {
-                    cached++;
-                    continue;
-                }
+    async function createRegion(bounds, minZoom, maxZoom = minZoom, maxTiles = DEFAULT_MAX_DOWNLOAD_TILES, name = null, source = 'raster') {
+        const estimate = estimateDownload(bounds, minZoom, maxZoom, source);
+        if (estimate.tiles > maxTiles) {
+            throw new Error(`Area needs ${estimate.tiles} tiles, over the limit of ${maxTiles}`);
+        }
 
-                // Fetch and cache
-                const response = await fetch(url);
-                if (response.ok) {
-                    const blob = await response.blob();
-                    await saveTile(url, blob);
-                    cached++;
-                }
+        const now = Date.now();
+        const region = {
+            name: name || `Region ${new Date(now).toLocaleDateString()}`,
+            bounds,
+            minZoom,
+            maxZoom,
+            source,
+            createdAt: now,
+            updatedAt: now,
+            bytes: 0,
+            tileCount: 0,
+            graphPackId: null
+        };
+        region.id = await saveRegion(region);
+
+        return region;
+    }
 
-                // Small delay to avoid overwhelming the server
-                await new Promise(resolve => setTimeout(resolve, TILE_DOWNLOAD_DELAY_MS));
-            } catch (error) {
-                console.error('Error caching tile:', error);
+    /**
+     * Fetch the road network for an area and store it as a graph pack
+     * @param {Number} regionId - Region the network is downloaded for, if any
+     * @returns {Object|null} - Import stats with the pack ID, or null if the
+     *                          network could not be fetched
+     */
+    async function downloadGraphPack(bounds, regionId = null) {
+        try {
+            const osmData = await OsmImporter.fetchArea(bounds);
+            const { graph, stats } = OsmImporter.buildGraph(osmData);
+
+            if (graph.nodes.size === 0) {
+                console.warn('No routable roads in downloaded area');
+                return null;
             }
-        }
 
-        return { total, cached };
+            stats.packId = await saveGraphPack(bounds, graph.toPack(), regionId);
+            stats.places = await Geocoder.indexOsmData(osmData, regionId);
+            return stats;
+        } catch (error) {
+            console.error('Error downloading road network:', error);
+            return null;
+        }
     }
 
     /**
-     * Calculate tile coordinates for a given bounds and zoom
+     * Calculate tile coordinates for a given bounds over a zoom range
      */
-    function getTilesForBounds(bounds, zoom) {
+    function getTilesForBounds(bounds, minZoom, maxZoom = minZoom) {
         const tiles = [];
-        const [[south, west], [north, east]] = bounds;
 
-        const minTile = latLngToTile(north, west, zoom);
-        const maxTile = latLngToTile(south, east, zoom);
+        for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+            const range = getTileRange(bounds, zoom);
 
-        for (let x = minTile.x; x <= maxTile.x; x++) {
-            for (let y = minTile.y; y <= maxTile.y; y++) {
-                tiles.push({ x, y, z: zoom });
+            for (let x = range.minX; x <= range.maxX; x++) {
+                for (let y = range.minY; y <= range.maxY; y++) {
+                    tiles.push({ x, y, z: zoom });
+                }
             }
         }
 
         return tiles;
     }
 
+    /**
+     * Count the tiles an area download needs without listing them
+     * @param {String} source - Tile source, 'raster' or 'vector'
+     * @returns {Object} - { tiles, bytes } where bytes is an estimate
+     */
+    function estimateDownload(bounds, minZoom, maxZoom = minZoom, source = 'raster') {
+        let tiles = 0;
+
+        for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+            const range = getTileRange(bounds, zoom);
+            tiles += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+        }
+
+        return { tiles, bytes: tiles * ESTIMATED_TILE_BYTES[source] };
+    }
+
+    /**
+     * Range of tile coordinates covering bounds at one zoom level
+     */
+    function getTileRange(bounds, zoom) {
+        const [[south, west], [north, east]] = bounds;
+
+        const minTile = latLngToTile(north, west, zoom);
+        const maxTile = latLngToTile(south, east, zoom);
+
+        return { minX: minTile.x, maxX: maxTile.x, minY: minTile.y, maxY: maxTile.y };
+    }
+
     /**
      * Convert lat/lng to tile coordinates using Web Mercator projection
      * @param {Number} lat - Latitude in degrees
@@ -309,16 +1302,22 @@ const CacheManager = (function() {
      * @returns {Object} Tile coordinates {x, y}
      */
     function latLngToTile(lat, lng, zoom) {
+        const tileCount = Math.pow(2, zoom);
+
+        // Keep points off the map's edges inside the tile grid
+        lat = Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat));
+        lng = Math.max(-180, Math.min(180, lng));
+
         // Convert longitude to tile X coordinate
         // Formula: x = floor((lng + 180) / 360 * 2^zoom)
-        const x = Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
+        const x = Math.max(0, Math.min(tileCount - 1, Math.floor((lng + 180) / 360 * tileCount)));
         
         // Convert latitude to tile Y coordinate using Mercator projection
         // This uses the inverse Gudermannian function: ln(tan(π/4 + φ/2)) where φ is latitude in radians
         // Simplified as: ln(tan(φ) + sec(φ)) which accounts for Earth's spherical nature
         const latRad = lat * Math.PI / 180;
         const mercatorY = Math.log(Math.tan(latRad) + 1 / Math.cos(latRad));
-        const y = Math.floor((1 - mercatorY / Math.PI) / 2 * Math.pow(2, zoom));
+        const y = Math.max(0, Math.min(tileCount - 1, Math.floor((1 - mercatorY / Math.PI) / 2 * tileCount)));
         
         return { x, y };
     }
@@ -327,15 +1326,50 @@ const CacheManager = (function() {
     return {
         init,
         saveTile,
+        saveTiles,
+        getRegionTileUrls,
+        claimTile,
         getTile,
+        touchTile,
+        evictTiles,
         saveRoute,
         getRoutes,
+        updateRoute,
+        deleteRoute,
         saveWaypoint,
         getWaypoints,
+        updateWaypoint,
+        deleteWaypoint,
+        saveAvoids,
+        getAvoids,
+        deleteAvoid,
         savePreference,
         getPreference,
+        saveGraphPack,
+        getGraphPack,
+        findGraphPack,
+        deleteGraphPack,
+        downloadGraphPack,
+        savePlaces,
+        getPlaceTokens,
+        getPlacesByToken,
+        createRegion,
+        saveRegion,
+        getRegion,
+        getRegions,
+        deleteRegion,
+        saveDownloadJob,
+        claimDownloadJob,
+        saveOwnedDownloadJob,
+        updateDownloadJob,
+        getDownloadJob,
+        getDownloadJobs,
+        deleteDownloadJob,
         getCacheSize,
+        requestPersistence,
         clearCache,
-        downloadArea
+        estimateDownload,
+        getTilesForBounds,
+        DEFAULT_MAX_DOWNLOAD_TILES
     };
 })();
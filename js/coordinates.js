@@ -0,0 +1,358 @@
+/**
+ * Coordinate Parser Module
+ * Reads locations typed or pasted as text: decimal degrees, degrees/minutes/
+ * seconds, geo: URIs and Open Location Codes (plus codes)
+ */
+
+const CoordinateParser = (function() {
+    // Open Location Code alphabet and layout
+    const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+    const OLC_SEPARATOR = '+';
+    const OLC_SEPARATOR_POSITION = 8;
+    const OLC_PADDING = '0';
+    const OLC_PAIR_LENGTH = 10; // Digits encoded as lat/lng pairs; the rest refine a 4x5 grid
+    const OLC_GRID_ROWS = 5;
+    const OLC_GRID_COLUMNS = 4;
+
+    // One coordinate value: degrees, optional minutes and seconds
+    const VALUE = '([+-]?\\d{1,3}(?:\\.\\d+)?)\\s*(?:°|º)?\\s*' +
+        '(?:(\\d{1,2}(?:\\.\\d+)?)\\s*\'\\s*(?:(\\d{1,2}(?:\\.\\d+)?)\\s*(?:"|\'\')?)?)?';
+    const SEPARATOR = '\\s*(?:[,;/]\\s*|\\s+)';
+
+    // Hemisphere letters either lead both values or follow them
+    const HEMISPHERE_FIRST = new RegExp(`^([NSEW])\\s*${VALUE}${SEPARATOR}([NSEW])\\s*${VALUE}$`);
+    const HEMISPHERE_LAST = new RegExp(`^${VALUE}\\s*([NSEW])?${SEPARATOR}${VALUE}\\s*([NSEW])?$`);
+
+    const GEO_URI = /^geo:\s*([+-]?\d+(?:\.\d+)?)\s*,\s*([+-]?\d+(?:\.\d+)?)(?:,[^;?]*)?(?:;[^?]*)?(?:\?(.*))?$/i;
+    const PLUS_CODE = /^([23456789CFGHJMPQRVWX0]{2,8}\+[23456789CFGHJMPQRVWX]*)(?:[\s,]+(.+))?$/i;
+
+    /**
+     * Parse a location from text
+     * @param {String} text - User input
+     * @param {Object} reference - {lat, lng} used to complete short plus codes
+     * @returns {Object|null} - { lat, lng, format, label, locality } or null if
+     *          the text is not a location; format is 'decimal', 'dms', 'geo'
+     *          or 'pluscode'. locality is the place name that followed a short
+     *          plus code; the caller may resolve it and parse again with it as
+     *          the reference
+     */
+    function parse(text, reference = null) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) {
+            return null;
+        }
+
+        return parseGeoUri(trimmed) ||
+            parsePlusCode(trimmed, reference) ||
+            parseDegrees(trimmed);
+    }
+
+    /**
+     * Parse a geo: URI (RFC 5870), including the geo:0,0?q=lat,lng form
+     * used by Android apps
+     */
+    function parseGeoUri(text) {
+        const match = GEO_URI.exec(text);
+        if (!match) {
+            return null;
+        }
+
+        let lat = parseFloat(match[1]);
+        let lng = parseFloat(match[2]);
+        let label = null;
+
+        const query = match[3] ? new URLSearchParams(match[3]).get('q') : null;
+        if (query) {
+            const target = /^\s*([+-]?\d+(?:\.\d+)?)\s*,\s*([+-]?\d+(?:\.\d+)?)\s*(?:\((.*)\))?/.exec(query);
+            if (target) {
+                lat = parseFloat(target[1]);
+                lng = parseFloat(target[2]);
+                label = target[3] || null;
+            }
+        }
+
+        return createResult(lat, lng, 'geo', label);
+    }
+
+    /**
+     * Parse decimal degrees or degrees/minutes/seconds
+     * Hemisphere letters may come before or after each value and decide
+     * which value is the latitude; without them latitude comes first
+     */
+    function parseDegrees(text) {
+        // Fold typographic primes and quotes into ASCII
+        const normalized = text.toUpperCase()
+            .replace(/[′’‘`´]/g, '\'')
+            .replace(/[″”“]/g, '"');
+
+        let first;
+        let second;
+        let match;
+
+        if ((match = HEMISPHERE_FIRST.exec(normalized))) {
+            first = readComponent(match[1], match[2], match[3], match[4]);
+            second = readComponent(match[5], match[6], match[7], match[8]);
+        } else if ((match = HEMISPHERE_LAST.exec(normalized))) {
+            first = readComponent(match[4], match[1], match[2], match[3]);
+            second = readComponent(match[8], match[5], match[6], match[7]);
+        } else {
+            return null;
+        }
+
+        if (!first || !second) {
+            return null;
+        }
+
+        let latitude = first;
+        let longitude = second;
+
+        if (isLongitudeHemisphere(first.hemisphere) || isLatitudeHemisphere(second.hemisphere)) {
+            latitude = second;
+            longitude = first;
+        }
+
+        if (isLongitudeHemisphere(latitude.hemisphere) || isLatitudeHemisphere(longitude.hemisphere)) {
+            return null;
+        }
+
+        const format = first.sexagesimal || second.sexagesimal ? 'dms' : 'decimal';
+        return createResult(latitude.value, longitude.value, format);
+    }
+
+    /**
+     * Turn the captured parts of one coordinate into a signed value
+     * @returns {Object|null} - { value, hemisphere, sexagesimal }
+     */
+    function readComponent(hemisphere, degreesText, minutesText, secondsText) {
+        const sexagesimal = minutesText !== undefined;
+        let degrees = parseFloat(degreesText);
+        const negative = degreesText.startsWith('-');
+
+        if (sexagesimal) {
+            const minutes = parseFloat(minutesText);
+            const seconds = secondsText !== undefined ? parseFloat(secondsText) : 0;
+
+            // Only the last part given may have a fraction
+            if (!Number.isInteger(degrees) || minutes >= 60 || seconds >= 60 ||
+                (secondsText !== undefined && !Number.isInteger(minutes))) {
+                return null;
+            }
+
+            degrees = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+            if (negative) {
+                degrees = -degrees;
+            }
+        }
+
+        if (hemisphere) {
+            if (negative) {
+                return null; // "-37 S" is ambiguous
+            }
+            if (hemisphere === 'S' || hemisphere === 'W') {
+                degrees = -degrees;
+            }
+        }
+
+        return { value: degrees, hemisphere: hemisphere || null, sexagesimal };
+    }
+
+    function isLatitudeHemisphere(hemisphere) {
+        return hemisphere === 'N' || hemisphere === 'S';
+    }
+
+    function isLongitudeHemisphere(hemisphere) {
+        return hemisphere === 'E' || hemisphere === 'W';
+    }
+
+    /**
+     * Parse a full or short Open Location Code, optionally followed by a locality
+     */
+    function parsePlusCode(text, reference) {
+        const match = PLUS_CODE.exec(text);
+        if (!match) {
+            return null;
+        }
+
+        const code = match[1].toUpperCase();
+        const locality = match[2] ? match[2].trim() : null;
+
+        if (!isValidPlusCode(code)) {
+            return null;
+        }
+
+        let area;
+        if (code.indexOf(OLC_SEPARATOR) === OLC_SEPARATOR_POSITION) {
+            area = decodePlusCode(code);
+        } else {
+            // Short codes need a nearby reference to fill in the leading digits
+            if (!reference) {
+                return null;
+            }
+            area = recoverNearest(code, reference);
+        }
+
+        if (!area) {
+            return null;
+        }
+
+        const result = createResult(area.lat, area.lng, 'pluscode', locality ? `${code} ${locality}` : code);
+        if (result && locality && code.indexOf(OLC_SEPARATOR) !== OLC_SEPARATOR_POSITION) {
+            result.locality = locality;
+        }
+        return result;
+    }
+
+    /**
+     * Check the structure of a plus code: separator position, padding and
+     * characters after the separator
+     */
+    function isValidPlusCode(code) {
+        const separator = code.indexOf(OLC_SEPARATOR);
+
+        if (separator !== code.lastIndexOf(OLC_SEPARATOR) ||
+            separator > OLC_SEPARATOR_POSITION || separator % 2 === 1) {
+            return false;
+        }
+
+        const padding = code.indexOf(OLC_PADDING);
+        if (padding !== -1) {
+            // Padding only in full codes, in whole pairs, right before the separator
+            const padded = code.slice(padding, separator);
+            if (separator !== OLC_SEPARATOR_POSITION || padding === 0 || padding % 2 === 1 ||
+                /[^0]/.test(padded) || code.length > separator + 1) {
+                return false;
+            }
+        }
+
+        // A single digit after the separator is not allowed
+        return code.length - separator - 1 !== 1;
+    }
+
+    /**
+     * Decode a full plus code to the center of its area
+     * @returns {Object|null} - { lat, lng } or null if the code is out of range
+     */
+    function decodePlusCode(code) {
+        const digits = code.replace(OLC_SEPARATOR, '').replace(/0+$/, '');
+
+        let south = -90;
+        let west = -180;
+        let latResolution = 20;
+        let lngResolution = 20;
+        let latSize = 0;
+        let lngSize = 0;
+
+        const pairs = Math.min(digits.length, OLC_PAIR_LENGTH);
+        for (let i = 0; i < pairs; i += 2) {
+            south += OLC_ALPHABET.indexOf(digits[i]) * latResolution;
+            west += OLC_ALPHABET.indexOf(digits[i + 1]) * lngResolution;
+            latSize = latResolution;
+            lngSize = lngResolution;
+            latResolution /= 20;
+            lngResolution /= 20;
+        }
+
+        for (let i = OLC_PAIR_LENGTH; i < digits.length; i++) {
+            const value = OLC_ALPHABET.indexOf(digits[i]);
+            latSize /= OLC_GRID_ROWS;
+            lngSize /= OLC_GRID_COLUMNS;
+            south += Math.floor(value / OLC_GRID_COLUMNS) * latSize;
+            west += (value % OLC_GRID_COLUMNS) * lngSize;
+        }
+
+        const lat = south + latSize / 2;
+        const lng = west + lngSize / 2;
+
+        if (south < -90 || south >= 90 || west < -180 || west >= 180) {
+            return null;
+        }
+
+        return { lat: Math.min(lat, 90), lng };
+    }
+
+    /**
+     * Complete a short plus code with the digits of the reference location,
+     * picking the matching area closest to the reference
+     */
+    function recoverNearest(code, reference) {
+        const missing = OLC_SEPARATOR_POSITION - code.indexOf(OLC_SEPARATOR);
+        const resolution = Math.pow(20, 2 - missing / 2);
+        const half = resolution / 2;
+
+        const full = encodePairs(reference.lat, reference.lng, missing) + code;
+        const area = decodePlusCode(full);
+        if (!area) {
+            return null;
+        }
+
+        // The reference may sit near a cell edge; use the neighbouring cell if closer
+        let { lat, lng } = area;
+        if (reference.lat + half < lat && lat - resolution >= -90) {
+            lat -= resolution;
+        } else if (reference.lat - half > lat && lat + resolution <= 90) {
+            lat += resolution;
+        }
+
+        if (reference.lng + half < lng) {
+            lng -= resolution;
+        } else if (reference.lng - half > lng) {
+            lng += resolution;
+        }
+
+        return { lat, lng: normalizeLongitude(lng) };
+    }
+
+    /**
+     * Encode the leading pair digits of a plus code for a location
+     */
+    function encodePairs(lat, lng, length) {
+        let latValue = Math.min(Math.max(lat, -90), 90 - 1e-10) + 90;
+        let lngValue = normalizeLongitude(lng) + 180;
+        let resolution = 20;
+        let code = '';
+
+        while (code.length < length) {
+            const latDigit = Math.floor(latValue / resolution);
+            const lngDigit = Math.floor(lngValue / resolution);
+            latValue -= latDigit * resolution;
+            lngValue -= lngDigit * resolution;
+            code += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lngDigit];
+            resolution /= 20;
+        }
+
+        return code;
+    }
+
+    /**
+     * Wrap a longitude into [-180, 180)
+     */
+    function normalizeLongitude(lng) {
+        return ((lng + 180) % 360 + 360) % 360 - 180;
+    }
+
+    /**
+     * Build a result after range checks
+     */
+    function createResult(lat, lng, format, label = null) {
+        if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return null;
+        }
+
+        const location = { lat, lng };
+        return { lat, lng, format, label: label || formatCoordinates(location) };
+    }
+
+    /**
+     * Format a location as "lat, lng" in decimal degrees, the form
+     * parse() reads back
+     */
+    function formatCoordinates(location) {
+        return `${location.lat.toFixed(6)}, ${location.lng.toFixed(6)}`;
+    }
+
+    // Public API
+    return {
+        parse,
+        formatCoordinates
+    };
+})();
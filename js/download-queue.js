@@ -0,0 +1,480 @@
+/**
+ * Download Queue Module
+ * Persisted queue of region tile downloads. Jobs live in IndexedDB, run one
+ * at a time with a few tile fetches in flight, retry failed tiles with
+ * backoff and resume where they stopped after a reload. Runs in the service
+ * worker, or on the page where there is none (see DownloadService).
+ *
+ * Pages and the service worker share the queue, so a job is run only by the
+ * context holding its lease, claimed in one transaction and renewed at every
+ * checkpoint. A context that stops renewing (closed, or killed) loses the
+ * job to the next one that looks; one that does not hold a job cancels it by
+ * marking it, and the holder stops at its next checkpoint.
+ *
+ * Job: { id, regionId, name, status, staleBefore, total, completed, failed,
+ *        bytes, nextIndex, graph, error, owner, leasedAt, createdAt, updatedAt }
+ *   status - 'queued' | 'running' | 'done' | 'cancelled' | 'failed'
+ *   nextIndex - tiles before this index are finished; completed, failed and
+ *               bytes count those tiles only
+ *   owner, leasedAt - context holding the job, and when it last renewed it
+ */
+
+const DownloadQueue = (function() {
+    const CONCURRENCY = 2; // Parallel tile fetches; OSM's tile policy asks for no more than two
+    const TILE_DOWNLOAD_DELAY_MS = 100; // Pause after each fetch to avoid overwhelming the server
+    const MAX_RETRIES = 4;
+    const RETRY_BASE_MS = 1000; // Backoff doubles from this on each retry
+    const PROGRESS_INTERVAL_MS = 500; // Minimum time between progress events and checkpoints
+    const STALE_TILE_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Refreshes re-fetch tiles older than this
+    const LEASE_MS = 30000; // A job whose holder has not renewed it for this long can be taken over
+    const LEASE_RENEW_MS = 5000; // Holders renew at least this often, even while backing off
+
+    // This page or service worker, as the owner of the jobs it runs
+    const OWNER_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+    // Statuses of jobs that still have work to do
+    const PENDING_STATUSES = ['queued', 'running'];
+
+    const listeners = new Set();
+
+    // Running job: { id, controller, handOver: stop leaving the job queued }
+    let activeJob = null;
+
+    // Promise of the loop working through the queue, while it runs
+    let pumping = null;
+
+    // Aborted to stop the loop (see stop)
+    let pumpController = null;
+
+    /**
+     * Queue the tiles of a region for download
+     * Imported regions are refused: their tiles come from the archive, not
+     * the tile servers, and their bounds may cover the world
+     * @param {Number} regionId - Region to download
+     * @param {Object} options - { refresh: re-fetch tiles older than a week,
+     *                            maxTiles: refuse regions that need more tiles than this }
+     * @returns {Object} - The queued job
+     */
+    async function enqueue(regionId, { refresh = false, maxTiles = CacheManager.DEFAULT_MAX_DOWNLOAD_TILES } = {}) {
+        const region = await CacheManager.getRegion(regionId);
+        if (!region) {
+            throw new Error('Region not found');
+        }
+        if (region.imported) {
+            throw new Error('Regions imported from an archive cannot be downloaded again');
+        }
+
+        const estimate = CacheManager.estimateDownload(region.bounds, region.minZoom, region.maxZoom, getSource(region));
+        if (estimate.tiles > maxTiles) {
+            throw new Error(`Region needs ${estimate.tiles} tiles, over the limit of ${maxTiles}`);
+        }
+
+        const now = Date.now();
+        const job = {
+            regionId,
+            name: region.name,
+            status: 'queued',
+            staleBefore: refresh ? now - STALE_TILE_AGE_MS : 0,
+            total: estimate.tiles,
+            completed: 0,
+            failed: 0,
+            bytes: 0,
+            nextIndex: 0,
+            graph: null,
+            error: null,
+            owner: null,
+            leasedAt: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        job.id = await CacheManager.saveDownloadJob(job);
+
+        emit(job, 0);
+        return job;
+    }
+
+    /**
+     * Work through queued jobs, oldest first, until none are left
+     * Safe to call repeatedly; also resumes jobs interrupted by a reload.
+     * While another context runs a job, waits to take over if it stops
+     */
+    function pump() {
+        if (!pumping) {
+            const controller = new AbortController();
+            pumpController = controller;
+
+            pumping = (async () => {
+                try {
+                    while (!controller.signal.aborted) {
+                        const { job, held } = await nextPendingJob();
+
+                        if (job) {
+                            await run(job);
+                        } else if (held) {
+                            await delay(LEASE_RENEW_MS, controller.signal);
+                        } else {
+                            break;
+                        }
+                    }
+                } finally {
+                    pumping = null;
+                    pumpController = null;
+                }
+            })();
+        }
+
+        return pumping;
+    }
+
+    /**
+     * Stop working through the queue, leaving the running job queued for
+     * another context; the page hands its jobs to a service worker that
+     * takes control this way
+     */
+    async function stop() {
+        if (pumpController) {
+            pumpController.abort();
+        }
+        if (activeJob) {
+            activeJob.handOver = true;
+            activeJob.controller.abort();
+        }
+
+        await pumping;
+    }
+
+    /**
+     * Claim the oldest job that still has work to do
+     * @returns {Object} - { job: the claimed job or null,
+     *                       held: whether other contexts hold pending jobs }
+     */
+    async function nextPendingJob() {
+        const jobs = await CacheManager.getDownloadJobs();
+        let held = false;
+
+        for (const candidate of jobs) {
+            const job = await CacheManager.claimDownloadJob(candidate.id, OWNER_ID, Date.now() - LEASE_MS);
+
+            if (!job) {
+                held = held || PENDING_STATUSES.includes(candidate.status);
+            } else if (job.status === 'cancelled') {
+                // Cancelled while the context running it was gone
+                await finish(job);
+            } else if (PENDING_STATUSES.includes(job.status)) {
+                return { job, held };
+            }
+        }
+
+        return { job: null, held };
+    }
+
+    /**
+     * Cancel a queued or running job
+     */
+    async function cancel(jobId) {
+        if (activeJob && activeJob.id === jobId) {
+            // run() records the cancellation once its fetches stop
+            activeJob.controller.abort();
+            return;
+        }
+
+        const job = await CacheManager.claimDownloadJob(jobId, OWNER_ID, Date.now() - LEASE_MS);
+        if (job) {
+            job.status = 'cancelled';
+            await finish(job);
+        } else {
+            // Another context runs it; it stops at its next checkpoint
+            await CacheManager.updateDownloadJob(jobId, { status: 'cancelled' });
+        }
+    }
+
+    /**
+     * Download the remaining tiles of a job, then its road network
+     */
+    async function run(job) {
+        const controller = new AbortController();
+        const { signal } = controller;
+        const active = { id: job.id, controller, handOver: false };
+        activeJob = active;
+
+        // Results of tiles finished past nextIndex, by index
+        const ahead = new Map();
+        let lastReport = 0;
+        let lost = false;
+
+        // Save progress while this context still holds the job
+        const checkpoint = async () => {
+            const result = await CacheManager.saveOwnedDownloadJob(job, OWNER_ID);
+            if (result !== 'saved') {
+                lost = result === 'lost';
+                controller.abort();
+            }
+        };
+
+        const report = async (force = false) => {
+            const now = Date.now();
+            if (!force && now - lastReport < PROGRESS_INTERVAL_MS) {
+                return;
+            }
+            lastReport = now;
+            job.updatedAt = now;
+            await checkpoint();
+            emit(job, ahead.size);
+        };
+
+        // Keep the lease through retries and the road network download
+        const heartbeat = setInterval(() => {
+            if (job.status === 'running') {
+                checkpoint().catch((error) => {
+                    console.warn('Download checkpoint failed:', error);
+                });
+            }
+        }, LEASE_RENEW_MS);
+
+        try {
+            const region = await CacheManager.getRegion(job.regionId);
+            if (!region) {
+                throw new Error('Region was deleted');
+            }
+            if (region.imported) {
+                throw new Error('Regions imported from an archive cannot be downloaded again');
+            }
+
+            const tiles = CacheManager.getTilesForBounds(region.bounds, region.minZoom, region.maxZoom);
+            job.status = 'running';
+            job.total = tiles.length;
+            await checkpoint();
+
+            let nextToStart = job.nextIndex;
+
+            const worker = async () => {
+                while (!signal.aborted && nextToStart < tiles.length) {
+                    const index = nextToStart++;
+                    const result = await downloadTile(tiles[index], region, job.staleBefore, signal);
+
+                    if (signal.aborted) {
+                        return;
+                    }
+
+                    // Advance the checkpoint over every finished tile in order
+                    ahead.set(index, result);
+                    while (ahead.has(job.nextIndex)) {
+                        const finished = ahead.get(job.nextIndex);
+                        ahead.delete(job.nextIndex);
+                        job.nextIndex++;
+
+                        if (finished.ok) {
+                            job.completed++;
+                            job.bytes += finished.bytes;
+                        } else {
+                            job.failed++;
+                        }
+                    }
+
+                    await report();
+                }
+            };
+
+            await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+            if (!lost && !active.handOver) {
+                if (signal.aborted) {
+                    job.status = 'cancelled';
+                } else {
+                    job.graph = await downloadRoadNetwork(region);
+                    job.status = 'done';
+                }
+
+                await updateRegion(region, job);
+            }
+        } catch (error) {
+            console.error('Download job failed:', error);
+            job.status = 'failed';
+            job.error = error.message;
+        } finally {
+            clearInterval(heartbeat);
+            activeJob = null;
+        }
+
+        // Another context runs the job now
+        if (lost) {
+            return;
+        }
+
+        // Leave the job where it stopped for the context taking over,
+        // unless it was cancelled meanwhile
+        if (active.handOver && job.status === 'running') {
+            job.status = 'queued';
+            job.owner = null;
+            if (await CacheManager.saveOwnedDownloadJob(job, OWNER_ID) !== 'cancelled') {
+                emit(job, 0);
+                return;
+            }
+            job.status = 'cancelled';
+        }
+
+        await finish(job);
+    }
+
+    /**
+     * Fetch one tile unless a fresh copy is stored, retrying with backoff
+     * @returns {Object} - { ok, bytes }
+     */
+    async function downloadTile(tile, region, staleBefore, signal) {
+        const url = TileStore.getTileUrl(tile, getSource(region));
+        const existing = await TileStore.claim(url, region.id);
+
+        if (existing && existing.timestamp >= staleBefore) {
+            return { ok: true, bytes: existing.blob.size };
+        }
+
+        for (let attempt = 0; !signal.aborted; attempt++) {
+            let retryable = true;
+
+            try {
+                const response = await fetch(url, { signal });
+
+                if (response.ok) {
+                    const blob = await response.blob();
+                    await TileStore.put(url, blob, region.id);
+                    await delay(TILE_DOWNLOAD_DELAY_MS, signal);
+                    return { ok: true, bytes: blob.size };
+                }
+
+                // Missing tiles stay missing; throttling and server errors pass
+                retryable = response.status === 429 || response.status >= 500;
+                console.warn(`Tile request failed (${response.status}):`, url);
+            } catch (error) {
+                if (signal.aborted) {
+                    break;
+                }
+                console.warn('Tile request failed:', error.message);
+            }
+
+            if (!retryable || attempt >= MAX_RETRIES) {
+                break;
+            }
+
+            // Exponential backoff with jitter so parallel fetches spread out
+            const backoff = RETRY_BASE_MS * Math.pow(2, attempt);
+            await delay(backoff + Math.random() * backoff / 2, signal);
+        }
+
+        // A stale tile is better than none
+        return existing
+            ? { ok: true, bytes: existing.blob.size }
+            : { ok: false, bytes: 0 };
+    }
+
+    /**
+     * Tile source of a region; regions saved before vector tiles are raster
+     */
+    function getSource(region) {
+        return region.source || 'raster';
+    }
+
+    /**
+     * Fetch the region's road network and places, replacing the previous pack
+     * @returns {Object|null} - Import stats, or null if unavailable
+     */
+    async function downloadRoadNetwork(region) {
+        const graph = await CacheManager.downloadGraphPack(region.bounds, region.id);
+
+        if (graph) {
+            if (region.graphPackId !== null && region.graphPackId !== undefined) {
+                await CacheManager.deleteGraphPack(region.graphPackId);
+            }
+            region.graphPackId = graph.packId;
+        }
+
+        return graph;
+    }
+
+    /**
+     * Record a job's usage on its region
+     */
+    async function updateRegion(region, job) {
+        // The region may have been deleted while its tiles downloaded
+        if (!(await CacheManager.getRegion(region.id))) {
+            return;
+        }
+
+        region.updatedAt = Date.now();
+        region.bytes = job.bytes;
+        region.tileCount = job.completed;
+        await CacheManager.saveRegion(region);
+    }
+
+    /**
+     * Report a job's final state and drop it from the queue
+     */
+    async function finish(job) {
+        job.updatedAt = Date.now();
+        emit(job, 0);
+        await CacheManager.deleteDownloadJob(job.id);
+    }
+
+    /**
+     * Wait, waking early if the signal aborts
+     */
+    function delay(ms, signal) {
+        return new Promise((resolve) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Listen for job progress
+     * @param {Function} listener - Called with { id, regionId, name, status, total,
+     *                              done, completed, failed, graph, error }
+     * @returns {Function} - Removes the listener
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Send a job's progress to listeners
+     * @param {Number} aheadCount - Tiles finished past the checkpoint
+     */
+    function emit(job, aheadCount) {
+        const progress = {
+            id: job.id,
+            regionId: job.regionId,
+            name: job.name,
+            status: job.status,
+            total: job.total,
+            done: job.nextIndex + aheadCount,
+            completed: job.completed,
+            failed: job.failed,
+            graph: job.graph,
+            error: job.error
+        };
+
+        listeners.forEach((listener) => {
+            try {
+                listener(progress);
+            } catch (error) {
+                console.error('Download progress listener error:', error);
+            }
+        });
+    }
+
+    // Public API
+    return {
+        enqueue,
+        pump,
+        stop,
+        cancel,
+        subscribe
+    };
+})();
@@ -0,0 +1,126 @@
+/**
+ * Download Service Module
+ * Page-side client for the download queue. Jobs run in the service worker so
+ * they continue while the page is closed and resume when it restarts; without
+ * a controlling service worker they run on the page, until one takes control
+ * and the page hands them over. Job leases keep two contexts from running
+ * the same job (see DownloadQueue).
+ *
+ * Messages to the service worker:
+ *   { type: 'download-resume' }        - work through queued jobs
+ *   { type: 'download-cancel', jobId }
+ *
+ * Messages from the service worker:
+ *   { type: 'download-progress', progress } - see DownloadQueue.subscribe
+ */
+
+const DownloadService = (function() {
+    const listeners = new Set();
+
+    /**
+     * Start listening for progress and resume jobs left from a previous visit
+     */
+    function init() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'download-progress') {
+                    notify(event.data.progress);
+                }
+            });
+
+            // A service worker taking control (first visit, or an update)
+            // runs the queue from now on
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                DownloadQueue.stop().then(dispatch).catch((error) => {
+                    console.error('Download handover error:', error);
+                });
+            });
+        }
+
+        DownloadQueue.subscribe(notify);
+        dispatch();
+    }
+
+    /**
+     * Get the service worker controlling the page, if any
+     */
+    function getServiceWorker() {
+        return ('serviceWorker' in navigator && navigator.serviceWorker.controller) || null;
+    }
+
+    /**
+     * Have the service worker (or the page) work through the queue
+     */
+    function dispatch() {
+        const serviceWorker = getServiceWorker();
+
+        if (serviceWorker) {
+            serviceWorker.postMessage({ type: 'download-resume' });
+        } else {
+            DownloadQueue.pump().catch((error) => {
+                console.error('Download queue error:', error);
+            });
+        }
+    }
+
+    /**
+     * Create a region for an area and queue its download
+     * @param {String} source - Tile source, 'raster' or 'vector'
+     * @returns {Object} - { region, job }
+     */
+    async function downloadArea(bounds, minZoom, maxZoom, maxTiles, name, source = 'raster') {
+        const region = await CacheManager.createRegion(bounds, minZoom, maxZoom, maxTiles, name, source);
+        const job = await DownloadQueue.enqueue(region.id, { maxTiles });
+        dispatch();
+        return { region, job };
+    }
+
+    /**
+     * Queue a refresh of a region's missing and stale tiles
+     * @param {Number} maxTiles - Refuse regions that need more tiles than this
+     * @returns {Object} - The queued job
+     */
+    async function refreshRegion(regionId, maxTiles) {
+        const job = await DownloadQueue.enqueue(regionId, { refresh: true, maxTiles });
+        dispatch();
+        return job;
+    }
+
+    /**
+     * Cancel a queued or running download
+     */
+    async function cancel(jobId) {
+        const serviceWorker = getServiceWorker();
+
+        if (serviceWorker) {
+            serviceWorker.postMessage({ type: 'download-cancel', jobId });
+        } else {
+            await DownloadQueue.cancel(jobId);
+        }
+    }
+
+    /**
+     * Listen for download progress
+     * @returns {Function} - Removes the listener
+     */
+    function onProgress(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Pass progress on to listeners
+     */
+    function notify(progress) {
+        listeners.forEach(listener => listener(progress));
+    }
+
+    // Public API
+    return {
+        init,
+        downloadArea,
+        refreshRegion,
+        cancel,
+        onProgress
+    };
+})();
@@ -0,0 +1,357 @@
+/**
+ * Geocoder Module
+ * Offline place search: indexes named streets, addresses and points of
+ * interest from OSM data into IndexedDB and answers prefix and fuzzy queries
+ */
+
+const Geocoder = (function() {
+    // Tags that make a named OSM element a point of interest
+    const POI_KEYS = [
+        'amenity', 'shop', 'tourism', 'leisure', 'office', 'craft', 'historic',
+        'railway', 'public_transport', 'aeroway', 'place', 'natural', 'building'
+    ];
+
+    const STREET_CELL_DEG = 0.01; // Same-named street segments within a cell count as one street
+    const FUZZY_MIN_LENGTH = 4; // Shorter query words must match a prefix exactly
+    const MAX_TOKEN_SCAN = 5000; // Index keys examined per fuzzy lookup
+    const MAX_MATCHED_TOKENS = 40; // Index keys whose places are loaded per query
+    const MAX_PLACES_PER_TOKEN = 200;
+    const DEFAULT_LIMIT = 8;
+    const DETAIL_MATCH_PENALTY = 0.25; // Prefer places whose name matches over their address line
+
+    // Common street abbreviations; a query word also matches its expansion
+    const ABBREVIATIONS = {
+        st: 'street', rd: 'road', ave: 'avenue', av: 'avenue', blvd: 'boulevard',
+        dr: 'drive', ln: 'lane', ct: 'court', pl: 'place', sq: 'square',
+        hwy: 'highway', pkwy: 'parkway', mt: 'mount', ft: 'fort'
+    };
+
+    /**
+     * Extract searchable places from parsed OSM data
+     * @param {Object} osmData - Result of OsmImporter.parse()
+     * @returns {Array} - [{ id, name, type, detail, lat, lng, tokens }]
+     */
+    function extractPlaces(osmData) {
+        const places = new Map();
+
+        for (const [id, node] of osmData.nodes) {
+            const place = describeElement(node.tags);
+            if (place && isFinite(node.lat) && isFinite(node.lng)) {
+                addPlace(places, { id: `n${id}`, ...place, lat: node.lat, lng: node.lng });
+            }
+        }
+
+        for (const way of osmData.ways) {
+            const points = way.nodes
+                .map(id => osmData.nodes.get(id))
+                .filter(node => node && isFinite(node.lat) && isFinite(node.lng));
+
+            if (points.length === 0) {
+                continue;
+            }
+
+            if (way.tags.highway && way.tags.name) {
+                // Streets are split into many ways; keep one entry per street
+                // and area, placed on the road itself
+                const middle = points[Math.floor(points.length / 2)];
+                const cell = `${Math.floor(middle.lat / STREET_CELL_DEG)}:${Math.floor(middle.lng / STREET_CELL_DEG)}`;
+                addPlace(places, {
+                    id: `s${normalize(way.tags.name)}:${cell}`,
+                    name: way.tags.name,
+                    type: 'street',
+                    detail: 'Street',
+                    lat: middle.lat,
+                    lng: middle.lng
+                });
+                continue;
+            }
+
+            const place = describeElement(way.tags);
+            if (place) {
+                const center = centroid(points);
+                addPlace(places, { id: `w${way.id}`, ...place, lat: center.lat, lng: center.lng });
+            }
+        }
+
+        return Array.from(places.values());
+    }
+
+    /**
+     * Name, type and detail line for a POI or address, or null if the
+     * element is not searchable
+     */
+    function describeElement(tags) {
+        const address = formatAddress(tags);
+        const poiKey = POI_KEYS.find(key => tags[key] && tags[key] !== 'no');
+
+        if (tags.name && poiKey) {
+            const kind = tags[poiKey] === 'yes' ? poiKey : tags[poiKey];
+            const label = kind.replace(/_/g, ' ');
+            return {
+                name: tags.name,
+                type: kind,
+                detail: address ? `${capitalize(label)}, ${address}` : capitalize(label)
+            };
+        }
+
+        if (address) {
+            return {
+                name: address,
+                type: 'address',
+                detail: [tags['addr:postcode'], tags['addr:city']].filter(Boolean).join(' ') || 'Address'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * House number and street of an element, or null
+     */
+    function formatAddress(tags) {
+        const street = tags['addr:street'] || tags['addr:place'];
+        const number = tags['addr:housenumber'];
+
+        if (!street || !number) {
+            return null;
+        }
+
+        return `${number} ${street}`;
+    }
+
+    /**
+     * Add a place with its search tokens; the first entry for an ID wins
+     */
+    function addPlace(places, place) {
+        if (places.has(place.id)) {
+            return;
+        }
+
+        place.tokens = Array.from(new Set([
+            ...tokenize(place.name),
+            ...tokenize(place.detail)
+        ]));
+        places.set(place.id, place);
+    }
+
+    /**
+     * Extract and store the places in parsed OSM data
+     * @param {Number} regionId - Download region the data belongs to, if any
+     * @returns {Number} - Number of places indexed
+     */
+    async function indexOsmData(osmData, regionId = null) {
+        const places = extractPlaces(osmData);
+
+        if (places.length > 0) {
+            await CacheManager.savePlaces(places, regionId);
+        }
+
+        return places.length;
+    }
+
+    /**
+     * Search indexed places
+     * Every query word must match the start of a word in the place, allowing
+     * small typos in longer words
+     * @param {String} query - Text typed by the user
+     * @param {Object} options - { near: {lat, lng} to rank closer places first, limit }
+     * @returns {Array} - [{ id, name, type, detail, lat, lng }] best matches first
+     */
+    async function search(query, { near = null, limit = DEFAULT_LIMIT } = {}) {
+        // Each query word with its alternative spellings
+        const words = tokenize(query).map(word => ABBREVIATIONS[word] ? [word, ABBREVIATIONS[word]] : [word]);
+        if (words.length === 0) {
+            return [];
+        }
+
+        // Look up candidates by the longest word; it is the most selective
+        const anchor = words.reduce((longest, word) => word[0].length > longest[0].length ? word : longest);
+        const tokens = new Set();
+        for (const variant of anchor) {
+            (await findTokens(variant)).forEach(token => tokens.add(token));
+        }
+
+        const candidates = new Map();
+        for (const token of tokens) {
+            const places = await CacheManager.getPlacesByToken(token, MAX_PLACES_PER_TOKEN);
+            for (const place of places) {
+                candidates.set(place.id, place);
+            }
+        }
+
+        const results = [];
+        for (const place of candidates.values()) {
+            const cost = matchCost(words, place);
+            if (cost === Infinity) {
+                continue;
+            }
+
+            const distance = near
+                ? Pathfinder.haversineDistance(near.lat, near.lng, place.lat, place.lng)
+                : 0;
+            results.push({ place, cost, distance });
+        }
+
+        results.sort((a, b) => a.cost - b.cost || a.distance - b.distance);
+
+        return results.slice(0, limit).map(({ place }) => ({
+            id: place.id,
+            name: place.name,
+            type: place.type,
+            detail: place.detail,
+            lat: place.lat,
+            lng: place.lng
+        }));
+    }
+
+    /**
+     * Find indexed tokens that a query word may refer to, closest first
+     */
+    async function findTokens(word) {
+        const keys = new Set(await CacheManager.getPlaceTokens(word, word + '\uffff', MAX_MATCHED_TOKENS));
+
+        // Typos are not expected in the first letter, which keeps the scan small
+        if (word.length >= FUZZY_MIN_LENGTH) {
+            const similar = await CacheManager.getPlaceTokens(word[0], word[0] + '\uffff', MAX_TOKEN_SCAN);
+            similar.forEach(key => keys.add(key));
+        }
+
+        return Array.from(keys)
+            .map(token => ({ token, cost: wordCost(word, token) }))
+            .filter(match => match.cost !== Infinity)
+            .sort((a, b) => a.cost - b.cost)
+            .slice(0, MAX_MATCHED_TOKENS)
+            .map(match => match.token);
+    }
+
+    /**
+     * Total cost of matching every query word to a word of the place
+     * @param {Array} words - Alternative spellings of each query word
+     */
+    function matchCost(words, place) {
+        const nameTokens = tokenize(place.name);
+        let total = 0;
+
+        for (const variants of words) {
+            let best = Infinity;
+            for (const word of variants) {
+                for (const token of place.tokens) {
+                    const penalty = nameTokens.includes(token) ? 0 : DETAIL_MATCH_PENALTY;
+                    best = Math.min(best, wordCost(word, token) + penalty);
+                }
+            }
+            if (best === Infinity) {
+                return Infinity;
+            }
+            total += best;
+        }
+
+        return total;
+    }
+
+    /**
+     * Cost of matching a query word to a token: 0 for an exact match, 0.5
+     * for a prefix, 1 + edits for a fuzzy prefix, Infinity for no match
+     */
+    function wordCost(word, token) {
+        if (token === word) return 0;
+        if (token.startsWith(word)) return 0.5;
+
+        const allowed = word.length < FUZZY_MIN_LENGTH ? 0 : word.length < 8 ? 1 : 2;
+        if (allowed === 0) {
+            return Infinity;
+        }
+
+        const edits = prefixEditDistance(word, token, allowed);
+        return edits <= allowed ? 1 + edits : Infinity;
+    }
+
+    /**
+     * Smallest edit distance between a word and any prefix of a token,
+     * counting adjacent transpositions as one edit
+     * @param {Number} max - Give up once every alignment exceeds this
+     */
+    function prefixEditDistance(word, token, max) {
+        const rows = word.length + 1;
+        const cols = token.length + 1;
+        let previous2 = null;
+        let previous = Array.from({ length: cols }, (_, j) => j);
+
+        for (let i = 1; i < rows; i++) {
+            const current = new Array(cols);
+            current[0] = i;
+            let rowMin = current[0];
+
+            for (let j = 1; j < cols; j++) {
+                const substitution = word[i - 1] === token[j - 1] ? 0 : 1;
+                let value = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + substitution
+                );
+
+                if (previous2 && i > 1 && j > 1 &&
+                    word[i - 1] === token[j - 2] && word[i - 2] === token[j - 1]) {
+                    value = Math.min(value, previous2[j - 2] + 1);
+                }
+
+                current[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > max) {
+                return Infinity;
+            }
+
+            previous2 = previous;
+            previous = current;
+        }
+
+        // Whatever follows the matched prefix of the token is free
+        return Math.min(...previous);
+    }
+
+    /**
+     * Split text into lowercase words without diacritics
+     */
+    function tokenize(text) {
+        return normalize(text || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    /**
+     * Lowercase text and strip diacritics
+     */
+    function normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Average position of a set of points
+     */
+    function centroid(points) {
+        let lat = 0;
+        let lng = 0;
+
+        for (const point of points) {
+            lat += point.lat;
+            lng += point.lng;
+        }
+
+        return { lat: lat / points.length, lng: lng / points.length };
+    }
+
+    /**
+     * Capitalize the first letter of a label
+     */
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Public API
+    return {
+        extractPlaces,
+        indexOsmData,
+        search,
+        tokenize
+    };
+})();
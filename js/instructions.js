@@ -0,0 +1,236 @@
+/**
+ * Route Instructions Module
+ * Turns a computed path into turn-by-turn steps from bearing changes and street names
+ */
+
+const RouteInstructions = (function() {
+    // Turn angle thresholds in degrees
+    const STRAIGHT_MAX_DEG = 20;
+    const SLIGHT_MAX_DEG = 45;
+    const NORMAL_MAX_DEG = 135;
+    const UTURN_MIN_DEG = 170;
+
+    // Bends on the same street sharper than this get their own step
+    const SAME_STREET_TURN_DEG = 60;
+
+    // Descriptions for unnamed ways
+    const HIGHWAY_LABELS = {
+        footway: 'the footpath',
+        path: 'the path',
+        pedestrian: 'the pedestrian street',
+        steps: 'the steps',
+        corridor: 'the corridor',
+        cycleway: 'the cycle path',
+        service: 'the service road',
+        track: 'the track',
+        motorway_link: 'the ramp',
+        trunk_link: 'the ramp'
+    };
+
+    const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+    const ICONS = {
+        depart: 'trip_origin',
+        arrive: 'flag',
+        via: 'where_to_vote',
+        straight: 'straight',
+        'slight left': 'turn_slight_left',
+        'slight right': 'turn_slight_right',
+        left: 'turn_left',
+        right: 'turn_right',
+        'sharp left': 'turn_sharp_left',
+        'sharp right': 'turn_sharp_right',
+        uturn: 'u_turn_left'
+    };
+
+    /**
+     * Generate steps for a route
+     * @param {Array} path - [{lat, lng}] route points
+     * @param {Array} segments - [{ distance, name, highway }] where segments[i] runs path[i] -> path[i + 1]
+     * @param {Array} stops - Path indices of intermediate stops
+     * @returns {Array} - [{ type, modifier, name, index, location, distance, text, icon }]
+     *          index is the path point where the step starts and distance (km)
+     *          runs to the next step; 'via' steps also have stop, the stop's
+     *          position in stops
+     */
+    function generate(path, segments = [], stops = []) {
+        if (!path || path.length < 2) {
+            return [];
+        }
+
+        const steps = [];
+        const bearings = [];
+        for (let i = 1; i < path.length; i++) {
+            bearings.push(bearing(path[i - 1], path[i]));
+        }
+
+        const first = segments[0] || {};
+        steps.push(createStep('depart', compassDirection(bearings[0]), first, 0, path[0]));
+
+        // Stops come before any turn at the same point
+        let nextStop = 0;
+        const addStopsUpTo = (index) => {
+            while (nextStop < stops.length && stops[nextStop] <= index) {
+                const stop = createStep('via', null, {}, stops[nextStop], path[stops[nextStop]]);
+                stop.stop = nextStop;
+                stop.text = `Arrive at stop ${nextStop + 1}`;
+                steps.push(stop);
+                nextStop++;
+            }
+        };
+
+        for (let i = 1; i < bearings.length; i++) {
+            addStopsUpTo(i);
+
+            const previous = segments[i - 1] || {};
+            const next = segments[i] || {};
+            const angle = normalizeAngle(bearings[i] - bearings[i - 1]);
+            const changesStreet = streetKey(previous) !== streetKey(next);
+
+            if (!changesStreet && Math.abs(angle) < SAME_STREET_TURN_DEG) {
+                continue;
+            }
+
+            const modifier = turnModifier(angle);
+            const type = modifier === 'straight' ? 'continue' : 'turn';
+            steps.push(createStep(type, modifier, next, i, path[i], !changesStreet));
+        }
+
+        addStopsUpTo(path.length - 1);
+        steps.push(createStep('arrive', null, {}, path.length - 1, path[path.length - 1]));
+
+        // Distance of each step runs until the next one starts
+        for (let s = 0; s < steps.length - 1; s++) {
+            let distance = 0;
+            for (let i = steps[s].index; i < steps[s + 1].index; i++) {
+                distance += segments[i]
+                    ? segments[i].distance
+                    : Pathfinder.haversineDistance(path[i].lat, path[i].lng, path[i + 1].lat, path[i + 1].lng);
+            }
+            steps[s].distance = distance;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Build a step and its instruction text
+     */
+    function createStep(type, modifier, segment, index, location, staysOnStreet = false) {
+        const name = segment.name || null;
+        const way = name || HIGHWAY_LABELS[segment.highway] || null;
+        let text;
+
+        if (type === 'depart') {
+            text = way ? `Head ${modifier} on ${way}` : `Head ${modifier}`;
+        } else if (type === 'arrive') {
+            text = 'Arrive at your destination';
+        } else if (type === 'via') {
+            text = 'Arrive at the stop';
+        } else if (modifier === 'uturn') {
+            text = 'Make a U-turn';
+        } else {
+            const action = type === 'continue' ? 'Continue' : `Turn ${modifier}`;
+            const preposition = staysOnStreet ? 'to stay on' : 'onto';
+            text = way ? `${action} ${preposition} ${way}` : action;
+        }
+
+        return {
+            type,
+            modifier,
+            name,
+            index,
+            location: { lat: location.lat, lng: location.lng },
+            distance: 0,
+            text,
+            icon: ICONS[['depart', 'arrive', 'via'].includes(type) ? type : modifier]
+        };
+    }
+
+    /**
+     * Phrase a step relative to the current position, e.g. "In 200 m, turn left onto X"
+     * @param {Object} step - Step from generate()
+     * @param {Number} distanceKm - Distance remaining until the step
+     */
+    function describe(step, distanceKm) {
+        if (step.type === 'depart') {
+            return step.text;
+        }
+
+        const lead = step.text.charAt(0).toLowerCase() + step.text.slice(1);
+        return `In ${formatDistance(distanceKm)}, ${lead}`;
+    }
+
+    /**
+     * Format a distance in km for display, rounding to friendly steps
+     */
+    function formatDistance(distanceKm) {
+        if (distanceKm < 1) {
+            const meters = distanceKm * 1000;
+            const rounded = meters < 100 ? Math.round(meters / 10) * 10 : Math.round(meters / 50) * 50;
+            return `${rounded} m`;
+        }
+        return `${distanceKm.toFixed(1)} km`;
+    }
+
+    /**
+     * Key used to decide whether two segments belong to the same street
+     */
+    function streetKey(segment) {
+        return segment.name || segment.highway || null;
+    }
+
+    /**
+     * Classify a turn angle (degrees, positive = right)
+     */
+    function turnModifier(angle) {
+        const magnitude = Math.abs(angle);
+        const side = angle > 0 ? 'right' : 'left';
+
+        if (magnitude < STRAIGHT_MAX_DEG) return 'straight';
+        if (magnitude < SLIGHT_MAX_DEG) return `slight ${side}`;
+        if (magnitude < NORMAL_MAX_DEG) return side;
+        if (magnitude < UTURN_MIN_DEG) return `sharp ${side}`;
+        return 'uturn';
+    }
+
+    /**
+     * Name the compass direction of a bearing
+     */
+    function compassDirection(bearingDeg) {
+        return COMPASS[Math.round(bearingDeg / 45) % 8];
+    }
+
+    /**
+     * Normalize an angle to (-180, 180]
+     */
+    function normalizeAngle(angle) {
+        let result = angle % 360;
+        if (result > 180) result -= 360;
+        if (result <= -180) result += 360;
+        return result;
+    }
+
+    /**
+     * Initial bearing from one point to another, in degrees clockwise from north
+     */
+    function bearing(from, to) {
+        const toRad = Math.PI / 180;
+        const lat1 = from.lat * toRad;
+        const lat2 = to.lat * toRad;
+        const dLng = (to.lng - from.lng) * toRad;
+
+        const y = Math.sin(dLng) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+
+        return (Math.atan2(y, x) / toRad + 360) % 360;
+    }
+
+    // Public API
+    return {
+        generate,
+        describe,
+        formatDistance,
+        bearing
+    };
+})();
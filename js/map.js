@@ -9,16 +9,75 @@ const MapManager = (function() {
     let originMarker = null;
     let destinationMarker = null;
     let routePolyline = null;
+    let alternativeLayer = null;
+    let stopMarkers = [];
+    let addingStop = false;
+    let routeEditing = true;
+    let suppressClick = false;
+
+    // What the next plain map click sets: 0 = origin, 1 = destination
+    let clickCount = 0;
+    let regionLayer = null;
+    let waypointLayer = null;
+    let avoidLayer = null;
+    let isochroneLayer = null;
+    let areaDrawing = null; // { points, outline, resolve } while an avoid area is drawn
+    let locationPick = null; // Resolves with the next clicked location
+    let tileLayers = null;
+    let tileSource = 'raster';
     let currentLocation = null;
+    let watchId = null;
 
     // Default location (San Francisco)
     const DEFAULT_LOCATION = { lat: 37.7749, lng: -122.4194 };
     const DEFAULT_ZOOM = 13;
 
+    // Bookmark categories and how their markers look
+    const WAYPOINT_CATEGORIES = {
+        favorite: { label: 'Favorite', icon: 'star', color: '#f9a825' },
+        home: { label: 'Home', icon: 'home', color: '#2e7d32' },
+        work: { label: 'Work', icon: 'work', color: '#5d4037' },
+        food: { label: 'Food & drink', icon: 'restaurant', color: '#e65100' },
+        fuel: { label: 'Fuel & charging', icon: 'local_gas_station', color: '#455a64' },
+        lodging: { label: 'Lodging', icon: 'hotel', color: '#6a1b9a' },
+        other: { label: 'Other', icon: 'place', color: '#1976d2' }
+    };
+    const DEFAULT_WAYPOINT_CATEGORY = 'favorite';
+
+    // Colors of the best route and its alternatives, in order
+    const ROUTE_COLORS = ['#1976d2', '#7b1fa2', '#00897b', '#ef6c00'];
+
+    // Pointer travel that turns a press on the route line into a drag
+    const ROUTE_DRAG_THRESHOLD_PX = 4;
+
+    // Reachability bands, nearest first
+    const ISOCHRONE_COLORS = ['#2e7d32', '#9e9d24', '#ef6c00', '#c62828'];
+
+    // Avoided areas and roads; expired ones are drawn greyed out
+    const AVOID_COLOR = '#c62828';
+    const EXPIRED_AVOID_COLOR = '#757575';
+
+    /*
+     * Popup buttons fire these events on the map:
+     *   'bookmarkrequest' { location, name } - bookmark a marker's position
+     *   'waypointaction' { action, waypoint } - action is 'origin', 'destination',
+     *                                           'stop', 'edit' or 'delete'
+     *   'avoidaction' { action, avoid } - action is 'delete'
+     * Other events fired on the map:
+     *   'stopschange' - intermediate stops were added, moved or removed
+     *   'alternativeselect' { index } - an alternative route line was clicked
+     *   'routeedit' { kind } - the origin, destination or a stop marker ('origin',
+     *                          'destination' or 'stop') was dragged to a new place
+     *   'routedrag' { location, pathIndex } - the route line was dragged to location,
+     *                          from the segment starting at path[pathIndex]
+     */
+
     /**
      * Initialize the map
+     * @param {Object} options - { tileSource: 'raster' or 'vector' base map,
+     *                            showWaypoints: show the bookmarks layer }
      */
-    function init(containerId = 'map') {
+    function init(containerId = 'map', { tileSource: initialSource = 'raster', showWaypoints = true } = {}) {
         try {
             // Create map instance
             map = L.map(containerId, {
@@ -27,18 +86,50 @@ const MapManager = (function() {
                 zoomControl: true
             });
 
-            // Add OpenStreetMap tile layer
-            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-                maxZoom: 19,
-                minZoom: 3
+            // OpenStreetMap raster tiles, or vector tiles drawn on the device
+            tileLayers = {
+                raster: L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+                    attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+                    maxZoom: 19,
+                    minZoom: 3
+                }),
+                vector: VectorTiles.createLayer({
+                    attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, ' +
+                        '<a href="https://versatiles.org">VersaTiles</a>',
+                    maxZoom: 19,
+                    minZoom: 3
+                })
+            };
+
+            tileSource = tileLayers[initialSource] ? initialSource : 'raster';
+            tileLayers[tileSource].addTo(map);
+
+            // Bookmarks can be hidden from the layer control
+            waypointLayer = L.layerGroup();
+            if (showWaypoints) {
+                waypointLayer.addTo(map);
+            }
+
+            avoidLayer = L.layerGroup().addTo(map);
+
+            L.control.layers({
+                'Standard': tileLayers.raster,
+                'Vector (compact offline)': tileLayers.vector
+            }, {
+                'Bookmarks': waypointLayer,
+                'Avoided areas': avoidLayer
             }).addTo(map);
 
+            map.on('baselayerchange', (event) => {
+                tileSource = Object.keys(tileLayers).find(source => tileLayers[source] === event.layer);
+            });
+
             // Try to get user's current location
             getCurrentLocation();
 
             // Setup map click handler for setting origin/destination
             setupMapClickHandler();
+            setRouteEditing(true);
 
             console.log('Map initialized successfully');
             return map;
@@ -84,6 +175,76 @@ const MapManager = (function() {
         }
     }
 
+    /**
+     * Follow the user's position continuously
+     * @param {Function} onPosition - Called with ({lat, lng}, accuracy in meters)
+     * @param {Function} onError - Called with a GeolocationPositionError
+     * @returns {Boolean} - false if geolocation is unavailable
+     */
+    function startTracking(onPosition, onError = null) {
+        if (!('geolocation' in navigator)) {
+            showToast('Geolocation not supported by your browser');
+            return false;
+        }
+
+        stopTracking();
+
+        watchId = navigator.geolocation.watchPosition(
+            (position) => {
+                currentLocation = {
+                    lat: position.coords.latitude,
+                    lng: position.coords.longitude
+                };
+
+                moveCurrentLocationMarker(currentLocation);
+                onPosition(currentLocation, position.coords.accuracy);
+            },
+            (error) => {
+                console.warn('Geolocation tracking error:', error.message);
+                if (onError) {
+                    onError(error);
+                }
+            },
+            {
+                enableHighAccuracy: true,
+                timeout: 15000,
+                maximumAge: 1000
+            }
+        );
+
+        return true;
+    }
+
+    /**
+     * Stop following the user's position
+     */
+    function stopTracking() {
+        if (watchId !== null) {
+            navigator.geolocation.clearWatch(watchId);
+            watchId = null;
+        }
+    }
+
+    /**
+     * Move the current location marker without reopening its popup
+     */
+    function moveCurrentLocationMarker(location) {
+        if (currentLocationMarker) {
+            currentLocationMarker.setLatLng([location.lat, location.lng]);
+        } else {
+            showCurrentLocationMarker(location);
+        }
+    }
+
+    /**
+     * Pan the map to a location, keeping the zoom level
+     */
+    function panTo(location) {
+        if (map) {
+            map.panTo([location.lat, location.lng]);
+        }
+    }
+
     /**
      * Show current location marker
      */
@@ -104,7 +265,7 @@ const MapManager = (function() {
             title: 'Current Location'
         }).addTo(map);
 
-        currentLocationMarker.bindPopup('You are here').openPopup();
+        currentLocationMarker.bindPopup(createLocationPopup(currentLocationMarker, 'You are here')).openPopup();
     }
 
     /**
@@ -125,20 +286,31 @@ const MapManager = (function() {
      * Setup map click handler
      */
     function setupMapClickHandler() {
-        let clickCount = 0;
-
         map.on('click', (e) => {
             const { lat, lng } = e.latlng;
 
-            if (clickCount === 0) {
+            if (suppressClick) {
+                // Click ending a route line drag
+                suppressClick = false;
+            } else if (areaDrawing) {
+                addAreaPoint(e.latlng);
+            } else if (locationPick) {
+                const resolve = locationPick;
+                locationPick = null;
+                resolve({ lat, lng });
+            } else if (addingStop) {
+                // Requested through requestStop()
+                addingStop = false;
+                addStop({ lat, lng });
+                showToast(`Stop ${stopMarkers.length} added`);
+            } else if (clickCount === 0) {
                 // First click: set origin
                 setOriginMarker({ lat, lng });
-                clickCount = 1;
+                clickCount = 1; // Even with a destination set, as a new pair is started
                 showToast('Origin set. Click again to set destination.');
             } else if (clickCount === 1) {
                 // Second click: set destination
                 setDestinationMarker({ lat, lng });
-                clickCount = 0;
                 showToast('Destination set. Click "Calculate Route" to proceed.');
             }
         });
@@ -161,11 +333,14 @@ const MapManager = (function() {
 
         originMarker = L.marker([location.lat, location.lng], {
             icon: greenIcon,
-            title: 'Origin'
+            title: 'Origin',
+            address,
+            draggable: routeEditing
         }).addTo(map);
 
-        const popupContent = address || 'Starting Point';
-        originMarker.bindPopup(popupContent);
+        originMarker.bindPopup(createLocationPopup(originMarker, address || 'Starting Point', address));
+        watchMarkerDrag(originMarker, 'origin', 'Starting Point');
+        syncClickCount();
 
         return originMarker;
     }
@@ -187,19 +362,557 @@ const MapManager = (function() {
 
         destinationMarker = L.marker([location.lat, location.lng], {
             icon: redIcon,
-            title: 'Destination'
+            title: 'Destination',
+            address,
+            draggable: routeEditing
         }).addTo(map);
 
-        const popupContent = address || 'Destination';
-        destinationMarker.bindPopup(popupContent);
+        destinationMarker.bindPopup(createLocationPopup(destinationMarker, address || 'Destination', address));
+        watchMarkerDrag(destinationMarker, 'destination', 'Destination');
+        syncClickCount();
 
         return destinationMarker;
     }
 
     /**
-     * Draw route on map
+     * Point the click counter at the end point still missing, so clicks carry
+     * on from markers set by search, saved routes or drags; once both are
+     * set, the next click starts a new pair
+     */
+    function syncClickCount() {
+        clickCount = originMarker && !destinationMarker ? 1 : 0;
+    }
+
+    /**
+     * Handle a route marker being dragged: its place name no longer applies
+     * @param {String} kind - 'origin', 'destination' or 'stop'
+     * @param {String} title - Popup title without a place name
+     */
+    function watchMarkerDrag(marker, kind, title) {
+        marker.on('dragend', () => {
+            marker.options.address = null;
+            marker.setPopupContent(createLocationPopup(marker, title));
+            map.fire('routeedit', { kind });
+        });
+    }
+
+    /**
+     * Allow or prevent editing the route on the map by dragging its markers
+     * and line; prevented while navigating
+     */
+    function setRouteEditing(enabled) {
+        routeEditing = enabled;
+
+        for (const marker of [originMarker, destinationMarker, ...stopMarkers]) {
+            if (marker && marker.dragging) {
+                if (enabled) {
+                    marker.dragging.enable();
+                } else {
+                    marker.dragging.disable();
+                }
+            }
+        }
+
+        map.getContainer().classList.toggle('route-editing', enabled);
+    }
+
+    /**
+     * Drag a new stop out of the route line with a mouse, finger or pen;
+     * fires 'routedrag' where it is dropped
+     * @param {PointerEvent} event - pointerdown on the route line
+     */
+    function startRouteDrag(event) {
+        if (!routeEditing || !event.isPrimary || event.button !== 0) {
+            return;
+        }
+
+        // Keep the map from panning, by mouse or by touch, while the line is dragged
+        L.DomEvent.stop(event);
+        map.dragging.disable();
+
+        const startPoint = map.mouseEventToContainerPoint(event);
+        const startLatLng = map.containerPointToLatLng(startPoint);
+        const pathIndex = findPathSegment(routePolyline.getLatLngs(), startLatLng);
+        const handle = L.marker(startLatLng, { icon: createStopIcon('+'), interactive: false }).addTo(map);
+        let moved = false;
+
+        const move = (moveEvent) => {
+            if (moveEvent.pointerId !== event.pointerId) {
+                return;
+            }
+
+            const point = map.mouseEventToContainerPoint(moveEvent);
+            moved = moved || point.distanceTo(startPoint) > ROUTE_DRAG_THRESHOLD_PX;
+            handle.setLatLng(map.containerPointToLatLng(point));
+        };
+
+        const end = (endEvent) => {
+            if (endEvent.pointerId !== event.pointerId) {
+                return;
+            }
+
+            L.DomEvent.off(document, 'pointermove', move);
+            L.DomEvent.off(document, 'pointerup pointercancel', end);
+            map.dragging.enable();
+            map.removeLayer(handle);
+
+            if (moved && endEvent.type === 'pointerup') {
+                // Releasing the button over the map also clicks it
+                suppressClick = true;
+                setTimeout(() => {
+                    suppressClick = false;
+                }, 0);
+
+                const latLng = handle.getLatLng();
+                map.fire('routedrag', { location: { lat: latLng.lat, lng: latLng.lng }, pathIndex });
+            }
+        };
+
+        L.DomEvent.on(document, 'pointermove', move);
+        L.DomEvent.on(document, 'pointerup pointercancel', end);
+    }
+
+    /**
+     * Index of the line segment nearest to a point, by where it is drawn
+     * @param {Array} latLngs - Line vertices
+     * @returns {Number} - Index of the segment's first vertex
+     */
+    function findPathSegment(latLngs, latLng) {
+        const point = map.latLngToLayerPoint(latLng);
+        let nearest = 0;
+        let nearestDistance = Infinity;
+
+        for (let i = 1; i < latLngs.length; i++) {
+            const distance = L.LineUtil.pointToSegmentDistance(
+                point,
+                map.latLngToLayerPoint(latLngs[i - 1]),
+                map.latLngToLayerPoint(latLngs[i])
+            );
+            if (distance < nearestDistance) {
+                nearest = i - 1;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Popup of a location marker with a button to bookmark it
+     * @param {String} name - Suggested bookmark name
+     */
+    function createLocationPopup(marker, title, name = null) {
+        const content = document.createElement('div');
+        content.className = 'map-popup';
+
+        const titleElement = document.createElement('div');
+        titleElement.className = 'map-popup-title';
+        titleElement.textContent = title;
+
+        const actions = document.createElement('div');
+        actions.className = 'map-popup-actions';
+        actions.append(createPopupButton('bookmark_add', 'Bookmark', () => {
+            const latLng = marker.getLatLng();
+            map.fire('bookmarkrequest', { location: { lat: latLng.lat, lng: latLng.lng }, name });
+        }));
+
+        content.append(titleElement, actions);
+        return content;
+    }
+
+    /**
+     * Small text button for popups; closes the popup when clicked
+     */
+    function createPopupButton(icon, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'map-popup-button';
+
+        const iconElement = document.createElement('span');
+        iconElement.className = 'material-icons';
+        iconElement.textContent = icon;
+
+        button.append(iconElement, label);
+        button.addEventListener('click', () => {
+            map.closePopup();
+            onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Show bookmarks on the bookmarks layer, replacing any shown before
+     * @param {Array} waypoints - [{ id, name, category, notes, lat, lng }]
+     */
+    function showWaypoints(waypoints) {
+        if (!waypointLayer) return;
+
+        waypointLayer.clearLayers();
+
+        waypoints.forEach((waypoint) => {
+            const category = getWaypointCategory(waypoint.category);
+            const icon = L.divIcon({
+                className: 'waypoint-marker',
+                html: `<span class="material-icons" style="color: ${category.color};">${category.icon}</span>`,
+                iconSize: [28, 28],
+                iconAnchor: [14, 28],
+                popupAnchor: [0, -24]
+            });
+
+            L.marker([waypoint.lat, waypoint.lng], { icon, title: waypoint.name })
+                .bindPopup(() => createWaypointPopup(waypoint))
+                .addTo(waypointLayer);
+        });
+    }
+
+    /**
+     * Popup of a bookmark: its details and what can be done with it
+     */
+    function createWaypointPopup(waypoint) {
+        const content = document.createElement('div');
+        content.className = 'map-popup';
+
+        const title = document.createElement('div');
+        title.className = 'map-popup-title';
+        title.textContent = waypoint.name;
+
+        const category = document.createElement('div');
+        category.className = 'map-popup-meta';
+        category.textContent = getWaypointCategory(waypoint.category).label;
+
+        content.append(title, category);
+
+        if (waypoint.notes) {
+            const notes = document.createElement('p');
+            notes.className = 'map-popup-notes';
+            notes.textContent = waypoint.notes;
+            content.append(notes);
+        }
+
+        const fire = action => () => map.fire('waypointaction', { action, waypoint });
+
+        const actions = document.createElement('div');
+        actions.className = 'map-popup-actions';
+        actions.append(
+            createPopupButton('trip_origin', 'From here', fire('origin')),
+            createPopupButton('location_on', 'To here', fire('destination')),
+            createPopupButton('add_location_alt', 'Add stop', fire('stop')),
+            createPopupButton('edit', 'Edit', fire('edit')),
+            createPopupButton('delete', 'Delete', fire('delete'))
+        );
+
+        content.append(actions);
+        return content;
+    }
+
+    /**
+     * Open a form to name and describe a bookmark at its location
+     * @param {Object} waypoint - { lat, lng, name, category, notes }
+     * @returns {Promise<Object|null>} - The edited bookmark, or null if dismissed
+     */
+    function editWaypoint(waypoint) {
+        return new Promise((resolve) => {
+            const form = document.createElement('form');
+            form.className = 'map-popup waypoint-form';
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.required = true;
+            name.maxLength = 100;
+            name.placeholder = 'Name';
+            name.setAttribute('aria-label', 'Bookmark name');
+            name.value = waypoint.name || '';
+
+            const category = document.createElement('select');
+            category.setAttribute('aria-label', 'Category');
+            Object.entries(WAYPOINT_CATEGORIES).forEach(([id, { label }]) => {
+                category.add(new Option(label, id));
+            });
+            category.value = getWaypointCategoryId(waypoint.category);
+
+            const notes = document.createElement('textarea');
+            notes.rows = 3;
+            notes.placeholder = 'Notes';
+            notes.setAttribute('aria-label', 'Notes');
+            notes.value = waypoint.notes || '';
+
+            const save = document.createElement('button');
+            save.type = 'submit';
+            save.className = 'map-popup-button';
+            save.textContent = 'Save';
+
+            form.append(name, category, notes, save);
+
+            let result = null;
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                result = {
+                    ...waypoint,
+                    name: name.value.trim(),
+                    category: category.value,
+                    notes: notes.value.trim()
+                };
+                map.closePopup(popup);
+            });
+
+            const popup = L.popup({ minWidth: 220 })
+                .setLatLng([waypoint.lat, waypoint.lng])
+                .setContent(form)
+                .openOn(map);
+
+            popup.once('remove', () => resolve(result));
+            name.focus();
+        });
+    }
+
+    /**
+     * Category of a bookmark, falling back to the default for unknown ones
+     */
+    function getWaypointCategory(id) {
+        return WAYPOINT_CATEGORIES[getWaypointCategoryId(id)];
+    }
+
+    function getWaypointCategoryId(id) {
+        return WAYPOINT_CATEGORIES[id] ? id : DEFAULT_WAYPOINT_CATEGORY;
+    }
+
+    /**
+     * Whether the bookmarks layer is shown
+     */
+    function areWaypointsVisible() {
+        return Boolean(map && waypointLayer && map.hasLayer(waypointLayer));
+    }
+
+    /**
+     * Show avoided areas and roads, replacing any shown before
+     * @param {Array} avoids - As saved by CacheManager.saveAvoids
+     */
+    function showAvoids(avoids) {
+        if (!avoidLayer) return;
+
+        avoidLayer.clearLayers();
+
+        const now = Date.now();
+        avoids.forEach((avoid) => {
+            const expired = Boolean(avoid.expires && avoid.expires <= now);
+            const style = {
+                color: expired ? EXPIRED_AVOID_COLOR : AVOID_COLOR,
+                dashArray: expired ? '4 6' : null
+            };
+
+            const layer = avoid.type === 'area'
+                ? L.polygon(avoid.polygon.map(point => [point.lat, point.lng]), { ...style, weight: 2, fillOpacity: 0.15 })
+                : L.polyline([[avoid.from.lat, avoid.from.lng], [avoid.to.lat, avoid.to.lng]], { ...style, weight: 8, opacity: 0.8 });
+
+            layer.bindPopup(() => createAvoidPopup(avoid, expired)).addTo(avoidLayer);
+        });
+    }
+
+    /**
+     * Popup of an avoided area or road: its name, expiry and a delete button
+     */
+    function createAvoidPopup(avoid, expired) {
+        const content = document.createElement('div');
+        content.className = 'map-popup';
+
+        const title = document.createElement('div');
+        title.className = 'map-popup-title';
+        title.textContent = avoid.name || (avoid.type === 'area' ? 'Avoided area' : 'Blocked road');
+
+        const meta = document.createElement('div');
+        meta.className = 'map-popup-meta';
+        meta.textContent = !avoid.expires ? 'Until deleted'
+            : expired ? 'Expired'
+            : `Until ${new Date(avoid.expires).toLocaleString()}`;
+
+        const actions = document.createElement('div');
+        actions.className = 'map-popup-actions';
+        actions.append(createPopupButton('delete', 'Delete', () => map.fire('avoidaction', { action: 'delete', avoid })));
+
+        content.append(title, meta, actions);
+        return content;
+    }
+
+    /**
+     * Let the user draw an area by clicking its corners; double-click or click
+     * the first corner to finish, press Escape to cancel
+     * @returns {Promise} - Resolves with the corners [{lat, lng}], or null if cancelled
+     */
+    function drawArea() {
+        cancelAreaDrawing();
+        map.doubleClickZoom.disable();
+
+        const outline = L.polyline([], { color: AVOID_COLOR, weight: 2, dashArray: '4 4', interactive: false }).addTo(map);
+        const finish = () => finishAreaDrawing();
+        const cancelOnEscape = (event) => {
+            if (event.key === 'Escape') {
+                cancelAreaDrawing();
+            }
+        };
+
+        map.on('dblclick', finish);
+        L.DomEvent.on(document, 'keydown', cancelOnEscape);
+
+        return new Promise((resolve) => {
+            areaDrawing = {
+                points: [],
+                outline,
+                resolve: (points) => {
+                    map.off('dblclick', finish);
+                    L.DomEvent.off(document, 'keydown', cancelOnEscape);
+                    map.removeLayer(outline);
+                    map.doubleClickZoom.enable();
+                    areaDrawing = null;
+                    resolve(points);
+                }
+            };
+        });
+    }
+
+    /**
+     * Add a corner to the area being drawn; clicking near the first closes it
+     */
+    function addAreaPoint(latLng) {
+        const points = areaDrawing.points;
+        const clicked = map.latLngToContainerPoint(latLng);
+        const near = point => point && map.latLngToContainerPoint(point).distanceTo(clicked) < 10;
+
+        if (points.length >= 3 && near(points[0])) {
+            finishAreaDrawing();
+            return;
+        }
+
+        // The clicks of a double-click land on the last corner
+        if (!near(points[points.length - 1])) {
+            points.push({ lat: latLng.lat, lng: latLng.lng });
+            areaDrawing.outline.setLatLngs(points.map(point => [point.lat, point.lng]));
+        }
+    }
+
+    function finishAreaDrawing() {
+        if (areaDrawing) {
+            const points = areaDrawing.points;
+            areaDrawing.resolve(points.length >= 3 ? points : null);
+        }
+    }
+
+    function cancelAreaDrawing() {
+        if (areaDrawing) {
+            areaDrawing.resolve(null);
+        }
+    }
+
+    /**
+     * Wait for the user to click the map
+     * @returns {Promise} - Resolves with the clicked {lat, lng}, or null if
+     *                      another pick replaced this one
+     */
+    function pickLocation() {
+        if (locationPick) {
+            locationPick(null);
+        }
+
+        return new Promise((resolve) => {
+            locationPick = resolve;
+        });
+    }
+
+    /**
+     * Add an intermediate stop after the existing ones
+     * @param {String} label - Place name, if known
+     */
+    function addStop(location, label = null) {
+        insertStop(stopMarkers.length, location, label);
+    }
+
+    /**
+     * Add an intermediate stop at a position in the order
+     * @param {String} label - Place name, if known
+     */
+    function insertStop(index, location, label = null) {
+        const stops = getStops();
+        stops.splice(index, 0, { lat: location.lat, lng: location.lng, label });
+        setStops(stops);
+    }
+
+    /**
+     * Remove an intermediate stop
+     */
+    function removeStop(index) {
+        const stops = getStops();
+        stops.splice(index, 1);
+        setStops(stops);
+    }
+
+    /**
+     * Move an intermediate stop to another position in the order
+     */
+    function moveStop(fromIndex, toIndex) {
+        const stops = getStops();
+        const [stop] = stops.splice(fromIndex, 1);
+        stops.splice(toIndex, 0, stop);
+        setStops(stops);
+    }
+
+    /**
+     * Replace the intermediate stops, drawing numbered markers for them
+     * @param {Array} stops - [{ lat, lng, label }] in travel order
+     */
+    function setStops(stops) {
+        stopMarkers.forEach(marker => map.removeLayer(marker));
+
+        stopMarkers = stops.map((stop, index) => {
+            const marker = L.marker([stop.lat, stop.lng], {
+                icon: createStopIcon(index + 1),
+                title: `Stop ${index + 1}`,
+                address: stop.label || null,
+                draggable: routeEditing
+            }).addTo(map);
+
+            marker.bindPopup(createLocationPopup(marker, stop.label || `Stop ${index + 1}`, stop.label));
+            watchMarkerDrag(marker, 'stop', `Stop ${index + 1}`);
+            marker.on('dragend', () => map.fire('stopschange'));
+            return marker;
+        });
+
+        map.fire('stopschange');
+    }
+
+    /**
+     * Round stop marker showing its number
      */
-    function drawRoute(path, color = '#1976d2') {
+    function createStopIcon(text) {
+        return L.divIcon({
+            className: 'stop-marker',
+            html: `<span>${text}</span>`,
+            iconSize: [24, 24],
+            iconAnchor: [12, 12]
+        });
+    }
+
+    /**
+     * Get the intermediate stops in travel order
+     * @returns {Array} - [{ lat, lng, label }]
+     */
+    function getStops() {
+        return stopMarkers.map((marker) => {
+            const latLng = marker.getLatLng();
+            return { lat: latLng.lat, lng: latLng.lng, label: marker.options.address };
+        });
+    }
+
+    /**
+     * Make the next map click add a stop instead of setting an end point
+     */
+    function requestStop() {
+        addingStop = true;
+    }
+
+    /**
+     * Draw route on map; dragging the line fires 'routedrag'
+     * @param {Boolean} fitBounds - Zoom the map to the route; off while navigating
+     */
+    function drawRoute(path, color = ROUTE_COLORS[0], fitBounds = true) {
         // Remove existing route
         clearRoute();
 
@@ -216,17 +929,132 @@ const MapManager = (function() {
             color: color,
             weight: 5,
             opacity: 0.7,
-            smoothFactor: 1
+            smoothFactor: 1,
+            className: 'route-line',
+            bubblingMouseEvents: false
         }).addTo(map);
 
+        // Pointer events cover mouse, touch and pen alike
+        L.DomEvent.on(routePolyline.getElement(), 'pointerdown', startRouteDrag);
+
         // Fit map to route bounds
-        map.fitBounds(routePolyline.getBounds(), {
-            padding: [50, 50]
-        });
+        if (fitBounds) {
+            map.fitBounds(routePolyline.getBounds(), {
+                padding: [50, 50]
+            });
+        }
 
         console.log('Route drawn on map');
     }
 
+    /**
+     * Draw the routes not selected as thinner lines that select them when clicked
+     * @param {Array} paths - Paths of the best route and its alternatives
+     * @param {Number} selectedIndex - Path drawn by drawRoute, which is skipped
+     */
+    function showAlternatives(paths, selectedIndex) {
+        clearAlternatives();
+
+        alternativeLayer = L.layerGroup(paths.map((path, index) => {
+            if (index === selectedIndex) {
+                return null;
+            }
+
+            return L.polyline(path.map(point => [point.lat, point.lng]), {
+                color: ROUTE_COLORS[index],
+                weight: 5,
+                opacity: 0.4,
+                bubblingMouseEvents: false
+            }).on('click', () => map.fire('alternativeselect', { index }));
+        }).filter(Boolean)).addTo(map);
+
+        // Keep the selected route on top
+        if (routePolyline) {
+            routePolyline.bringToFront();
+        }
+    }
+
+    /**
+     * Remove the alternative route lines
+     */
+    function clearAlternatives() {
+        if (alternativeLayer) {
+            map.removeLayer(alternativeLayer);
+            alternativeLayer = null;
+        }
+    }
+
+    /**
+     * Show the outlines of downloaded regions, replacing any shown before
+     * @param {Array} regions - [{ name, bounds }]
+     */
+    function showRegions(regions) {
+        if (!map) return;
+
+        if (regionLayer) {
+            map.removeLayer(regionLayer);
+        }
+
+        regionLayer = L.layerGroup(regions.map((region) => {
+            return L.rectangle(region.bounds, {
+                color: '#0288d1',
+                weight: 1,
+                dashArray: '4 4',
+                fillOpacity: 0.04
+            }).bindTooltip(region.name, { sticky: true });
+        })).addTo(map);
+    }
+
+    /**
+     * Fill the areas reachable within each band, replacing any shown before
+     * @param {Array} bands - [{ value, rings: [[{lat, lng}]] }] nearest first,
+     *                        as from Pathfinder.calculateIsochrones
+     * @param {Function} describe - band value -> tooltip text
+     */
+    function showIsochrones(bands, describe) {
+        clearIsochrones();
+
+        // Farthest band at the bottom, so nearer ones show on top of it
+        isochroneLayer = L.layerGroup(bands.map((band, index) => {
+            return L.polygon(band.rings.map(ring => ring.map(point => [point.lat, point.lng])), {
+                color: ISOCHRONE_COLORS[index],
+                weight: 1,
+                fillOpacity: 0.2,
+                fillRule: 'evenodd'
+            }).bindTooltip(describe(band.value), { sticky: true });
+        }).reverse()).addTo(map);
+
+        const bounds = L.featureGroup(isochroneLayer.getLayers()).getBounds();
+        if (bounds.isValid()) {
+            map.fitBounds(bounds, { padding: [20, 20] });
+        }
+
+        // Keep the route above the filled areas
+        if (routePolyline) {
+            routePolyline.bringToFront();
+        }
+    }
+
+    /**
+     * Remove the reachability areas
+     */
+    function clearIsochrones() {
+        if (isochroneLayer) {
+            map.removeLayer(isochroneLayer);
+            isochroneLayer = null;
+        }
+    }
+
+    /**
+     * Zoom the map to bounds
+     * @param {Array} bounds - [[south, west], [north, east]]
+     */
+    function fitBounds(bounds) {
+        if (map) {
+            map.fitBounds(bounds);
+        }
+    }
+
     /**
      * Clear route from map
      */
@@ -242,6 +1070,13 @@ const MapManager = (function() {
      */
     function clearAll() {
         clearRoute();
+        clearAlternatives();
+        clearIsochrones();
+        addingStop = false;
+
+        if (stopMarkers.length > 0) {
+            setStops([]);
+        }
 
         if (originMarker) {
             map.removeLayer(originMarker);
@@ -252,6 +1087,8 @@ const MapManager = (function() {
             map.removeLayer(destinationMarker);
             destinationMarker = null;
         }
+
+        syncClickCount();
     }
 
     /**
@@ -276,6 +1113,20 @@ const MapManager = (function() {
         return null;
     }
 
+    /**
+     * Get the place name the origin was set from, if any
+     */
+    function getOriginLabel() {
+        return originMarker ? originMarker.options.address : null;
+    }
+
+    /**
+     * Get the place name the destination was set from, if any
+     */
+    function getDestinationLabel() {
+        return destinationMarker ? destinationMarker.options.address : null;
+    }
+
     /**
      * Get current map bounds
      */
@@ -306,6 +1157,13 @@ const MapManager = (function() {
         return { lat: center.lat, lng: center.lng };
     }
 
+    /**
+     * Get the tile source of the base map, 'raster' or 'vector' (see TileStore)
+     */
+    function getTileSource() {
+        return tileSource;
+    }
+
     /**
      * Show toast notification (requires app.js implementation)
      */
@@ -322,16 +1180,44 @@ const MapManager = (function() {
         init,
         getCurrentLocation,
         centerOnCurrentLocation,
+        startTracking,
+        stopTracking,
+        panTo,
         setOriginMarker,
         setDestinationMarker,
+        addStop,
+        insertStop,
+        removeStop,
+        moveStop,
+        setStops,
+        getStops,
+        requestStop,
+        setRouteEditing,
         drawRoute,
         clearRoute,
+        showAlternatives,
+        clearAlternatives,
+        showRegions,
+        showIsochrones,
+        clearIsochrones,
+        showWaypoints,
+        editWaypoint,
+        showAvoids,
+        drawArea,
+        pickLocation,
+        areWaypointsVisible,
+        fitBounds,
         clearAll,
         getOrigin,
         getDestination,
+        getOriginLabel,
+        getDestinationLabel,
         getBounds,
         getZoom,
         getCenter,
+        getTileSource,
+        ROUTE_COLORS,
+        ISOCHRONE_COLORS,
         get map() { return map; },
         get currentLocation() { return currentLocation; }
     };
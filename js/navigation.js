@@ -0,0 +1,238 @@
+/**
+ * Navigation Module
+ * Follows the user along a route: tracks progress through its steps,
+ * detects leaving the route and asks for an on-device reroute
+ */
+
+const NavigationManager = (function() {
+    const OFF_ROUTE_THRESHOLD_M = 40; // Distance from the route line that counts as off route
+    const OFF_ROUTE_CONFIRM_FIXES = 3; // Consecutive off-route fixes before rerouting
+    const MAX_USABLE_ACCURACY_M = 100; // Fixes less accurate than this don't trigger rerouting
+    const ARRIVAL_THRESHOLD_M = 20; // Distance from the destination that counts as arrived
+    const REROUTE_COOLDOWN_MS = 10000; // Minimum time between reroutes
+    const SEARCH_BACK_SEGMENTS = 2; // Segments behind the last match to consider
+    const SEARCH_AHEAD_SEGMENTS = 40; // Segments ahead of the last match to consider first
+
+    // Active session, or null when not navigating
+    let session = null;
+
+    /**
+     * Start navigating a route
+     * @param {Object} route - { path, steps, distance (km), duration (minutes) }
+     * @param {Object} callbacks - {
+     *     onUpdate(state): progress after each position fix,
+     *     onReroute(location): must resolve to a new route or null,
+     *     onArrive(): destination reached,
+     *     onStop(message): navigation stopped on its own, e.g. location permission denied
+     * }
+     * @returns {Boolean} - false if position tracking is unavailable
+     */
+    function start(route, callbacks) {
+        stop();
+
+        session = {
+            callbacks,
+            offRouteCount: 0,
+            rerouting: false,
+            lastRerouteAt: 0
+        };
+        setRoute(route);
+
+        if (!MapManager.startTracking(handlePosition, handleError)) {
+            session = null;
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Stop navigating
+     */
+    function stop() {
+        if (!session) {
+            return;
+        }
+
+        MapManager.stopTracking();
+        session = null;
+    }
+
+    /**
+     * Check if a navigation session is running
+     */
+    function isActive() {
+        return session !== null;
+    }
+
+    /**
+     * Replace the route being followed (after a reroute)
+     */
+    function setRoute(route) {
+        // Distance from the start to each path point, in km
+        const cumulative = [0];
+        for (let i = 1; i < route.path.length; i++) {
+            cumulative.push(cumulative[i - 1] + Pathfinder.haversineDistance(
+                route.path[i - 1].lat, route.path[i - 1].lng,
+                route.path[i].lat, route.path[i].lng
+            ));
+        }
+
+        session.route = route;
+        session.cumulative = cumulative;
+        session.segmentIndex = 0;
+        session.offRouteCount = 0;
+    }
+
+    /**
+     * Handle a position fix from the geolocation watch
+     */
+    function handlePosition(location, accuracy) {
+        if (!session || session.route.path.length < 2) {
+            return;
+        }
+
+        const { route, cumulative } = session;
+        const match = matchToRoute(location);
+        session.segmentIndex = match.segmentIndex;
+
+        const traveled = cumulative[match.segmentIndex] + Pathfinder.haversineDistance(
+            route.path[match.segmentIndex].lat, route.path[match.segmentIndex].lng,
+            match.point.lat, match.point.lng
+        );
+        const totalDistance = cumulative[cumulative.length - 1];
+        const remainingDistance = Math.max(0, totalDistance - traveled);
+
+        // Arrived?
+        if (remainingDistance * 1000 <= ARRIVAL_THRESHOLD_M && match.distance * 1000 <= OFF_ROUTE_THRESHOLD_M) {
+            const { onArrive } = session.callbacks;
+            stop();
+            onArrive();
+            return;
+        }
+
+        // Current step is the last one starting at or before our segment
+        const steps = route.steps;
+        let stepIndex = 0;
+        for (let i = 0; i < steps.length; i++) {
+            if (steps[i].index <= match.segmentIndex) {
+                stepIndex = i;
+            }
+        }
+        const nextStep = steps[Math.min(stepIndex + 1, steps.length - 1)];
+        const distanceToNextStep = Math.max(0, cumulative[nextStep.index] - traveled);
+
+        const offRoute = match.distance * 1000 > OFF_ROUTE_THRESHOLD_M;
+        if (!offRoute) {
+            session.offRouteCount = 0;
+        } else if (accuracy <= MAX_USABLE_ACCURACY_M) {
+            session.offRouteCount++;
+        }
+
+        session.callbacks.onUpdate({
+            location,
+            stepIndex,
+            nextStep,
+            distanceToNextStep,
+            remainingDistance,
+            remainingMinutes: totalDistance > 0
+                ? Math.round(route.duration * remainingDistance / totalDistance)
+                : 0,
+            offRoute
+        });
+
+        if (session.offRouteCount >= OFF_ROUTE_CONFIRM_FIXES) {
+            reroute(location);
+        }
+    }
+
+    /**
+     * Find the closest point on the route, preferring segments just ahead of
+     * the previous match so overlapping stretches don't make progress jump
+     * @returns {Object} - { segmentIndex, point, distance (km) }
+     */
+    function matchToRoute(location) {
+        const path = session.route.path;
+        const lastSegment = path.length - 2;
+        const windowStart = Math.max(0, session.segmentIndex - SEARCH_BACK_SEGMENTS);
+        const windowEnd = Math.min(lastSegment, session.segmentIndex + SEARCH_AHEAD_SEGMENTS);
+
+        let best = closestSegment(location, windowStart, windowEnd);
+
+        // Lost the route near our last position; look at the whole path
+        if (best.distance * 1000 > OFF_ROUTE_THRESHOLD_M) {
+            const anywhere = closestSegment(location, 0, lastSegment);
+            if (anywhere.distance < best.distance) {
+                best = anywhere;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Closest point on path segments [from, to]
+     */
+    function closestSegment(location, from, to) {
+        const path = session.route.path;
+        let best = { segmentIndex: from, point: path[from], distance: Infinity };
+
+        for (let i = from; i <= to; i++) {
+            const projection = Pathfinder.projectOntoSegment(location.lat, location.lng, path[i], path[i + 1]);
+            if (projection.distance < best.distance) {
+                best = { segmentIndex: i, point: projection.point, distance: projection.distance };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Ask for a new route from the current position
+     */
+    async function reroute(location) {
+        const now = Date.now();
+        if (session.rerouting || now - session.lastRerouteAt < REROUTE_COOLDOWN_MS) {
+            return;
+        }
+
+        const current = session;
+        current.rerouting = true;
+        current.lastRerouteAt = now;
+
+        try {
+            const route = await current.callbacks.onReroute(location);
+
+            // Navigation may have been stopped while rerouting
+            if (route && session === current) {
+                setRoute(route);
+            }
+        } catch (error) {
+            console.error('Reroute error:', error);
+        } finally {
+            current.rerouting = false;
+            current.offRouteCount = 0;
+        }
+    }
+
+    /**
+     * Handle a geolocation error while navigating
+     */
+    function handleError(error) {
+        // Timeouts are common underground; keep the watch running
+        if (error.code === error.PERMISSION_DENIED && session) {
+            const { onStop } = session.callbacks;
+            stop();
+            if (onStop) {
+                onStop('Location permission denied. Navigation stopped.');
+            }
+        }
+    }
+
+    // Public API
+    return {
+        start,
+        stop,
+        isActive
+    };
+})();
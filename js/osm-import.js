@@ -0,0 +1,322 @@
+/**
+ * OSM Import Module
+ * Builds a routable Pathfinder.Graph from OpenStreetMap node/way data
+ * (OSM XML or Overpass-style JSON)
+ */
+
+const OsmImporter = (function() {
+    // Highway types that carry traffic of some kind; everything else (construction,
+    // proposed, abandoned, platforms, ...) is dropped during import
+    const ROUTABLE_HIGHWAYS = new Set([
+        'motorway', 'motorway_link',
+        'trunk', 'trunk_link',
+        'primary', 'primary_link',
+        'secondary', 'secondary_link',
+        'tertiary', 'tertiary_link',
+        'unclassified', 'residential', 'living_street', 'service', 'road',
+        'track', 'pedestrian', 'footway', 'path', 'cycleway', 'steps', 'corridor'
+    ]);
+
+    const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+    const OVERPASS_TIMEOUT_S = 90;
+
+    const XML_ENTITIES = {
+        amp: '&',
+        lt: '<',
+        gt: '>',
+        quot: '"',
+        apos: '\''
+    };
+
+    /**
+     * Parse OSM data from text, detecting JSON or XML
+     * @param {String} text - File contents
+     * @returns {Object} - { nodes: Map<id, {lat, lng, tags}>, ways: [{id, nodes, tags}] }
+     */
+    function parse(text) {
+        const trimmed = text.trim();
+
+        if (trimmed.startsWith('{')) {
+            return parseJson(JSON.parse(trimmed));
+        }
+
+        if (trimmed.startsWith('<')) {
+            return parseXml(trimmed);
+        }
+
+        throw new Error('Unrecognized OSM data format');
+    }
+
+    /**
+     * Parse Overpass-style JSON ({ elements: [...] })
+     */
+    function parseJson(data) {
+        const nodes = new Map();
+        const ways = [];
+
+        if (!data || !Array.isArray(data.elements)) {
+            throw new Error('OSM JSON has no elements array');
+        }
+
+        for (const element of data.elements) {
+            if (element.type === 'node') {
+                nodes.set(String(element.id), {
+                    lat: element.lat,
+                    lng: element.lon,
+                    tags: element.tags || {}
+                });
+            } else if (element.type === 'way' && Array.isArray(element.nodes)) {
+                ways.push({
+                    id: String(element.id),
+                    nodes: element.nodes.map(String),
+                    tags: element.tags || {}
+                });
+            }
+        }
+
+        return { nodes, ways };
+    }
+
+    /**
+     * Parse OSM XML
+     * OSM XML is flat and regular, so a tag scanner is enough and keeps this
+     * usable where DOMParser is not available (workers)
+     */
+    function parseXml(text) {
+        const nodes = new Map();
+        const ways = [];
+        const tagPattern = /<(\/?)(node|way|nd|tag|relation)\b([^>]*?)(\/?)>/g;
+
+        let current = null;
+        let match;
+
+        while ((match = tagPattern.exec(text)) !== null) {
+            const [, closing, name, attributeText, selfClosing] = match;
+
+            if (closing) {
+                current = null;
+                continue;
+            }
+
+            const attributes = parseAttributes(attributeText);
+
+            if (name === 'node') {
+                const node = {
+                    lat: parseFloat(attributes.lat),
+                    lng: parseFloat(attributes.lon),
+                    tags: {}
+                };
+                nodes.set(attributes.id, node);
+                current = selfClosing ? null : node;
+            } else if (name === 'way') {
+                const way = { id: attributes.id, nodes: [], tags: {} };
+                ways.push(way);
+                current = selfClosing ? null : way;
+            } else if (name === 'relation') {
+                // Relations are not used for routing; ignore their members and tags
+                current = null;
+            } else if (name === 'nd' && current && current.nodes) {
+                current.nodes.push(attributes.ref);
+            } else if (name === 'tag' && current) {
+                current.tags[attributes.k] = attributes.v;
+            }
+        }
+
+        if (nodes.size === 0 && ways.length === 0) {
+            throw new Error('OSM XML contains no nodes or ways');
+        }
+
+        return { nodes, ways };
+    }
+
+    /**
+     * Parse XML attributes from the inside of a tag
+     */
+    function parseAttributes(text) {
+        const attributes = {};
+        const attributePattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+
+        while ((match = attributePattern.exec(text)) !== null) {
+            attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Decode XML character entities
+     */
+    function decodeEntities(value) {
+        return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const isHex = code[1] === 'x' || code[1] === 'X';
+                return String.fromCodePoint(parseInt(code.slice(isHex ? 2 : 1), isHex ? 16 : 10));
+            }
+            return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+        });
+    }
+
+    /**
+     * Check whether a way can be routed on
+     */
+    function isRoutable(tags) {
+        return ROUTABLE_HIGHWAYS.has(tags.highway) && tags.area !== 'yes';
+    }
+
+    /**
+     * Determine the one-way direction of a way
+     * @returns {Number} - 1 for forward only, -1 for reverse only, 0 for both ways
+     */
+    function getOnewayDirection(tags) {
+        const oneway = tags.oneway;
+
+        if (oneway === 'yes' || oneway === 'true' || oneway === '1') return 1;
+        if (oneway === '-1' || oneway === 'reverse') return -1;
+        if (oneway === 'no' || oneway === 'false' || oneway === '0') return 0;
+
+        // Implied one-way streets
+        if (tags.junction === 'roundabout' || tags.junction === 'circular') return 1;
+        if (tags.highway === 'motorway') return 1;
+
+        return 0;
+    }
+
+    /**
+     * Build a routing graph from parsed OSM data
+     * @param {Object} osmData - Result of parse()
+     * @returns {Object} - { graph, stats: { nodes, edges, ways } }
+     */
+    function buildGraph(osmData) {
+        const graph = new Pathfinder.Graph();
+        let edgeCount = 0;
+        let wayCount = 0;
+
+        for (const way of osmData.ways) {
+            if (!isRoutable(way.tags)) {
+                continue;
+            }
+
+            const direction = getOnewayDirection(way.tags);
+            const options = {
+                directed: direction !== 0,
+                highway: way.tags.highway,
+                name: way.tags.name || way.tags.ref || null
+            };
+
+            // One-way streets also get a contraflow edge; profiles that ignore
+            // one-way restrictions (walking) may use it
+            const contraflowOptions = { ...options, contraflow: true };
+            let addedSegment = false;
+
+            for (let i = 1; i < way.nodes.length; i++) {
+                const from = ensureNode(graph, osmData.nodes, way.nodes[i - 1]);
+                const to = ensureNode(graph, osmData.nodes, way.nodes[i]);
+
+                // Skip segments that leave the extract
+                if (!from || !to || from === to) {
+                    continue;
+                }
+
+                const [start, end] = direction === -1 ? [to, from] : [from, to];
+                const added = graph.addEdge(start.id, end.id, options);
+
+                if (added && direction !== 0) {
+                    graph.addEdge(end.id, start.id, contraflowOptions);
+                }
+
+                if (added) {
+                    edgeCount++;
+                    addedSegment = true;
+                }
+            }
+
+            if (addedSegment) {
+                wayCount++;
+            }
+        }
+
+        return {
+            graph,
+            stats: {
+                nodes: graph.nodes.size,
+                edges: edgeCount,
+                ways: wayCount
+            }
+        };
+    }
+
+    /**
+     * Get a graph node for an OSM node ID, adding it on first use
+     */
+    function ensureNode(graph, nodes, id) {
+        const existing = graph.getNode(id);
+        if (existing) {
+            return existing;
+        }
+
+        const osmNode = nodes.get(id);
+        if (!osmNode || !isFinite(osmNode.lat) || !isFinite(osmNode.lng)) {
+            return null;
+        }
+
+        return graph.addNode(osmNode.lat, osmNode.lng, id);
+    }
+
+    /**
+     * Import a local OSM file (.osm, .xml or .json)
+     * @param {File} file - File picked by the user
+     * @returns {Object} - { graph, stats }
+     */
+    async function importFile(file) {
+        const text = await file.text();
+        const result = buildGraph(parse(text));
+
+        if (result.graph.nodes.size === 0) {
+            throw new Error('No routable roads found in file');
+        }
+
+        return result;
+    }
+
+    /**
+     * Fetch the routable road network for an area from the Overpass API,
+     * along with the named places and addresses used for offline search
+     * @param {Array} bounds - [[south, west], [north, east]]
+     * @returns {Object} - Parsed OSM data, as returned by parse()
+     */
+    async function fetchArea(bounds) {
+        const [[south, west], [north, east]] = bounds;
+        const box = `(${south},${west},${north},${east})`;
+        const highwayPattern = `^(${Array.from(ROUTABLE_HIGHWAYS).join('|')})$`;
+        const query = `[out:json][timeout:${OVERPASS_TIMEOUT_S}];(` +
+            `way["highway"~"${highwayPattern}"]${box};` +
+            `node["name"]${box};` +
+            `nw["addr:housenumber"]${box};` +
+            `way["name"][~"^(amenity|shop|tourism|leisure|office|building)$"~"."]${box};` +
+            ');(._;>;);out body;';
+
+        const response = await fetch(OVERPASS_URL, {
+            method: 'POST',
+            body: 'data=' + encodeURIComponent(query),
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Overpass request failed (${response.status})`);
+        }
+
+        return parseJson(await response.json());
+    }
+
+    // Public API
+    return {
+        fetchArea,
+        parse,
+        parseJson,
+        parseXml,
+        buildGraph,
+        importFile,
+        getOnewayDirection
+    };
+})();
@@ -5,7 +5,266 @@
 
 const Pathfinder = (function() {
     // Constants
-    const AVERAGE_SPEED_KMH = 50; // Average traveling speed in km/h for time estimation
+    const PACK_VERSION = 1; // Format version of serialized graph packs
+    const PACK_FLAG_BIDIRECTIONAL = 1; // Packed edge also runs target -> source
+    const PACK_FLAG_CONTRAFLOW = 2; // Packed edge runs against a one-way street
+    const SEARCH_CHUNK_SIZE = 1024; // Node expansions between checks for cancellation
+    const SEARCH_SLICE_MS = 30; // Longest stretch a search runs before yielding to the event loop
+    const INDEX_CELL_DEG = 0.005; // Spatial index cell size in degrees (~550 m of latitude)
+    const KM_PER_DEG_LAT = 110.574; // Length of one degree of latitude
+    const KM_PER_DEG_LNG = 111.32; // Length of one degree of longitude at the equator
+    const DEFAULT_MAX_SNAP_METERS = 500; // Points farther than this from any road are rejected
+    const EARTH_RADIUS_KM = 6371;
+    const MAX_ALTERNATIVES = 3; // Alternative routes offered besides the best one
+    const ALTERNATIVE_PENALTY = 1.4; // Cost factor added to the edges of each route found
+    const ALTERNATIVE_ATTEMPTS = 4; // Penalized searches tried per alternative wanted
+    const MAX_ALTERNATIVE_STRETCH = 1.5; // Alternatives take at most this much longer than the best route
+    const MAX_ALTERNATIVE_OVERLAP = 0.7; // Share of distance an alternative may have in common with another route
+    const MAX_TRIP_STOPS = 40; // Stops a planned trip may visit, counting its start and end
+    const MAX_ROAD_PICK_METERS = 50; // Taps farther than this from a road pick none
+    const ROAD_MATCH_KM = 0.015; // Road segments within this of a blocked road are the same road
+    const ROAD_MATCH_MIN_COS = 0.7; // ...if they also run roughly along it (cosine of the angle between them)
+    const MAX_ISOCHRONE_BANDS = 4; // Reachability bands drawn at once
+    const ISOCHRONE_GRID_SIZE = 160; // Raster cells across the widest side of the reachable area
+    const ISOCHRONE_MIN_CELL_KM = 0.02; // Finest raster cell
+    const ISOCHRONE_BUFFER_KM = 0.08; // Distance off the road network still counted as reached
+
+    // Graph most recently built from an offline pack, reused across route requests
+    let packGraphCache = { id: null, graph: null };
+
+    /**
+     * Binary min-heap of integer items keyed by a numeric priority
+     * Items are never updated in place; callers push again with a lower
+     * priority and skip stale entries when popping
+     */
+    class PriorityQueue {
+        constructor() {
+            this.items = [];
+            this.priorities = [];
+        }
+
+        get size() {
+            return this.items.length;
+        }
+
+        /**
+         * Insert an item
+         */
+        push(item, priority) {
+            const items = this.items;
+            const priorities = this.priorities;
+            let index = items.length;
+
+            items.push(item);
+            priorities.push(priority);
+
+            // Sift up
+            while (index > 0) {
+                const parentIndex = (index - 1) >> 1;
+                if (priorities[parentIndex] <= priority) {
+                    break;
+                }
+                items[index] = items[parentIndex];
+                priorities[index] = priorities[parentIndex];
+                index = parentIndex;
+            }
+
+            items[index] = item;
+            priorities[index] = priority;
+        }
+
+        /**
+         * Priority of the item that pop() would return
+         */
+        peekPriority() {
+            return this.priorities.length > 0 ? this.priorities[0] : Infinity;
+        }
+
+        /**
+         * Remove and return the item with the lowest priority
+         */
+        pop() {
+            const items = this.items;
+            const priorities = this.priorities;
+            const top = items[0];
+            const lastItem = items.pop();
+            const lastPriority = priorities.pop();
+            const length = items.length;
+
+            if (length === 0) {
+                return top;
+            }
+
+            // Sift the last item down from the root
+            let index = 0;
+            while (true) {
+                const left = index * 2 + 1;
+                if (left >= length) {
+                    break;
+                }
+
+                const right = left + 1;
+                const child = right < length && priorities[right] < priorities[left] ? right : left;
+                if (priorities[child] >= lastPriority) {
+                    break;
+                }
+
+                items[index] = items[child];
+                priorities[index] = priorities[child];
+                index = child;
+            }
+
+            items[index] = lastItem;
+            priorities[index] = lastPriority;
+            return top;
+        }
+    }
+
+    /**
+     * Uniform grid spatial index over lat/lng bounding boxes
+     * Items are bucketed into every cell their box touches; nearest queries
+     * search outward ring by ring until no unseen item can be closer
+     */
+    class GridIndex {
+        constructor(cellSize = INDEX_CELL_DEG) {
+            this.cellSize = cellSize;
+            this.cells = new Map();
+            this.minX = Infinity;
+            this.minY = Infinity;
+            this.maxX = -Infinity;
+            this.maxY = -Infinity;
+        }
+
+        /**
+         * Add an item covering the given bounding box
+         */
+        insert(item, minLat, minLng, maxLat, maxLng) {
+            const x0 = Math.floor(minLng / this.cellSize);
+            const x1 = Math.floor(maxLng / this.cellSize);
+            const y0 = Math.floor(minLat / this.cellSize);
+            const y1 = Math.floor(maxLat / this.cellSize);
+
+            for (let x = x0; x <= x1; x++) {
+                for (let y = y0; y <= y1; y++) {
+                    const key = cellKey(x, y);
+                    let bucket = this.cells.get(key);
+                    if (!bucket) {
+                        bucket = [];
+                        this.cells.set(key, bucket);
+                    }
+                    bucket.push(item);
+                }
+            }
+
+            this.minX = Math.min(this.minX, x0);
+            this.minY = Math.min(this.minY, y0);
+            this.maxX = Math.max(this.maxX, x1);
+            this.maxY = Math.max(this.maxY, y1);
+        }
+
+        /**
+         * Find the items in the cells overlapping a bounding box; items may
+         * extend beyond it
+         * @returns {Set} - Items
+         */
+        query(minLat, minLng, maxLat, maxLng) {
+            const items = new Set();
+            const x0 = Math.max(Math.floor(minLng / this.cellSize), this.minX);
+            const x1 = Math.min(Math.floor(maxLng / this.cellSize), this.maxX);
+            const y0 = Math.max(Math.floor(minLat / this.cellSize), this.minY);
+            const y1 = Math.min(Math.floor(maxLat / this.cellSize), this.maxY);
+
+            for (let x = x0; x <= x1; x++) {
+                for (let y = y0; y <= y1; y++) {
+                    const bucket = this.cells.get(cellKey(x, y));
+                    if (bucket) {
+                        bucket.forEach(item => items.add(item));
+                    }
+                }
+            }
+
+            return items;
+        }
+
+        /**
+         * Check if a point lies within the cells the index covers
+         */
+        covers(lat, lng) {
+            const x = Math.floor(lng / this.cellSize);
+            const y = Math.floor(lat / this.cellSize);
+            return x >= this.minX && x <= this.maxX && y >= this.minY && y <= this.maxY;
+        }
+
+        /**
+         * Find the item nearest to a point
+         * @param {Number} lat - Query latitude
+         * @param {Number} lng - Query longitude
+         * @param {Function} measure - item -> { distance (km), ... }
+         * @param {Number} maxDistance - Ignore items farther than this (km)
+         * @returns {Object|null} - { item, ...measure(item) } of the nearest item
+         */
+        nearest(lat, lng, measure, maxDistance = Infinity) {
+            if (this.cells.size === 0) {
+                return null;
+            }
+
+            const cx = Math.floor(lng / this.cellSize);
+            const cy = Math.floor(lat / this.cellSize);
+
+            // Shortest side of a cell, so k rings always cover at least k * cellKm
+            const cellKm = this.cellSize * Math.min(KM_PER_DEG_LAT, KM_PER_DEG_LNG * Math.cos(toRadians(lat)));
+            const maxRing = Math.max(
+                cx - this.minX, this.maxX - cx,
+                cy - this.minY, this.maxY - cy
+            );
+
+            const seen = new Set();
+            let best = null;
+
+            for (let ring = 0; ring <= maxRing; ring++) {
+                for (let x = cx - ring; x <= cx + ring; x++) {
+                    for (let y = cy - ring; y <= cy + ring; y++) {
+                        // Only visit the cells on the ring's perimeter
+                        if (Math.abs(x - cx) !== ring && Math.abs(y - cy) !== ring) {
+                            continue;
+                        }
+
+                        const bucket = this.cells.get(cellKey(x, y));
+                        if (!bucket) {
+                            continue;
+                        }
+
+                        for (const item of bucket) {
+                            if (seen.has(item)) {
+                                continue;
+                            }
+                            seen.add(item);
+
+                            const result = measure(item);
+                            if (result.distance <= maxDistance && (!best || result.distance < best.distance)) {
+                                best = { item, ...result };
+                            }
+                        }
+                    }
+                }
+
+                // Anything not seen yet lies outside the searched block
+                if ((best && best.distance <= ring * cellKm) || ring * cellKm > maxDistance) {
+                    break;
+                }
+            }
+
+            return best;
+        }
+    }
+
+    /**
+     * Numeric map key for a grid cell; cell rows stay well under 1e5 at any
+     * sensible cell size, so keys never collide
+     */
+    function cellKey(x, y) {
+        return x * 100000 + y;
+    }
 
     /**
      * Node class for A* algorithm
@@ -15,11 +274,15 @@ const Pathfinder = (function() {
             this.lat = lat;
             this.lng = lng;
             this.id = id || `${lat},${lng}`;
-            this.g = 0; // Cost from start to this node
-            this.h = 0; // Heuristic cost to goal
-            this.f = 0; // Total cost (g + h)
-            this.parent = null;
-            this.neighbors = [];
+            this.index = -1; // Position in Graph#nodeList, used to address search state
+            this.edges = []; // Outgoing edges: { target, distance, highway, name }
+        }
+
+        /**
+         * Nodes reachable through an outgoing edge
+         */
+        get neighbors() {
+            return this.edges.map(edge => edge.target);
         }
 
         /**
@@ -36,6 +299,9 @@ const Pathfinder = (function() {
     class Graph {
         constructor() {
             this.nodes = new Map();
+            this.nodeList = [];
+            this.nodeIndex = null; // GridIndex of nodes, built on first query
+            this.edgeIndex = null; // GridIndex of road segments, built on first query
         }
 
         /**
@@ -43,7 +309,13 @@ const Pathfinder = (function() {
          */
         addNode(lat, lng, id = null) {
             const node = new Node(lat, lng, id);
+            const existing = this.nodes.get(node.id);
+
+            // Re-adding an ID replaces the node in place
+            node.index = existing ? existing.index : this.nodeList.length;
+            this.nodeList[node.index] = node;
             this.nodes.set(node.id, node);
+            this.nodeIndex = null;
             return node;
         }
 
@@ -56,15 +328,29 @@ const Pathfinder = (function() {
 
         /**
          * Add an edge between two nodes
+         * @param {String} nodeId1 - Source node ID
+         * @param {String} nodeId2 - Target node ID
+         * @param {Object} options - { directed, highway, name, contraflow }; directed edges only
+         *                            run nodeId1 -> nodeId2, contraflow marks travel against a one-way street
          */
-        addEdge(nodeId1, nodeId2) {
+        addEdge(nodeId1, nodeId2, options = {}) {
             const node1 = this.nodes.get(nodeId1);
             const node2 = this.nodes.get(nodeId2);
 
-            if (node1 && node2) {
-                node1.neighbors.push(node2);
-                node2.neighbors.push(node1);
+            if (!node1 || !node2) {
+                return false;
+            }
+
+            const { directed = false, highway = null, name = null, contraflow = false } = options;
+            const distance = node1.distanceTo(node2);
+
+            node1.edges.push({ target: node2, distance, highway, name, contraflow });
+            if (!directed) {
+                node2.edges.push({ target: node1, distance, highway, name, contraflow });
             }
+
+            this.edgeIndex = null;
+            return true;
         }
 
         /**
@@ -106,30 +392,230 @@ const Pathfinder = (function() {
             }
         }
 
+        /**
+         * Serialize the graph into a compact, structured-clonable pack
+         * Coordinates and edges go into typed arrays; highway types and street
+         * names are deduplicated into a shared string table
+         */
+        toPack() {
+            const nodeList = Array.from(this.nodes.values());
+            const indexOf = new Map(nodeList.map((node, index) => [node, index]));
+            const strings = [];
+            const stringIndex = new Map();
+
+            // String references are stored +1 so that 0 can mean "none"
+            const intern = (value) => {
+                if (value === null || value === undefined) return 0;
+                if (!stringIndex.has(value)) {
+                    stringIndex.set(value, strings.length);
+                    strings.push(value);
+                }
+                return stringIndex.get(value) + 1;
+            };
+
+            const coords = new Float64Array(nodeList.length * 2);
+            const edgeNodes = [];
+            const edgeAttributes = [];
+
+            nodeList.forEach((node, index) => {
+                coords[index * 2] = node.lat;
+                coords[index * 2 + 1] = node.lng;
+
+                for (const edge of node.edges) {
+                    const targetIndex = indexOf.get(edge.target);
+                    const reverse = edge.target.edges.find(other =>
+                        other.target === node && other.highway === edge.highway &&
+                        other.name === edge.name && other.contraflow === edge.contraflow
+                    );
+
+                    // A two-way edge is written once, from its lower-indexed end
+                    if (reverse && targetIndex < index) {
+                        continue;
+                    }
+
+                    edgeNodes.push(index, targetIndex);
+                    edgeAttributes.push(
+                        intern(edge.highway),
+                        intern(edge.name),
+                        (reverse ? PACK_FLAG_BIDIRECTIONAL : 0) | (edge.contraflow ? PACK_FLAG_CONTRAFLOW : 0)
+                    );
+                }
+            });
+
+            return {
+                version: PACK_VERSION,
+                coords,
+                edges: Uint32Array.from(edgeNodes),
+                edgeAttributes: Uint32Array.from(edgeAttributes),
+                strings
+            };
+        }
+
+        /**
+         * Rebuild a graph from a pack produced by toPack()
+         */
+        static fromPack(pack) {
+            if (!pack || pack.version !== PACK_VERSION) {
+                throw new Error('Unsupported graph pack version');
+            }
+
+            const graph = new Graph();
+            const nodeCount = pack.coords.length / 2;
+
+            for (let i = 0; i < nodeCount; i++) {
+                graph.addNode(pack.coords[i * 2], pack.coords[i * 2 + 1], String(i));
+            }
+
+            const lookup = (ref) => (ref === 0 ? null : pack.strings[ref - 1]);
+
+            for (let i = 0; i < pack.edges.length / 2; i++) {
+                const flags = pack.edgeAttributes[i * 3 + 2];
+                graph.addEdge(String(pack.edges[i * 2]), String(pack.edges[i * 2 + 1]), {
+                    directed: (flags & PACK_FLAG_BIDIRECTIONAL) === 0,
+                    highway: lookup(pack.edgeAttributes[i * 3]),
+                    name: lookup(pack.edgeAttributes[i * 3 + 1]),
+                    contraflow: (flags & PACK_FLAG_CONTRAFLOW) !== 0
+                });
+            }
+
+            return graph;
+        }
+
         /**
          * Find the closest node to a given coordinate
+         * @param {Number} maxDistance - Optional search limit in km
+         */
+        findClosestNode(lat, lng, maxDistance = Infinity) {
+            if (!this.nodeIndex) {
+                this.nodeIndex = new GridIndex();
+                for (const node of this.nodeList) {
+                    this.nodeIndex.insert(node, node.lat, node.lng, node.lat, node.lng);
+                }
+            }
+
+            const nearest = this.nodeIndex.nearest(lat, lng, (node) => ({
+                distance: haversineDistance(lat, lng, node.lat, node.lng)
+            }), maxDistance);
+
+            return nearest ? nearest.item : null;
+        }
+
+        /**
+         * Snap a coordinate to the closest point on the nearest road segment
+         * @param {Number} maxDistance - Reject snaps farther than this (km)
+         * @param {Function} edgeFilter - Optional edge -> Boolean; segments with no
+         *                                accepted direction are skipped
+         * @returns {Object|null} - { point, distance, from, to, t, forward, backward }
+         *          where t is the position of point along from -> to (0..1) and
+         *          forward/backward are the accepted edges from -> to and to -> from, if any
+         */
+        snapToEdge(lat, lng, maxDistance = Infinity, edgeFilter = null) {
+            if (!this.edgeIndex) {
+                this.buildEdgeIndex();
+            }
+
+            const findEdge = (from, to) => from.edges.find(edge =>
+                edge.target === to && (!edgeFilter || edgeFilter(edge))
+            ) || null;
+
+            const nearest = this.edgeIndex.nearest(lat, lng, (segment) => {
+                const forward = findEdge(segment.from, segment.to);
+                const backward = findEdge(segment.to, segment.from);
+
+                if (!forward && !backward) {
+                    return { distance: Infinity };
+                }
+
+                return { ...projectOntoSegment(lat, lng, segment.from, segment.to), forward, backward };
+            }, maxDistance);
+
+            if (!nearest) {
+                return null;
+            }
+
+            return {
+                point: nearest.point,
+                distance: nearest.distance,
+                from: nearest.item.from,
+                to: nearest.item.to,
+                t: nearest.t,
+                forward: nearest.forward,
+                backward: nearest.backward
+            };
+        }
+
+        /**
+         * Road segments near a bounding box, from the segment index
+         * @returns {Set} - Segments { from, to }; each edge of a segment runs
+         *                  between these nodes in either direction
+         */
+        segmentsIn(minLat, minLng, maxLat, maxLng) {
+            if (!this.edgeIndex) {
+                this.buildEdgeIndex();
+            }
+
+            return this.edgeIndex.query(minLat, minLng, maxLat, maxLng);
+        }
+
+        /**
+         * Index every road segment once, whichever directions it can be driven in
          */
-        findClosestNode(lat, lng) {
-            let closest = null;
-            let minDistance = Infinity;
+        buildEdgeIndex() {
+            this.edgeIndex = new GridIndex();
+
+            for (const node of this.nodeList) {
+                for (const edge of node.edges) {
+                    const other = edge.target;
+                    const hasReverse = other.edges.some(reverse => reverse.target === node);
 
-            for (const node of this.nodes.values()) {
-                const distance = haversineDistance(lat, lng, node.lat, node.lng);
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    closest = node;
+                    if (hasReverse && other.index < node.index) {
+                        continue;
+                    }
+
+                    this.edgeIndex.insert(
+                        { from: node, to: other },
+                        Math.min(node.lat, other.lat), Math.min(node.lng, other.lng),
+                        Math.max(node.lat, other.lat), Math.max(node.lng, other.lng)
+                    );
                 }
             }
+        }
+    }
+
+    /**
+     * Project a point onto the segment a -> b
+     * Uses a local equirectangular approximation, which is accurate at street scale
+     * @returns {Object} - { point: {lat, lng}, t, distance (km) }
+     */
+    function projectOntoSegment(lat, lng, a, b) {
+        const scaleX = Math.cos(toRadians(lat));
+        const dx = (b.lng - a.lng) * scaleX;
+        const dy = b.lat - a.lat;
+        const lengthSq = dx * dx + dy * dy;
 
-            return closest;
+        let t = 0;
+        if (lengthSq > 0) {
+            t = (((lng - a.lng) * scaleX) * dx + (lat - a.lat) * dy) / lengthSq;
+            t = Math.max(0, Math.min(1, t));
         }
+
+        const point = {
+            lat: a.lat + (b.lat - a.lat) * t,
+            lng: a.lng + (b.lng - a.lng) * t
+        };
+
+        return {
+            point,
+            t,
+            distance: haversineDistance(lat, lng, point.lat, point.lng)
+        };
     }
 
     /**
      * Calculate Haversine distance between two coordinates (in kilometers)
      */
     function haversineDistance(lat1, lng1, lat2, lng2) {
-        const R = 6371; // Earth's radius in kilometers
+        const R = EARTH_RADIUS_KM;
         const dLat = toRadians(lat2 - lat1);
         const dLng = toRadians(lng2 - lng1);
 
@@ -150,164 +636,1260 @@ const Pathfinder = (function() {
 
     /**
      * A* Search Algorithm
-     * @param {Node} start - Starting node
-     * @param {Node} goal - Goal node
-     * @returns {Array} - Array of nodes representing the path, or null if no path found
+     * Search state lives in per-query typed arrays indexed by Node#index, so the
+     * graph itself is never mutated and can serve any number of queries.
+     * Sources and targets carry an extra cost so that searches can start and end
+     * part-way along an edge (see snapToEdge).
+     * Implemented as a generator that yields the number of expanded nodes every
+     * SEARCH_CHUNK_SIZE expansions; drive it with runSearch()
+     * @param {Graph} graph - Graph containing all nodes
+     * @param {Array} sources - [{ node, cost }] nodes the search starts from
+     * @param {Array} targets - [{ node, cost }] nodes the search may finish at
+     * @param {Object} goal - {lat, lng} used for the heuristic
+     * @param {Object} costModel - { edgeCost, heuristicScale } from TravelProfiles.getCostModel
+     * @returns {Object} - { nodes, edges, cost } for the best path, or null if no path found
      */
-    function aStar(start, goal) {
-        if (!start || !goal) {
+    function* aStar(graph, sources, targets, goal, costModel) {
+        if (sources.length === 0 || targets.length === 0) {
             console.error('Start or goal node is missing');
             return null;
         }
 
-        // Initialize open and closed sets
-        const openSet = [start];
-        const closedSet = new Set();
+        const size = graph.nodeList.length;
+        const gScore = new Float64Array(size).fill(Infinity);
+        const parent = new Int32Array(size).fill(-1);
+        const parentEdge = new Array(size);
+        const closed = new Uint8Array(size);
+        const openSet = new PriorityQueue();
+        const { edgeCost, heuristicScale } = costModel;
+
+        // Straight-line distance to the goal, computed at most once per node
+        const hScore = new Float64Array(size).fill(-1);
+        const goalLatRad = toRadians(goal.lat);
+        const cosGoalLat = Math.cos(goalLatRad);
+        const heuristic = (node) => {
+            let h = hScore[node.index];
+            if (h < 0) {
+                const latRad = toRadians(node.lat);
+                const sinDLat = Math.sin((goalLatRad - latRad) / 2);
+                const sinDLng = Math.sin(toRadians(goal.lng - node.lng) / 2);
+                const a = sinDLat * sinDLat + Math.cos(latRad) * cosGoalLat * sinDLng * sinDLng;
+                h = 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a))) * heuristicScale;
+                hScore[node.index] = h;
+            }
+            return h;
+        };
+
+        // Remaining cost from each target node to the goal
+        const targetCosts = new Map();
+        for (const { node, cost } of targets) {
+            if (!targetCosts.has(node.index) || cost < targetCosts.get(node.index)) {
+                targetCosts.set(node.index, cost);
+            }
+        }
+
+        for (const { node, cost } of sources) {
+            if (cost < gScore[node.index]) {
+                gScore[node.index] = cost;
+                openSet.push(node.index, cost + heuristic(node));
+            }
+        }
+
+        let bestCost = Infinity;
+        let bestIndex = -1;
+        let expanded = 0;
 
-        start.g = 0;
-        start.h = start.distanceTo(goal);
-        start.f = start.h;
+        // Stop once no open node can beat the best complete path
+        while (openSet.size > 0 && openSet.peekPriority() < bestCost) {
+            const currentIndex = openSet.pop();
 
-        while (openSet.length > 0) {
-            // Find node with lowest f score
-            let current = openSet[0];
-            let currentIndex = 0;
+            // Stale queue entry for a node that was already expanded
+            if (closed[currentIndex]) {
+                continue;
+            }
 
-            for (let i = 1; i < openSet.length; i++) {
-                if (openSet[i].f < current.f) {
-                    current = openSet[i];
-                    currentIndex = i;
-                }
+            if (++expanded % SEARCH_CHUNK_SIZE === 0) {
+                yield expanded;
             }
 
-            // Goal reached
-            if (current.id === goal.id) {
-                return reconstructPath(current);
+            closed[currentIndex] = 1;
+
+            // Reached a target; the path through it is a candidate
+            if (targetCosts.has(currentIndex)) {
+                const total = gScore[currentIndex] + targetCosts.get(currentIndex);
+                if (total < bestCost) {
+                    bestCost = total;
+                    bestIndex = currentIndex;
+                }
             }
 
-            // Move current from open to closed
-            openSet.splice(currentIndex, 1);
-            closedSet.add(current.id);
+            const current = graph.nodeList[currentIndex];
 
             // Examine neighbors
-            for (const neighbor of current.neighbors) {
-                if (closedSet.has(neighbor.id)) {
+            for (const edge of current.edges) {
+                const neighborIndex = edge.target.index;
+                if (closed[neighborIndex]) {
                     continue;
                 }
 
-                const tentativeG = current.g + current.distanceTo(neighbor);
-
-                const inOpenSet = openSet.find(n => n.id === neighbor.id);
-                if (!inOpenSet) {
-                    openSet.push(neighbor);
-                } else if (tentativeG >= neighbor.g) {
+                const tentativeG = gScore[currentIndex] + edgeCost(edge);
+                if (tentativeG >= gScore[neighborIndex]) {
                     continue;
                 }
 
-                // This path is the best so far
-                neighbor.parent = current;
-                neighbor.g = tentativeG;
-                neighbor.h = neighbor.distanceTo(goal);
-                neighbor.f = neighbor.g + neighbor.h;
+                // This path is the best so far; older queue entries become stale
+                parent[neighborIndex] = currentIndex;
+                parentEdge[neighborIndex] = edge;
+                gScore[neighborIndex] = tentativeG;
+                openSet.push(neighborIndex, tentativeG + heuristic(edge.target));
             }
         }
 
-        // No path found
-        console.warn('No path found between start and goal');
-        return null;
+        if (bestIndex === -1) {
+            // No path found
+            console.warn('No path found between start and goal');
+            return null;
+        }
+
+        return {
+            ...reconstructPath(graph, parent, parentEdge, bestIndex),
+            cost: bestCost
+        };
     }
 
     /**
-     * Reconstruct path from goal to start
+     * Dijkstra search outward from the sources, settling nodes in cost order
+     * Like aStar, yields the number of expanded nodes every SEARCH_CHUNK_SIZE
+     * expansions; drive it with runSearch()
+     * @param {Array} sources - [{ node, cost }] nodes the search starts from
+     * @param {Object} costModel - { edgeCost } from TravelProfiles.getCostModel
+     * @param {Object} options - { targets: Set of node indices; stop once all are settled,
+     *                            maxCost: stop before settling nodes that cost more }
+     * @returns {Float64Array} - Cost of reaching each node by index; Infinity if
+     *          never reached. Nodes left unsettled hold an upper bound
      */
-    function reconstructPath(node) {
-        const path = [];
-        let current = node;
+    function* shortestPathTree(graph, sources, costModel, { targets = null, maxCost = Infinity } = {}) {
+        const size = graph.nodeList.length;
+        const gScore = new Float64Array(size).fill(Infinity);
+        const closed = new Uint8Array(size);
+        const openSet = new PriorityQueue();
+        const { edgeCost } = costModel;
+
+        for (const { node, cost } of sources) {
+            if (cost < gScore[node.index]) {
+                gScore[node.index] = cost;
+                openSet.push(node.index, cost);
+            }
+        }
+
+        let remainingTargets = targets ? targets.size : Infinity;
+        let expanded = 0;
+
+        while (openSet.size > 0 && remainingTargets > 0 && openSet.peekPriority() <= maxCost) {
+            const currentIndex = openSet.pop();
+
+            // Stale queue entry for a node that was already expanded
+            if (closed[currentIndex]) {
+                continue;
+            }
+
+            if (++expanded % SEARCH_CHUNK_SIZE === 0) {
+                yield expanded;
+            }
+
+            closed[currentIndex] = 1;
+            if (targets && targets.has(currentIndex)) {
+                remainingTargets--;
+            }
+
+            for (const edge of graph.nodeList[currentIndex].edges) {
+                const neighborIndex = edge.target.index;
+                if (closed[neighborIndex]) {
+                    continue;
+                }
 
-        while (current) {
-            path.unshift({ lat: current.lat, lng: current.lng });
-            current = current.parent;
+                const tentativeG = gScore[currentIndex] + edgeCost(edge);
+                if (tentativeG < gScore[neighborIndex]) {
+                    gScore[neighborIndex] = tentativeG;
+                    openSet.push(neighborIndex, tentativeG);
+                }
+            }
         }
 
-        return path;
+        return gScore;
     }
 
     /**
-     * Calculate route between two points
-     * @param {Object} origin - {lat, lng}
-     * @param {Object} destination - {lat, lng}
-     * @param {Graph} graph - Optional graph to use, creates new one if not provided
-     * @returns {Object} - Route information including path and distance
+     * Drive a search generator to completion
+     * Yields to the event loop every SEARCH_SLICE_MS so that cancel messages and
+     * UI events get through while a long search runs
+     * @param {Generator} search - Generator returned by aStar() or shortestPathTree()
+     * @param {Object} options - { signal: AbortSignal, onProgress: Function }
+     * @returns {*} - The search result
      */
-    async function calculateRoute(origin, destination, graph = null) {
-        try {
-            // Create or use existing graph
-            if (!graph) {
-                graph = new Graph();
-                // Create a grid graph centered between origin and destination
-                const centerLat = (origin.lat + destination.lat) / 2;
-                const centerLng = (origin.lng + destination.lng) / 2;
-                const distance = haversineDistance(origin.lat, origin.lng, destination.lat, destination.lng);
-                const radius = Math.max(distance * 1.5, 5); // At least 5km radius
-                
-                graph.createGridGraph({ lat: centerLat, lng: centerLng }, radius, 15);
-            }
+    async function runSearch(search, options = {}) {
+        const { signal = null, onProgress = null } = options;
+        let sliceStart = Date.now();
+        let step = search.next();
 
-            // Find closest nodes to origin and destination
-            const startNode = graph.findClosestNode(origin.lat, origin.lng);
-            const goalNode = graph.findClosestNode(destination.lat, destination.lng);
+        while (!step.done) {
+            if (Date.now() - sliceStart >= SEARCH_SLICE_MS) {
+                if (onProgress) {
+                    onProgress({ stage: 'searching', expanded: step.value });
+                }
 
-            if (!startNode || !goalNode) {
-                throw new Error('Could not find route nodes');
+                await new Promise(resolve => setTimeout(resolve, 0));
+                throwIfAborted(signal);
+                sliceStart = Date.now();
             }
 
-            // Run A* algorithm
-            const path = aStar(startNode, goalNode);
+            step = search.next();
+        }
+
+        return step.value;
+    }
 
-            if (!path) {
-                throw new Error('No path found');
-            }
+    /**
+     * Throw an AbortError if the signal has been aborted
+     */
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            const error = new Error('Route calculation cancelled');
+            error.name = 'AbortError';
+            throw error;
+        }
+    }
 
-            // Calculate total distance
-            let totalDistance = 0;
-            for (let i = 1; i < path.length; i++) {
-                totalDistance += haversineDistance(
-                    path[i - 1].lat, path[i - 1].lng,
-                    path[i].lat, path[i].lng
-                );
+    /**
+     * Reconstruct the node and edge sequence from a source to the goal
+     * @returns {Object} - { nodes, edges } where edges[i] runs nodes[i] -> nodes[i + 1]
+     */
+    function reconstructPath(graph, parent, parentEdge, goalIndex) {
+        const nodes = [];
+        const edges = [];
+
+        for (let index = goalIndex; index !== -1; index = parent[index]) {
+            nodes.push(graph.nodeList[index]);
+            if (parent[index] !== -1) {
+                edges.push(parentEdge[index]);
             }
+        }
 
-            // Estimate time based on average traveling speed
-            const estimatedMinutes = Math.round((totalDistance / AVERAGE_SPEED_KMH) * 60);
+        return { nodes: nodes.reverse(), edges: edges.reverse() };
+    }
 
-            return {
-                success: true,
-                path: path,
-                distance: totalDistance,
-                distanceText: totalDistance < 1 
-                    ? `${Math.round(totalDistance * 1000)} m` 
-                    : `${totalDistance.toFixed(2)} km`,
-                duration: estimatedMinutes,
-                durationText: estimatedMinutes < 60 
-                    ? `${estimatedMinutes} min` 
-                    : `${Math.floor(estimatedMinutes / 60)}h ${estimatedMinutes % 60}m`
-            };
-        } catch (error) {
-            console.error('Route calculation error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+    /**
+     * Search entry points for leaving a snapped point along its edge
+     */
+    function snapSources(snap, costModel) {
+        const sources = [];
+        if (snap.forward) {
+            sources.push({ node: snap.to, cost: (1 - snap.t) * costModel.edgeCost(snap.forward) });
+        }
+        if (snap.backward) {
+            sources.push({ node: snap.from, cost: snap.t * costModel.edgeCost(snap.backward) });
+        }
+        return sources;
+    }
+
+    /**
+     * Search exit points for arriving at a snapped point along its edge
+     */
+    function snapTargets(snap, costModel) {
+        const targets = [];
+        if (snap.forward) {
+            targets.push({ node: snap.from, cost: snap.t * costModel.edgeCost(snap.forward) });
+        }
+        if (snap.backward) {
+            targets.push({ node: snap.to, cost: (1 - snap.t) * costModel.edgeCost(snap.backward) });
+        }
+        return targets;
+    }
+
+    /**
+     * Travel directly between two points snapped onto the same edge
+     * @returns {Object|null} - { edge, cost }, or null if they are on different
+     *                          edges or the edge's direction does not allow it
+     */
+    function sameEdgeTravel(originSnap, destinationSnap, costModel) {
+        if (originSnap.from !== destinationSnap.from || originSnap.to !== destinationSnap.to) {
+            return null;
         }
+
+        const { forward, backward } = originSnap;
+        if (forward && destinationSnap.t >= originSnap.t) {
+            return { edge: forward, cost: (destinationSnap.t - originSnap.t) * costModel.edgeCost(forward) };
+        }
+        if (backward && destinationSnap.t <= originSnap.t) {
+            return { edge: backward, cost: (originSnap.t - destinationSnap.t) * costModel.edgeCost(backward) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Describe one leg of a route
+     * @returns {Object} - { distance (km), duration (minutes), name, highway }
+     */
+    function describeSegment(from, to, edge, costModel) {
+        const distance = haversineDistance(from.lat, from.lng, to.lat, to.lng);
+        const speed = costModel.speedOf(edge);
+
+        return {
+            distance,
+            duration: speed ? (distance / speed) * 60 : 0,
+            name: edge.name,
+            highway: edge.highway
+        };
+    }
+
+    /**
+     * Load the graph of a downloaded area covering all points, if any
+     * @param {Array} points - [{lat, lng}]
+     * @returns {Graph|null}
+     */
+    async function loadPackGraph(points) {
+        if (typeof CacheManager === 'undefined') {
+            return null;
+        }
+
+        const packId = await CacheManager.findGraphPack(...points);
+        if (packId === null) {
+            return null;
+        }
+
+        if (packGraphCache.id !== packId) {
+            const record = await CacheManager.getGraphPack(packId);
+            if (!record) {
+                return null;
+            }
+            packGraphCache = { id: packId, graph: Graph.fromPack(record.pack) };
+        }
+
+        return packGraphCache.graph;
+    }
+
+    /**
+     * Get the graph to route on: the one given, a downloaded road network
+     * covering all points, or else a synthetic grid around them
+     * @param {Array} points - [{lat, lng}]
+     */
+    async function resolveGraph(points, graph, signal, onProgress) {
+        // Use a downloaded road network when all points fall inside one
+        if (!graph) {
+            if (onProgress) {
+                onProgress({ stage: 'loading-graph' });
+            }
+
+            try {
+                graph = await loadPackGraph(points);
+            } catch (error) {
+                console.warn('Could not load offline road graph:', error);
+            }
+            throwIfAborted(signal);
+        }
+
+        // Create or use existing graph
+        if (!graph) {
+            graph = new Graph();
+            // Create a grid graph centered on the points
+            const south = Math.min(...points.map(point => point.lat));
+            const north = Math.max(...points.map(point => point.lat));
+            const west = Math.min(...points.map(point => point.lng));
+            const east = Math.max(...points.map(point => point.lng));
+            const distance = haversineDistance(south, west, north, east);
+            const radius = Math.max(distance * 1.5, 5); // At least 5km radius
+
+            graph.createGridGraph({ lat: (south + north) / 2, lng: (west + east) / 2 }, radius, 15);
+        }
+
+        return graph;
+    }
+
+    /**
+     * Snap points onto the nearest road segments a profile may use
+     * @param {Function} nameOf - Point index -> name used in the error for a point too far from a road
+     * @returns {Array} - Snaps from Graph#snapToEdge
+     */
+    function snapPoints(graph, points, costModel, maxSnapMeters, nameOf) {
+        const usable = (edge) => costModel.edgeCost(edge) < Infinity;
+        const maxSnapKm = maxSnapMeters / 1000;
+
+        return points.map((point, i) => {
+            const snap = graph.snapToEdge(point.lat, point.lng, maxSnapKm, usable);
+            if (!snap) {
+                throw new Error(`${nameOf(i)} is more than ${maxSnapMeters} m from any ${costModel.profile.label.toLowerCase()} route`);
+            }
+            return snap;
+        });
+    }
+
+    /**
+     * Route through snapped stops in order, joining the legs into one trip
+     * @param {Array} snaps - Snapped stops from Graph#snapToEdge, origin first
+     * @param {Object} searchOptions - { signal, onProgress } for runSearch
+     * @returns {Object|null} - { path, segments, links, stops, cost } where
+     *          links[i] = { edge, from } is the graph edge segments[i] runs on
+     *          and stops are the path indices of the intermediate stops; null
+     *          if a leg has no path
+     */
+    async function routeTrip(graph, snaps, costModel, searchOptions) {
+        const trip = { path: [snaps[0].point], segments: [], links: [], stops: [], cost: 0 };
+
+        for (let i = 1; i < snaps.length; i++) {
+            const cost = await routeLeg(graph, snaps[i - 1], snaps[i], costModel, searchOptions, trip);
+            if (cost === null) {
+                return null;
+            }
+
+            trip.cost += cost;
+            if (i < snaps.length - 1) {
+                trip.stops.push(trip.path.length - 1);
+            }
+        }
+
+        return trip;
+    }
+
+    /**
+     * Route one leg between snapped points and append it to a trip
+     * @returns {Number|null} - Cost of the leg, or null if there is no path
+     */
+    async function routeLeg(graph, originSnap, destinationSnap, costModel, searchOptions, trip) {
+        const found = await runSearch(
+            aStar(
+                graph,
+                snapSources(originSnap, costModel),
+                snapTargets(destinationSnap, costModel),
+                destinationSnap.point,
+                costModel
+            ),
+            searchOptions
+        );
+
+        // Both points on one edge: travelling along it may beat any detour
+        const direct = sameEdgeTravel(originSnap, destinationSnap, costModel);
+        if (!found && !direct) {
+            return null;
+        }
+
+        // Splice the projected points onto both ends of the path; each segment
+        // i describes the stretch from path[i] to path[i + 1]
+        const append = (point, edge, from) => {
+            const last = trip.path[trip.path.length - 1];
+            if (point.lat === last.lat && point.lng === last.lng) {
+                return;
+            }
+            trip.segments.push(describeSegment(last, point, edge, costModel));
+            trip.links.push({ edge, from });
+            trip.path.push({ lat: point.lat, lng: point.lng });
+        };
+
+        if (found && (!direct || found.cost < direct.cost)) {
+            const firstNode = found.nodes[0];
+            const lastNode = found.nodes[found.nodes.length - 1];
+            const firstEdge = firstNode === originSnap.to ? originSnap.forward : originSnap.backward;
+            const lastEdge = lastNode === destinationSnap.from ? destinationSnap.forward : destinationSnap.backward;
+
+            append(firstNode, firstEdge, snapEdgeSource(originSnap, firstEdge));
+            found.edges.forEach((edge, i) => append(found.nodes[i + 1], edge, found.nodes[i]));
+            append(destinationSnap.point, lastEdge, snapEdgeSource(destinationSnap, lastEdge));
+            return found.cost;
+        }
+
+        append(destinationSnap.point, direct.edge, snapEdgeSource(originSnap, direct.edge));
+        return direct.cost;
+    }
+
+    /**
+     * Node an edge of a snapped segment starts from
+     */
+    function snapEdgeSource(snap, edge) {
+        return edge === snap.forward ? snap.from : snap.to;
+    }
+
+    /**
+     * Find routes that differ from the best one with the penalty method: the
+     * edges of each route found get more expensive, and the search is rerun
+     * until enough routes differ from all others without being much slower
+     * @param {Object} best - Trip from routeTrip
+     * @param {Number} count - Alternatives wanted
+     * @returns {Array} - Alternative trips, best first
+     */
+    async function findAlternatives(graph, snaps, costModel, best, count, searchOptions) {
+        const routes = [best];
+        const penalties = new Map();
+        const penalizedModel = {
+            ...costModel,
+            edgeCost: edge => costModel.edgeCost(edge) * (penalties.get(edge) || 1)
+        };
+        const maxDuration = tripDuration(best) * MAX_ALTERNATIVE_STRETCH;
+
+        let candidate = best;
+        for (let attempt = 0; attempt < count * ALTERNATIVE_ATTEMPTS && routes.length <= count; attempt++) {
+            penalize(penalties, candidate);
+
+            candidate = await routeTrip(graph, snaps, penalizedModel, searchOptions);
+
+            // Penalties only ever make later candidates slower
+            if (!candidate || tripDuration(candidate) > maxDuration) {
+                break;
+            }
+
+            if (routes.every(route => tripOverlap(candidate, route) <= MAX_ALTERNATIVE_OVERLAP)) {
+                routes.push(candidate);
+            }
+        }
+
+        return routes.slice(1);
+    }
+
+    /**
+     * Make the edges of a trip more expensive in both directions
+     */
+    function penalize(penalties, trip) {
+        for (const { edge, from } of trip.links) {
+            const reverse = edge.target.edges.find(other => other.target === from);
+            for (const penalized of reverse ? [edge, reverse] : [edge]) {
+                penalties.set(penalized, (penalties.get(penalized) || 1) * ALTERNATIVE_PENALTY);
+            }
+        }
+    }
+
+    /**
+     * Share of a trip's distance that runs on road segments of another trip
+     */
+    function tripOverlap(trip, other) {
+        const otherKeys = new Set(other.links.map(segmentKey));
+        let shared = 0;
+        let total = 0;
+
+        trip.links.forEach((link, i) => {
+            total += trip.segments[i].distance;
+            if (otherKeys.has(segmentKey(link))) {
+                shared += trip.segments[i].distance;
+            }
+        });
+
+        return total > 0 ? shared / total : 1;
+    }
+
+    /**
+     * Key of the road segment a link runs on, whichever way it is travelled
+     */
+    function segmentKey({ edge, from }) {
+        const a = from.index;
+        const b = edge.target.index;
+        return a < b ? `${a}:${b}` : `${b}:${a}`;
+    }
+
+    /**
+     * Travel time of a trip in minutes
+     */
+    function tripDuration(trip) {
+        return trip.segments.reduce((sum, segment) => sum + segment.duration, 0);
+    }
+
+    /**
+     * Summarize a trip for the caller; graph references are left out so the
+     * result can be posted from the route worker
+     */
+    function describeTrip(trip) {
+        const totalDistance = trip.segments.reduce((sum, segment) => sum + segment.distance, 0);
+        const estimatedMinutes = Math.round(tripDuration(trip));
+
+        return {
+            path: trip.path,
+            segments: trip.segments,
+            stops: trip.stops,
+            distance: totalDistance,
+            distanceText: totalDistance < 1 
+                ? `${Math.round(totalDistance * 1000)} m` 
+                : `${totalDistance.toFixed(2)} km`,
+            duration: estimatedMinutes,
+            durationText: estimatedMinutes < 60 
+                ? `${estimatedMinutes} min` 
+                : `${Math.floor(estimatedMinutes / 60)}h ${estimatedMinutes % 60}m`
+        };
+    }
+
+    /**
+     * Calculate route between two points
+     * @param {Object} origin - {lat, lng}
+     * @param {Object} destination - {lat, lng}
+     * @param {Graph} graph - Optional graph to use; otherwise a downloaded road
+     *                        graph pack is used, falling back to a synthetic grid
+     * @param {Object} options - { signal: AbortSignal, onProgress: Function,
+     *                            profile: travel profile ID (see TravelProfiles),
+     *                            maxSnapMeters: reject points farther than this from a road,
+     *                            via: [{lat, lng}] stops to pass in order,
+     *                            alternatives: number of alternative routes wanted (up to 3),
+     *                            avoid: areas and road segments to keep off (see avoidingModel) }
+     * @returns {Object} - Route information including path, per-segment details,
+     *                     distance, stops (path indices of the via points),
+     *                     alternatives, each with the same details, and
+     *                     unmatchedAvoids: ids of blocked roads no longer found
+     */
+    async function calculateRoute(origin, destination, graph = null, options = {}) {
+        const {
+            signal = null,
+            onProgress = null,
+            profile: profileId = TravelProfiles.DEFAULT_PROFILE,
+            maxSnapMeters = DEFAULT_MAX_SNAP_METERS,
+            via = [],
+            alternatives = 0,
+            avoid = []
+        } = options;
+
+        try {
+            const points = [origin, ...via, destination];
+            graph = await resolveGraph(points, graph, signal, onProgress);
+
+            // Snap every point onto the nearest road segment this profile may use
+            const { costModel, unmatched } = avoidingModel(graph, TravelProfiles.getCostModel(profileId), avoid);
+            const snaps = snapPoints(graph, points, costModel, maxSnapMeters, (i) => {
+                return i === 0 ? 'Origin' : i === points.length - 1 ? 'Destination' : `Stop ${i}`;
+            });
+
+            // Run A* algorithm for each leg
+            if (onProgress) {
+                onProgress({ stage: 'searching', expanded: 0 });
+            }
+            const searchOptions = { signal, onProgress };
+            const best = await routeTrip(graph, snaps, costModel, searchOptions);
+            if (!best) {
+                throw new Error('No path found');
+            }
+
+            const others = alternatives > 0
+                ? await findAlternatives(graph, snaps, costModel, best, Math.min(alternatives, MAX_ALTERNATIVES), searchOptions)
+                : [];
+
+            const profile = costModel.profile.id;
+            return {
+                success: true,
+                profile,
+                ...describeTrip(best),
+                alternatives: others.map(trip => ({ profile, ...describeTrip(trip) })),
+                unmatchedAvoids: unmatched
+            };
+        } catch (error) {
+            return describeFailure(error);
+        }
+    }
+
+    /**
+     * Plan a trip through a set of stops, visiting them in the cheapest order
+     * found: travel costs between every pair of stops come from one search per
+     * stop, and the order from nearest neighbor improved with 2-opt
+     * @param {Array} points - [{lat, lng}]; the first is where the trip starts
+     * @param {Graph} graph - Optional graph, as for calculateRoute
+     * @param {Object} options - { signal, onProgress, profile, maxSnapMeters, avoid as for calculateRoute,
+     *                            roundTrip: return to the start instead of ending at the last point }
+     * @returns {Object} - Route information as from calculateRoute, plus order:
+     *                     indices into points in visiting order
+     */
+    async function planTrip(points, graph = null, options = {}) {
+        const {
+            signal = null,
+            onProgress = null,
+            profile: profileId = TravelProfiles.DEFAULT_PROFILE,
+            maxSnapMeters = DEFAULT_MAX_SNAP_METERS,
+            roundTrip = false,
+            avoid = []
+        } = options;
+
+        try {
+            if (points.length < (roundTrip ? 2 : 3)) {
+                throw new Error('Add more stops to plan a trip');
+            }
+            if (points.length > MAX_TRIP_STOPS) {
+                throw new Error(`Trips can have at most ${MAX_TRIP_STOPS} stops`);
+            }
+
+            graph = await resolveGraph(points, graph, signal, onProgress);
+
+            const { costModel, unmatched } = avoidingModel(graph, TravelProfiles.getCostModel(profileId), avoid);
+            const snaps = snapPoints(graph, points, costModel, maxSnapMeters, (i) => {
+                return i === 0 ? 'Start' : !roundTrip && i === points.length - 1 ? 'End' : `Stop ${i}`;
+            });
+
+            const matrix = await buildCostMatrix(graph, snaps, costModel, signal, onProgress);
+            const order = solveVisitingOrder(matrix, 0, roundTrip ? null : points.length - 1);
+
+            // Route the legs in the chosen order
+            if (onProgress) {
+                onProgress({ stage: 'searching', expanded: 0 });
+            }
+            const tripSnaps = order.map(index => snaps[index]);
+            if (roundTrip) {
+                tripSnaps.push(snaps[0]);
+            }
+
+            const trip = await routeTrip(graph, tripSnaps, costModel, { signal, onProgress });
+            if (!trip) {
+                throw new Error('No path found');
+            }
+
+            return {
+                success: true,
+                profile: costModel.profile.id,
+                ...describeTrip(trip),
+                order,
+                alternatives: [],
+                unmatchedAvoids: unmatched
+            };
+        } catch (error) {
+            return describeFailure(error);
+        }
+    }
+
+    /**
+     * Travel cost between every pair of snapped stops
+     * @returns {Array} - matrix[i][j] is the cost from stop i to stop j;
+     *                    Infinity where there is no path
+     */
+    async function buildCostMatrix(graph, snaps, costModel, signal, onProgress) {
+        const targetsOf = snaps.map(snap => snapTargets(snap, costModel));
+        const targetNodes = new Set(targetsOf.flat().map(target => target.node.index));
+        const matrix = [];
+
+        for (let i = 0; i < snaps.length; i++) {
+            throwIfAborted(signal);
+            if (onProgress) {
+                onProgress({ stage: 'matrix', done: i, total: snaps.length });
+            }
+
+            // One search from each stop reaches all the others
+            const costs = await runSearch(
+                shortestPathTree(graph, snapSources(snaps[i], costModel), costModel, { targets: targetNodes }),
+                { signal }
+            );
+
+            matrix.push(snaps.map((snap, j) => {
+                if (i === j) {
+                    return 0;
+                }
+
+                let best = Infinity;
+                for (const { node, cost } of targetsOf[j]) {
+                    best = Math.min(best, costs[node.index] + cost);
+                }
+
+                const direct = sameEdgeTravel(snaps[i], snap, costModel);
+                return direct ? Math.min(best, direct.cost) : best;
+            }));
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Order stops to keep the total cost low: start from the nearest
+     * neighbor tour, then reverse stretches of it while that helps (2-opt).
+     * Costs may differ by direction, so every change is priced in full
+     * @param {Array} matrix - matrix[i][j] is the cost from stop i to stop j
+     * @param {Number} start - Stop the trip starts at
+     * @param {Number|null} end - Stop the trip ends at, or null to return to start
+     * @returns {Array} - Stop indices in visiting order, from start (to end)
+     */
+    function solveVisitingOrder(matrix, start, end) {
+        const remaining = new Set(matrix.map((row, index) => index).filter(index => index !== start && index !== end));
+        let order = [start];
+
+        while (remaining.size > 0) {
+            const last = order[order.length - 1];
+            let nearest = null;
+            for (const index of remaining) {
+                if (nearest === null || matrix[last][index] < matrix[last][nearest]) {
+                    nearest = index;
+                }
+            }
+            order.push(nearest);
+            remaining.delete(nearest);
+        }
+
+        if (end !== null) {
+            order.push(end);
+        }
+
+        const tourCost = (tour) => {
+            let cost = end === null ? matrix[tour[tour.length - 1]][start] : 0;
+            for (let i = 1; i < tour.length; i++) {
+                cost += matrix[tour[i - 1]][tour[i]];
+            }
+            return cost;
+        };
+
+        // The start, and a fixed end, stay in place
+        const lastMovable = end === null ? order.length - 1 : order.length - 2;
+        let bestCost = tourCost(order);
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+
+            for (let i = 1; i < lastMovable; i++) {
+                for (let j = i + 1; j <= lastMovable; j++) {
+                    const candidate = [
+                        ...order.slice(0, i),
+                        ...order.slice(i, j + 1).reverse(),
+                        ...order.slice(j + 1)
+                    ];
+                    const cost = tourCost(candidate);
+
+                    if (cost < bestCost - 1e-9) {
+                        order = candidate;
+                        bestCost = cost;
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        if (bestCost === Infinity) {
+            throw new Error('Some stops cannot be reached from the others');
+        }
+
+        return order;
+    }
+
+    /**
+     * Calculate the areas reachable from a point within several times or
+     * distances: a Dijkstra search from the snapped point gives the cost of
+     * reaching each road, which is rasterized onto a grid and traced into
+     * polygons per band
+     * @param {Object} origin - {lat, lng}
+     * @param {Graph} graph - Optional graph, as for calculateRoute
+     * @param {Object} options - { signal, onProgress, profile, maxSnapMeters, avoid as for calculateRoute,
+     *                            bands: limits in ascending order (up to 4),
+     *                            unit: 'minutes' or 'km' }
+     * @returns {Object} - { success, profile, unit, origin: snapped {lat, lng},
+     *                       bands: [{ value, rings: [[{lat, lng}]] }], unmatchedAvoids };
+     *                       a band's rings include holes and are filled even-odd
+     */
+    async function calculateIsochrones(origin, graph = null, options = {}) {
+        const {
+            signal = null,
+            onProgress = null,
+            profile: profileId = TravelProfiles.DEFAULT_PROFILE,
+            maxSnapMeters = DEFAULT_MAX_SNAP_METERS,
+            avoid = [],
+            bands = [5, 10, 15],
+            unit = 'minutes'
+        } = options;
+
+        try {
+            const limits = [...bands].filter(value => value > 0).sort((a, b) => a - b).slice(0, MAX_ISOCHRONE_BANDS);
+            if (limits.length === 0) {
+                throw new Error('No reachability bands given');
+            }
+
+            graph = await resolveGraph([origin], graph, signal, onProgress);
+
+            // Search by the measure the bands are in, on the roads the profile may use
+            const profileModel = TravelProfiles.getCostModel(profileId);
+            const { costModel: measureModel, unmatched } = avoidingModel(graph, {
+                ...profileModel,
+                edgeCost: (edge) => {
+                    if (profileModel.edgeCost(edge) === Infinity) {
+                        return Infinity;
+                    }
+                    return unit === 'km' ? edge.distance : edge.distance / profileModel.speedOf(edge) * 60;
+                }
+            }, avoid);
+
+            const [snap] = snapPoints(graph, [origin], measureModel, maxSnapMeters, () => 'Start');
+            const maxCost = limits[limits.length - 1];
+
+            if (onProgress) {
+                onProgress({ stage: 'searching', expanded: 0 });
+            }
+            const costs = await runSearch(
+                shortestPathTree(graph, snapSources(snap, measureModel), measureModel, { maxCost }),
+                { signal, onProgress }
+            );
+
+            const raster = rasterizeReach(graph, costs, measureModel, snap.point, maxCost);
+
+            return {
+                success: true,
+                profile: profileModel.profile.id,
+                unit,
+                origin: snap.point,
+                bands: limits.map(value => ({ value, rings: traceContours(raster, value) })),
+                unmatchedAvoids: unmatched
+            };
+        } catch (error) {
+            return describeFailure(error);
+        }
+    }
+
+    /**
+     * Spread the cost of reaching each road over a grid of cells; every cell
+     * within ISOCHRONE_BUFFER_KM of a reached road gets the lowest cost of
+     * the road points near it
+     * @param {Float64Array} costs - Cost of reaching each node, from shortestPathTree()
+     * @returns {Object} - { values: Float32Array (row-major, south row first), width,
+     *                       height, south, west, cellLat, cellLng }
+     */
+    function rasterizeReach(graph, costs, costModel, origin, maxCost) {
+        let south = origin.lat;
+        let north = origin.lat;
+        let west = origin.lng;
+        let east = origin.lng;
+
+        for (const node of graph.nodeList) {
+            if (costs[node.index] <= maxCost) {
+                south = Math.min(south, node.lat);
+                north = Math.max(north, node.lat);
+                west = Math.min(west, node.lng);
+                east = Math.max(east, node.lng);
+            }
+        }
+
+        // Square cells of about the same size in km, with room for the buffer
+        const kmPerDegLng = KM_PER_DEG_LNG * Math.cos(toRadians(origin.lat));
+        const extentKm = Math.max((north - south) * KM_PER_DEG_LAT, (east - west) * kmPerDegLng);
+        const cellKm = Math.max(extentKm / ISOCHRONE_GRID_SIZE, ISOCHRONE_MIN_CELL_KM);
+        const cellLat = cellKm / KM_PER_DEG_LAT;
+        const cellLng = cellKm / kmPerDegLng;
+        const buffer = Math.ceil(ISOCHRONE_BUFFER_KM / cellKm);
+
+        south -= (buffer + 1) * cellLat;
+        west -= (buffer + 1) * cellLng;
+        const width = Math.ceil((east - west) / cellLng) + buffer + 2;
+        const height = Math.ceil((north - south) / cellLat) + buffer + 2;
+        const values = new Float32Array(width * height).fill(Infinity);
+
+        const mark = (lat, lng, cost) => {
+            const cx = Math.floor((lng - west) / cellLng);
+            const cy = Math.floor((lat - south) / cellLat);
+
+            for (let y = Math.max(0, cy - buffer); y <= Math.min(height - 1, cy + buffer); y++) {
+                for (let x = Math.max(0, cx - buffer); x <= Math.min(width - 1, cx + buffer); x++) {
+                    if ((x - cx) * (x - cx) + (y - cy) * (y - cy) <= buffer * buffer && cost < values[y * width + x]) {
+                        values[y * width + x] = cost;
+                    }
+                }
+            }
+        };
+
+        mark(origin.lat, origin.lng, 0);
+
+        // Sample every reached edge at half-cell steps, as far as the budget goes
+        for (const node of graph.nodeList) {
+            const start = costs[node.index];
+            if (!(start <= maxCost)) {
+                continue;
+            }
+
+            for (const edge of node.edges) {
+                const edgeCost = costModel.edgeCost(edge);
+                if (edgeCost === Infinity) {
+                    continue;
+                }
+
+                const steps = Math.max(1, Math.ceil(edge.distance / (cellKm / 2)));
+                for (let step = 0; step <= steps; step++) {
+                    const t = step / steps;
+                    const cost = start + t * edgeCost;
+                    if (cost > maxCost) {
+                        break;
+                    }
+
+                    mark(
+                        node.lat + (edge.target.lat - node.lat) * t,
+                        node.lng + (edge.target.lng - node.lng) * t,
+                        cost
+                    );
+                }
+            }
+        }
+
+        return { values, width, height, south, west, cellLat, cellLng };
+    }
+
+    /**
+     * Outline the cells reachable within a limit with marching squares over
+     * the cell centers; the raster's empty border keeps every ring closed
+     * @returns {Array} - Rings [[{lat, lng}]], outer ones counterclockwise
+     */
+    function traceContours(raster, limit) {
+        const { values, width, height, south, west, cellLat, cellLng } = raster;
+        const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && values[y * width + x] <= limit;
+
+        // Segments between the midpoints of square sides, keyed in half-cell
+        // units and directed with the inside on the left
+        const next = new Map();
+        const key = (x2, y2) => `${x2},${y2}`;
+        const add = (from, to) => next.set(key(...from), to);
+
+        for (let y = -1; y < height; y++) {
+            for (let x = -1; x < width; x++) {
+                const bottom = [2 * x + 1, 2 * y];
+                const right = [2 * x + 2, 2 * y + 1];
+                const top = [2 * x + 1, 2 * y + 2];
+                const left = [2 * x, 2 * y + 1];
+                const index = (inside(x, y) ? 1 : 0) | (inside(x + 1, y) ? 2 : 0) |
+                    (inside(x + 1, y + 1) ? 4 : 0) | (inside(x, y + 1) ? 8 : 0);
+
+                switch (index) {
+                    case 1: add(bottom, left); break;
+                    case 2: add(right, bottom); break;
+                    case 3: add(right, left); break;
+                    case 4: add(top, right); break;
+                    case 5: add(bottom, left); add(top, right); break;
+                    case 6: add(top, bottom); break;
+                    case 7: add(top, left); break;
+                    case 8: add(left, top); break;
+                    case 9: add(bottom, top); break;
+                    case 10: add(right, bottom); add(left, top); break;
+                    case 11: add(right, top); break;
+                    case 12: add(left, right); break;
+                    case 13: add(bottom, right); break;
+                    case 14: add(left, bottom); break;
+                }
+            }
+        }
+
+        const rings = [];
+        for (const startKey of next.keys()) {
+            const ring = [];
+            let current = startKey.split(',').map(Number);
+            while (next.has(key(...current))) {
+                const following = next.get(key(...current));
+                next.delete(key(...current));
+
+                // Keep only the corners of straight runs
+                const last = ring[ring.length - 1];
+                const beforeLast = ring[ring.length - 2];
+                if (beforeLast && (last[0] - beforeLast[0]) * (current[1] - last[1]) ===
+                    (last[1] - beforeLast[1]) * (current[0] - last[0])) {
+                    ring.pop();
+                }
+                ring.push(current);
+                current = following;
+            }
+
+            // Half-cell units back to coordinates; cell x is centered at (x + 0.5) cells
+            rings.push(ring.map(([x2, y2]) => ({
+                lat: south + (y2 / 2 + 0.5) * cellLat,
+                lng: west + (x2 / 2 + 0.5) * cellLng
+            })));
+        }
+
+        return rings;
+    }
+
+    /**
+     * Find the road segment nearest to a point, for marking it blocked
+     * @param {Object} point - {lat, lng}
+     * @param {Graph} graph - Optional graph; otherwise a downloaded road graph pack
+     * @returns {Object} - { success, from: {lat, lng}, to: {lat, lng}, name } or { success: false, error }
+     */
+    async function findRoadSegment(point, graph = null) {
+        try {
+            graph = graph || await loadPackGraph([point]);
+            if (!graph) {
+                throw new Error('No road network downloaded here');
+            }
+
+            const snap = graph.snapToEdge(point.lat, point.lng, MAX_ROAD_PICK_METERS / 1000);
+            if (!snap) {
+                throw new Error(`No road within ${MAX_ROAD_PICK_METERS} m`);
+            }
+
+            const edge = snap.forward || snap.backward;
+            return {
+                success: true,
+                from: { lat: snap.from.lat, lng: snap.from.lng },
+                to: { lat: snap.to.lat, lng: snap.to.lng },
+                name: edge.name
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Wrap a cost model so that routes keep off avoided areas and road segments
+     * Edges crossing an area, and both directions of the road segments lying
+     * along a blocked road, cost Infinity; expired avoids are ignored. Only
+     * segments near the avoids are looked at, through the segment index
+     * @param {Array} avoids - [{ type: 'area', polygon: [{lat, lng}] } |
+     *                          { type: 'road', from: {lat, lng}, to: {lat, lng} },
+     *                          with id and expires: timestamp or null]
+     * @returns {Object} - { costModel: with the same fields, unmatched: ids of
+     *                     blocked roads inside the graph that match no road segment }
+     */
+    function avoidingModel(graph, costModel, avoids) {
+        const now = Date.now();
+        const active = avoids.filter(avoid => !avoid.expires || avoid.expires > now);
+        const avoided = new Set();
+        const unmatched = [];
+
+        const avoidSegment = (segment) => {
+            for (const [a, b] of [[segment.from, segment.to], [segment.to, segment.from]]) {
+                a.edges.filter(edge => edge.target === b).forEach(edge => avoided.add(edge));
+            }
+        };
+
+        for (const avoid of active) {
+            if (avoid.type === 'area' && avoid.polygon.length >= 3) {
+                const area = {
+                    polygon: avoid.polygon,
+                    south: Math.min(...avoid.polygon.map(point => point.lat)),
+                    north: Math.max(...avoid.polygon.map(point => point.lat)),
+                    west: Math.min(...avoid.polygon.map(point => point.lng)),
+                    east: Math.max(...avoid.polygon.map(point => point.lng))
+                };
+
+                for (const segment of graph.segmentsIn(area.south, area.west, area.north, area.east)) {
+                    if (segmentTouchesArea(segment.from, segment.to, area)) {
+                        avoidSegment(segment);
+                    }
+                }
+            } else if (avoid.type === 'road') {
+                const matches = findRoadMatches(graph, avoid.from, avoid.to);
+                matches.forEach(avoidSegment);
+
+                const middle = { lat: (avoid.from.lat + avoid.to.lat) / 2, lng: (avoid.from.lng + avoid.to.lng) / 2 };
+                if (matches.length === 0 && graph.edgeIndex.covers(middle.lat, middle.lng)) {
+                    unmatched.push(avoid.id);
+                }
+            }
+        }
+
+        if (avoided.size === 0) {
+            return { costModel, unmatched };
+        }
+
+        return {
+            costModel: {
+                ...costModel,
+                edgeCost: edge => avoided.has(edge) ? Infinity : costModel.edgeCost(edge)
+            },
+            unmatched
+        };
+    }
+
+    /**
+     * Find the road segments making up a stored road segment, by geometry so
+     * that it still matches after the road network is rebuilt with its ways
+     * split at other nodes: segments that lie along it, or that it lies along,
+     * within ROAD_MATCH_KM
+     * @returns {Array} - Segments { from, to }
+     */
+    function findRoadMatches(graph, from, to) {
+        const marginLat = ROAD_MATCH_KM / KM_PER_DEG_LAT;
+        const marginLng = ROAD_MATCH_KM / (KM_PER_DEG_LNG * Math.cos(toRadians(from.lat)));
+        const candidates = graph.segmentsIn(
+            Math.min(from.lat, to.lat) - marginLat, Math.min(from.lng, to.lng) - marginLng,
+            Math.max(from.lat, to.lat) + marginLat, Math.max(from.lng, to.lng) + marginLng
+        );
+
+        const near = (point, a, b) => projectOntoSegment(point.lat, point.lng, a, b).distance <= ROAD_MATCH_KM;
+        const scaleX = Math.cos(toRadians(from.lat));
+        const direction = (a, b) => {
+            const dx = (b.lng - a.lng) * scaleX;
+            const dy = b.lat - a.lat;
+            const length = Math.hypot(dx, dy) || 1;
+            return [dx / length, dy / length];
+        };
+        const [ux, uy] = direction(from, to);
+
+        return Array.from(candidates).filter((segment) => {
+            const [vx, vy] = direction(segment.from, segment.to);
+            if (Math.abs(ux * vx + uy * vy) < ROAD_MATCH_MIN_COS) {
+                return false;
+            }
+
+            return (near(segment.from, from, to) && near(segment.to, from, to)) ||
+                (near(from, segment.from, segment.to) && near(to, segment.from, segment.to));
+        });
+    }
+
+    /**
+     * Check if the segment a -> b enters an area
+     * @param {Object} area - { polygon, south, north, west, east }
+     */
+    function segmentTouchesArea(a, b, area) {
+        if (Math.max(a.lat, b.lat) < area.south || Math.min(a.lat, b.lat) > area.north ||
+            Math.max(a.lng, b.lng) < area.west || Math.min(a.lng, b.lng) > area.east) {
+            return false;
+        }
+
+        if (pointInPolygon(a, area.polygon) || pointInPolygon(b, area.polygon)) {
+            return true;
+        }
+
+        // Both ends outside, but the segment may still cut across the area
+        const polygon = area.polygon;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            if (segmentsCross(a, b, polygon[j], polygon[i])) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Ray casting test, treating degrees as planar coordinates
+     * @param {Array} polygon - [{lat, lng}], not closed
+     */
+    function pointInPolygon(point, polygon) {
+        let inside = false;
+
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+                point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Check if segments p1 -> p2 and q1 -> q2 cross
+     */
+    function segmentsCross(p1, p2, q1, q2) {
+        const side = (a, b, c) => Math.sign((b.lng - a.lng) * (c.lat - a.lat) - (b.lat - a.lat) * (c.lng - a.lng));
+
+        return side(p1, p2, q1) !== side(p1, p2, q2) && side(q1, q2, p1) !== side(q1, q2, p2);
+    }
+
+    /**
+     * Result of a failed or cancelled route calculation
+     */
+    function describeFailure(error) {
+        if (error.name === 'AbortError') {
+            return {
+                success: false,
+                cancelled: true,
+                error: error.message
+            };
+        }
+
+        console.error('Route calculation error:', error);
+        return {
+            success: false,
+            error: error.message
+        };
     }
 
     /**
      * Create a simple direct path between two points (fallback)
+     * @param {String} profileId - Travel profile whose default speed is used for timing
      */
-    function createDirectPath(origin, destination) {
+    function createDirectPath(origin, destination, profileId = TravelProfiles.DEFAULT_PROFILE) {
         const path = [origin, destination];
         const distance = haversineDistance(origin.lat, origin.lng, destination.lat, destination.lng);
-        const estimatedMinutes = Math.round((distance / AVERAGE_SPEED_KMH) * 60);
+        const estimatedMinutes = Math.round((distance / TravelProfiles.get(profileId).defaultSpeed) * 60);
 
         return {
             success: true,
@@ -327,8 +1909,13 @@ const Pathfinder = (function() {
     return {
         Graph,
         Node,
+        PriorityQueue,
         calculateRoute,
+        planTrip,
+        findRoadSegment,
+        calculateIsochrones,
         createDirectPath,
-        haversineDistance
+        haversineDistance,
+        projectOntoSegment
     };
 })();
@@ -0,0 +1,131 @@
+/**
+ * Travel Profiles Module
+ * Defines walk, bike and car profiles: which road classes each may use,
+ * how fast it moves on them and what the route search minimizes
+ */
+
+const TravelProfiles = (function() {
+    const DEFAULT_PROFILE = 'car';
+
+    /**
+     * Profile definitions
+     * speeds: km/h per OSM highway type; types not listed are not allowed
+     * defaultSpeed: km/h on edges without a highway type (synthetic grid)
+     * metric: 'shortest' minimizes distance, 'fastest' minimizes travel time
+     * respectOneway: whether one-way streets may only be used in their direction
+     */
+    const PROFILES = {
+        walk: {
+            id: 'walk',
+            label: 'Walk',
+            icon: 'directions_walk',
+            metric: 'shortest',
+            respectOneway: false,
+            defaultSpeed: 5,
+            speeds: {
+                footway: 5, pedestrian: 5, path: 4.5, steps: 2.5, corridor: 5,
+                living_street: 5, residential: 5, service: 5, unclassified: 5, road: 5,
+                track: 4.5, cycleway: 5,
+                tertiary: 5, tertiary_link: 5,
+                secondary: 5, secondary_link: 5,
+                primary: 5, primary_link: 5,
+                trunk: 5, trunk_link: 5
+            }
+        },
+        bike: {
+            id: 'bike',
+            label: 'Bike',
+            icon: 'directions_bike',
+            metric: 'fastest',
+            respectOneway: true,
+            defaultSpeed: 15,
+            speeds: {
+                cycleway: 18, path: 12, track: 12,
+                footway: 6, pedestrian: 6, // Walking the bike
+                living_street: 10, residential: 16, service: 14, unclassified: 16, road: 15,
+                tertiary: 18, tertiary_link: 18,
+                secondary: 18, secondary_link: 18,
+                primary: 16, primary_link: 16
+            }
+        },
+        car: {
+            id: 'car',
+            label: 'Car',
+            icon: 'directions_car',
+            metric: 'fastest',
+            respectOneway: true,
+            defaultSpeed: 50,
+            speeds: {
+                motorway: 100, motorway_link: 60,
+                trunk: 80, trunk_link: 50,
+                primary: 60, primary_link: 40,
+                secondary: 50, secondary_link: 35,
+                tertiary: 40, tertiary_link: 30,
+                unclassified: 35, residential: 30, road: 30,
+                living_street: 10, service: 15, track: 15
+            }
+        }
+    };
+
+    /**
+     * Get a profile by ID, falling back to the default profile
+     */
+    function get(id) {
+        return PROFILES[id] || PROFILES[DEFAULT_PROFILE];
+    }
+
+    /**
+     * List all profiles
+     */
+    function list() {
+        return Object.values(PROFILES);
+    }
+
+    /**
+     * Speed of a profile on an edge in km/h; 0 if the edge may not be used
+     */
+    function getSpeed(profile, edge) {
+        if (edge.contraflow && profile.respectOneway) {
+            return 0;
+        }
+
+        if (!edge.highway) {
+            return profile.defaultSpeed;
+        }
+
+        return profile.speeds[edge.highway] || 0;
+    }
+
+    /**
+     * Build the cost model a route search minimizes for a profile
+     * Costs are kilometres for 'shortest' and hours for 'fastest'; the heuristic
+     * scale turns straight-line kilometres into a cost that never overestimates
+     * @returns {Object} - { profile, speedOf(edge), edgeCost(edge), heuristicScale }
+     */
+    function getCostModel(id) {
+        const profile = get(id);
+        const maxSpeed = Math.max(profile.defaultSpeed, ...Object.values(profile.speeds));
+        const fastest = profile.metric === 'fastest';
+        const speedOf = (edge) => getSpeed(profile, edge);
+
+        return {
+            profile,
+            speedOf,
+            edgeCost: (edge) => {
+                const speed = speedOf(edge);
+                if (!speed) return Infinity;
+                return fastest ? edge.distance / speed : edge.distance;
+            },
+            heuristicScale: fastest ? 1 / maxSpeed : 1
+        };
+    }
+
+    // Public API
+    return {
+        DEFAULT_PROFILE,
+        get,
+        list,
+        getSpeed,
+        getCostModel
+    };
+})();
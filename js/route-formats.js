@@ -0,0 +1,347 @@
+/**
+ * Route Formats Module
+ * Converts saved routes to GPX 1.1 and GeoJSON, and reads tracks from
+ * GPX, GeoJSON and KML files; also shares avoided areas and roads as GeoJSON
+ */
+
+const RouteFormats = (function() {
+    const CREATOR = 'GeoCache';
+    const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+
+    /**
+     * Write a route as a GPX 1.1 track
+     * @param {Object} route - Saved route ({ name, profile, path, timestamp })
+     * @returns {String} - GPX document
+     */
+    function toGpx(route) {
+        const name = escapeXml(getRouteName(route));
+        const points = route.path
+            .map(point => `      <trkpt lat="${point.lat.toFixed(7)}" lon="${point.lng.toFixed(7)}"/>`)
+            .join('\n');
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="${CREATOR}" xmlns="${GPX_NAMESPACE}">`,
+            '  <metadata>',
+            `    <name>${name}</name>`,
+            `    <time>${new Date(route.timestamp || Date.now()).toISOString()}</time>`,
+            '  </metadata>',
+            '  <trk>',
+            `    <name>${name}</name>`,
+            route.profile ? `    <type>${escapeXml(route.profile)}</type>` : null,
+            '    <trkseg>',
+            points,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>',
+            ''
+        ].filter(line => line !== null).join('\n');
+    }
+
+    /**
+     * Write a route as a GeoJSON feature collection with one line
+     * @returns {String} - GeoJSON document
+     */
+    function toGeoJson(route) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                properties: {
+                    name: getRouteName(route),
+                    profile: route.profile || null,
+                    distanceKm: route.distance,
+                    durationMin: route.duration,
+                    time: new Date(route.timestamp || Date.now()).toISOString()
+                },
+                geometry: {
+                    type: 'LineString',
+                    coordinates: route.path.map(point => [roundCoordinate(point.lng), roundCoordinate(point.lat)])
+                }
+            }]
+        }, null, 2);
+    }
+
+    /**
+     * Read the tracks in a GPX, GeoJSON or KML file
+     * @param {String} text - File contents
+     * @returns {Array} - [{ name, path: [{lat, lng}] }]; throws if there are none
+     */
+    function parse(text) {
+        const trimmed = text.trim();
+        let tracks;
+
+        if (trimmed.startsWith('{')) {
+            tracks = parseGeoJson(JSON.parse(trimmed));
+        } else {
+            const doc = new DOMParser().parseFromString(trimmed, 'application/xml');
+            if (doc.getElementsByTagName('parsererror').length > 0) {
+                throw new Error('The file is not valid XML');
+            }
+
+            const root = doc.documentElement.localName;
+            if (root === 'gpx') {
+                tracks = parseGpx(doc);
+            } else if (root === 'kml') {
+                tracks = parseKml(doc);
+            } else {
+                throw new Error('Unsupported file format');
+            }
+        }
+
+        tracks = tracks.filter(track => track.path.length >= 2);
+        if (tracks.length === 0) {
+            throw new Error('No tracks found');
+        }
+
+        return tracks;
+    }
+
+    /**
+     * Tracks and routes of a GPX document; track segments are joined
+     */
+    function parseGpx(doc) {
+        const tracks = [];
+        const readPoint = element => ({
+            lat: parseFloat(element.getAttribute('lat')),
+            lng: parseFloat(element.getAttribute('lon'))
+        });
+
+        for (const [container, pointTag] of [['trk', 'trkpt'], ['rte', 'rtept']]) {
+            for (const element of elements(doc, container)) {
+                tracks.push({
+                    name: childText(element, 'name'),
+                    path: elements(element, pointTag).map(readPoint).filter(isValidPoint)
+                });
+            }
+        }
+
+        return tracks;
+    }
+
+    /**
+     * Line placemarks of a KML document, including gx:Track
+     */
+    function parseKml(doc) {
+        return elements(doc, 'Placemark').map((placemark) => {
+            const path = [];
+
+            for (const line of elements(placemark, 'LineString')) {
+                const coordinates = elements(line, 'coordinates')[0];
+                if (!coordinates) {
+                    continue;
+                }
+
+                // "lng,lat[,alt]" tuples separated by whitespace
+                for (const tuple of coordinates.textContent.trim().split(/\s+/)) {
+                    const [lng, lat] = tuple.split(',').map(parseFloat);
+                    path.push({ lat, lng });
+                }
+            }
+
+            // gx:Track lists "lng lat alt" per coordinate
+            for (const coord of elements(placemark, 'coord')) {
+                const [lng, lat] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+                path.push({ lat, lng });
+            }
+
+            return { name: childText(placemark, 'name'), path: path.filter(isValidPoint) };
+        });
+    }
+
+    /**
+     * Lines of a GeoJSON object; multi-lines are joined
+     */
+    function parseGeoJson(json) {
+        const features = json.type === 'FeatureCollection' ? json.features
+            : json.type === 'Feature' ? [json]
+            : [{ type: 'Feature', properties: {}, geometry: json }];
+
+        const tracks = [];
+        for (const feature of features) {
+            const geometry = feature && feature.geometry;
+            if (!geometry) {
+                continue;
+            }
+
+            const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+                : geometry.type === 'MultiLineString' ? geometry.coordinates
+                : [];
+            if (lines.length === 0) {
+                continue;
+            }
+
+            tracks.push({
+                name: (feature.properties && feature.properties.name) || null,
+                path: lines.flat().map(([lng, lat]) => ({ lat, lng })).filter(isValidPoint)
+            });
+        }
+
+        return tracks;
+    }
+
+    /**
+     * Turn an imported track into a saved route, timed with a travel profile
+     * @param {Object} track - { name, path }
+     * @param {String} profileId - Travel profile (see TravelProfiles)
+     */
+    function toRoute(track, profileId) {
+        const path = track.path;
+        let distance = 0;
+        for (let i = 1; i < path.length; i++) {
+            distance += Pathfinder.haversineDistance(path[i - 1].lat, path[i - 1].lng, path[i].lat, path[i].lng);
+        }
+
+        return {
+            name: track.name,
+            origin: path[0],
+            destination: path[path.length - 1],
+            profile: profileId,
+            path,
+            steps: RouteInstructions.generate(path),
+            distance,
+            duration: Math.round(distance / TravelProfiles.get(profileId).defaultSpeed * 60),
+            imported: true
+        };
+    }
+
+    /**
+     * Write avoided areas and road segments as GeoJSON: areas as polygons,
+     * roads as two-point lines
+     * @param {Array} avoids - As saved by CacheManager.saveAvoids
+     * @returns {String} - GeoJSON document
+     */
+    function avoidsToGeoJson(avoids) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: avoids.map((avoid) => {
+                const points = avoid.type === 'area' ? [...avoid.polygon, avoid.polygon[0]] : [avoid.from, avoid.to];
+                const coordinates = points.map(point => [roundCoordinate(point.lng), roundCoordinate(point.lat)]);
+
+                return {
+                    type: 'Feature',
+                    properties: {
+                        avoid: avoid.type,
+                        name: avoid.name || null,
+                        expires: avoid.expires ? new Date(avoid.expires).toISOString() : null
+                    },
+                    geometry: avoid.type === 'area'
+                        ? { type: 'Polygon', coordinates: [coordinates] }
+                        : { type: 'LineString', coordinates }
+                };
+            })
+        }, null, 2);
+    }
+
+    /**
+     * Read avoided areas and road segments from GeoJSON: polygons (their outer
+     * rings) become areas, and each line segment a blocked road
+     * @param {String} text - File contents
+     * @returns {Array} - Avoids for CacheManager.saveAvoids; throws if there are none
+     */
+    function parseAvoids(text) {
+        const json = JSON.parse(text);
+        const features = json.type === 'FeatureCollection' ? json.features
+            : json.type === 'Feature' ? [json]
+            : [{ type: 'Feature', properties: {}, geometry: json }];
+
+        const avoids = [];
+        for (const feature of features) {
+            const geometry = feature && feature.geometry;
+            if (!geometry) {
+                continue;
+            }
+
+            const properties = feature.properties || {};
+            const expires = properties.expires ? Date.parse(properties.expires) : null;
+            const common = { name: properties.name || null, expires: isFinite(expires) ? expires : null };
+            const toPoints = coordinates => coordinates.map(([lng, lat]) => ({ lat, lng })).filter(isValidPoint);
+
+            const rings = geometry.type === 'Polygon' ? [geometry.coordinates[0]]
+                : geometry.type === 'MultiPolygon' ? geometry.coordinates.map(polygon => polygon[0])
+                : [];
+            for (const ring of rings) {
+                // GeoJSON rings repeat their first position at the end
+                const polygon = toPoints(ring.slice(0, -1));
+                if (polygon.length >= 3) {
+                    avoids.push({ type: 'area', polygon, ...common });
+                }
+            }
+
+            const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+                : geometry.type === 'MultiLineString' ? geometry.coordinates
+                : [];
+            for (const line of lines) {
+                const points = toPoints(line);
+                for (let i = 1; i < points.length; i++) {
+                    avoids.push({ type: 'road', from: points[i - 1], to: points[i], ...common });
+                }
+            }
+        }
+
+        if (avoids.length === 0) {
+            throw new Error('No areas or roads found');
+        }
+
+        return avoids;
+    }
+
+    /**
+     * Display name of a route: its own name, else where it goes
+     */
+    function getRouteName(route) {
+        if (route.name) {
+            return route.name;
+        }
+
+        if (route.originLabel && route.destinationLabel) {
+            return `${route.originLabel} → ${route.destinationLabel}`;
+        }
+
+        const date = new Date(route.timestamp || Date.now()).toLocaleString();
+        return `Route ${date}`;
+    }
+
+    /**
+     * Descendants with a tag name in any namespace
+     */
+    function elements(parent, tagName) {
+        return Array.from(parent.getElementsByTagNameNS('*', tagName));
+    }
+
+    /**
+     * Text of a direct child element, or null
+     */
+    function childText(parent, tagName) {
+        const child = Array.from(parent.childNodes).find(node => node.localName === tagName);
+        return child ? child.textContent.trim() || null : null;
+    }
+
+    function isValidPoint(point) {
+        return isFinite(point.lat) && isFinite(point.lng) &&
+            Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+    }
+
+    function roundCoordinate(value) {
+        return Math.round(value * 1e7) / 1e7;
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Public API
+    return {
+        toGpx,
+        toGeoJson,
+        parse,
+        toRoute,
+        avoidsToGeoJson,
+        parseAvoids,
+        getRouteName
+    };
+})();
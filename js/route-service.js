@@ -0,0 +1,259 @@
+/**
+ * Route Service Module
+ * Page-side client for the route worker; falls back to the main thread
+ * where Web Workers are unavailable
+ */
+
+const RouteService = (function() {
+    const WORKER_URL = 'js/route-worker.js';
+
+    let worker = null;
+    let nextRequestId = 1;
+
+    // Outstanding worker requests: requestId -> { resolve, reject, onProgress }
+    const pending = new Map();
+
+    // Route request the page is still waiting on
+    let activeRouteId = null;
+
+    // Main-thread fallback state
+    let localGraph = null;
+    let localController = null;
+
+    /**
+     * Get the route worker, starting it on first use
+     * @returns {Worker|null} - null if workers are unsupported or failed to start
+     */
+    function getWorker() {
+        if (worker || typeof Worker === 'undefined') {
+            return worker;
+        }
+
+        try {
+            worker = new Worker(WORKER_URL);
+            worker.addEventListener('message', handleMessage);
+            worker.addEventListener('error', (event) => {
+                console.error('Route worker error:', event.message);
+            });
+        } catch (error) {
+            console.warn('Route worker unavailable, routing on main thread:', error);
+            worker = null;
+        }
+
+        return worker;
+    }
+
+    /**
+     * Dispatch a message from the worker to its pending request
+     */
+    function handleMessage(event) {
+        const message = event.data;
+        const request = pending.get(message.requestId);
+
+        if (!request) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'progress':
+                if (request.onProgress) {
+                    request.onProgress(message.progress);
+                }
+                break;
+            case 'graph-loaded':
+                pending.delete(message.requestId);
+                request.resolve(message.stats);
+                break;
+            case 'route-result':
+            case 'road-result':
+                pending.delete(message.requestId);
+                request.resolve(message.result);
+                break;
+            case 'error':
+                pending.delete(message.requestId);
+                request.reject(new Error(message.error));
+                break;
+        }
+    }
+
+    /**
+     * Send a request to the worker and wait for its reply
+     */
+    function send(message, onProgress = null) {
+        const requestId = nextRequestId++;
+
+        return {
+            requestId,
+            promise: new Promise((resolve, reject) => {
+                pending.set(requestId, { resolve, reject, onProgress });
+                worker.postMessage({ ...message, requestId });
+            })
+        };
+    }
+
+    /**
+     * Load the routing graph used for subsequent routes
+     * @param {Object} source - { source: 'osm', text } | { source: 'pack', pack } | { source: 'none' }
+     * @returns {Object|null} - Import stats
+     */
+    async function loadGraph(source) {
+        if (getWorker()) {
+            return send({ type: 'load-graph', ...source }).promise;
+        }
+
+        if (source.source === 'osm') {
+            const osmData = OsmImporter.parse(source.text);
+            const result = OsmImporter.buildGraph(osmData);
+            if (result.graph.nodes.size === 0) {
+                throw new Error('No routable roads found in file');
+            }
+            localGraph = result.graph;
+            result.stats.places = await Geocoder.indexOsmData(osmData);
+            return result.stats;
+        }
+
+        if (source.source === 'pack') {
+            localGraph = Pathfinder.Graph.fromPack(source.pack);
+            return { nodes: localGraph.nodes.size };
+        }
+
+        localGraph = null;
+        return null;
+    }
+
+    /**
+     * Calculate a route; a new call replaces the route still running
+     * @param {Object} origin - {lat, lng}
+     * @param {Object} destination - {lat, lng}
+     * @param {Object} options - { onProgress: Function }; other options are
+     *                            passed on to Pathfinder.calculateRoute
+     * @returns {Object} - Result of Pathfinder.calculateRoute; superseded
+     *                     requests resolve with { success: false, cancelled: true }
+     */
+    async function route(origin, destination, options = {}) {
+        return runRoute({ type: 'route', origin, destination }, options, (graph, routeOptions) => {
+            return Pathfinder.calculateRoute(origin, destination, graph, routeOptions);
+        });
+    }
+
+    /**
+     * Plan a trip through stops in the best order found; like route(), a new
+     * call replaces the route still running
+     * @param {Array} points - [{lat, lng}]; the trip starts at the first
+     * @param {Object} options - { onProgress: Function }; other options are
+     *                            passed on to Pathfinder.planTrip
+     * @returns {Object} - Result of Pathfinder.planTrip
+     */
+    async function planTrip(points, options = {}) {
+        return runRoute({ type: 'plan-trip', points }, options, (graph, routeOptions) => {
+            return Pathfinder.planTrip(points, graph, routeOptions);
+        });
+    }
+
+    /**
+     * Calculate the areas reachable from a point; like route(), a new call
+     * replaces the route still running
+     * @param {Object} origin - {lat, lng}
+     * @param {Object} options - { onProgress: Function }; other options are
+     *                            passed on to Pathfinder.calculateIsochrones
+     * @returns {Object} - Result of Pathfinder.calculateIsochrones
+     */
+    async function isochrones(origin, options = {}) {
+        return runRoute({ type: 'isochrones', origin }, options, (graph, routeOptions) => {
+            return Pathfinder.calculateIsochrones(origin, graph, routeOptions);
+        });
+    }
+
+    /**
+     * Find the road segment nearest to a point, for marking it blocked
+     * @param {Object} point - {lat, lng}
+     * @returns {Object} - Result of Pathfinder.findRoadSegment
+     */
+    async function findRoadSegment(point) {
+        if (!getWorker()) {
+            return Pathfinder.findRoadSegment(point, localGraph);
+        }
+
+        return send({ type: 'find-road', point }).promise;
+    }
+
+    /**
+     * Run a route request in the worker, or on the main thread without one
+     * @param {Object} message - Worker message, without requestId and options
+     * @param {Function} calculate - (graph, options) -> Promise of a route result
+     */
+    async function runRoute(message, options, calculate) {
+        const { onProgress = null, ...routeOptions } = options;
+
+        cancel();
+
+        if (!getWorker()) {
+            const controller = new AbortController();
+            localController = controller;
+
+            const result = await calculate(localGraph, {
+                ...routeOptions,
+                signal: controller.signal,
+                onProgress
+            });
+
+            if (localController === controller) {
+                localController = null;
+            }
+            return result;
+        }
+
+        const { requestId, promise } = send({ ...message, options: routeOptions }, onProgress);
+        activeRouteId = requestId;
+
+        const result = await promise;
+        if (activeRouteId === requestId) {
+            activeRouteId = null;
+        }
+        return result;
+    }
+
+    /**
+     * Cancel the running route, if any
+     */
+    function cancel() {
+        if (localController) {
+            localController.abort();
+            localController = null;
+        }
+
+        if (activeRouteId === null) {
+            return;
+        }
+
+        const requestId = activeRouteId;
+        const request = pending.get(requestId);
+        activeRouteId = null;
+
+        worker.postMessage({ type: 'cancel', requestId });
+
+        // Settle immediately; the worker's late reply is dropped
+        if (request) {
+            pending.delete(requestId);
+            request.resolve({ success: false, cancelled: true, error: 'Route calculation cancelled' });
+        }
+    }
+
+    /**
+     * Check if a route is being calculated
+     */
+    function isBusy() {
+        return activeRouteId !== null || localController !== null;
+    }
+
+    // Public API
+    return {
+        loadGraph,
+        route,
+        planTrip,
+        isochrones,
+        findRoadSegment,
+        cancel,
+        isBusy
+    };
+})();
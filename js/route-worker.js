@@ -0,0 +1,139 @@
+/**
+ * Route Worker
+ * Holds the routing graph and runs route searches off the main thread
+ *
+ * Messages in:
+ *   { type: 'load-graph', requestId, source: 'osm', text } - build graph and place index from OSM XML/JSON
+ *   { type: 'load-graph', requestId, source: 'pack', pack } - rebuild graph from a pack
+ *   { type: 'load-graph', requestId, source: 'none' }       - drop the loaded graph
+ *   { type: 'route', requestId, origin, destination, options } - replaces any running route
+ *   { type: 'plan-trip', requestId, points, options }          - best visiting order; replaces any running route
+ *   { type: 'isochrones', requestId, origin, options }         - reachable areas; replaces any running route
+ *   { type: 'find-road', requestId, point }                 - road segment nearest to a point
+ *   { type: 'cancel', requestId }
+ *
+ * Messages out:
+ *   { type: 'graph-loaded', requestId, stats }
+ *   { type: 'progress', requestId, progress }
+ *   { type: 'route-result', requestId, result }
+ *   { type: 'road-result', requestId, result }
+ *   { type: 'error', requestId, error }
+ */
+
+importScripts('cache.js', 'profiles.js', 'pathfinding.js', 'osm-import.js', 'geocoder.js');
+
+(function() {
+    'use strict';
+
+    // Graph loaded explicitly by the page; null means use downloaded packs
+    let graph = null;
+
+    // Route currently being calculated: { requestId, controller }
+    let activeRoute = null;
+
+    self.addEventListener('message', (event) => {
+        const message = event.data;
+
+        switch (message.type) {
+            case 'load-graph':
+                loadGraph(message);
+                break;
+            case 'route':
+                runRoute(message.requestId, (options) => {
+                    return Pathfinder.calculateRoute(message.origin, message.destination, graph, options);
+                }, message.options);
+                break;
+            case 'plan-trip':
+                runRoute(message.requestId, (options) => {
+                    return Pathfinder.planTrip(message.points, graph, options);
+                }, message.options);
+                break;
+            case 'isochrones':
+                runRoute(message.requestId, (options) => {
+                    return Pathfinder.calculateIsochrones(message.origin, graph, options);
+                }, message.options);
+                break;
+            case 'find-road':
+                findRoad(message);
+                break;
+            case 'cancel':
+                cancel(message.requestId);
+                break;
+            default:
+                console.warn('Route worker: unknown message type', message.type);
+        }
+    });
+
+    /**
+     * Load or drop the explicit routing graph
+     */
+    async function loadGraph({ requestId, source, text, pack }) {
+        try {
+            let stats = null;
+
+            if (source === 'osm') {
+                const osmData = OsmImporter.parse(text);
+                const result = OsmImporter.buildGraph(osmData);
+                if (result.graph.nodes.size === 0) {
+                    throw new Error('No routable roads found in file');
+                }
+                graph = result.graph;
+                stats = result.stats;
+                stats.places = await Geocoder.indexOsmData(osmData);
+            } else if (source === 'pack') {
+                graph = Pathfinder.Graph.fromPack(pack);
+                stats = { nodes: graph.nodes.size };
+            } else {
+                graph = null;
+            }
+
+            self.postMessage({ type: 'graph-loaded', requestId, stats });
+        } catch (error) {
+            self.postMessage({ type: 'error', requestId, error: error.message });
+        }
+    }
+
+    /**
+     * Calculate a route, cancelling the one still running
+     * @param {Function} calculate - options -> Promise of a route result
+     */
+    async function runRoute(requestId, calculate, options = {}) {
+        if (activeRoute) {
+            activeRoute.controller.abort();
+        }
+
+        const controller = new AbortController();
+        activeRoute = { requestId, controller };
+
+        const result = await calculate({
+            ...options,
+            signal: controller.signal,
+            onProgress: (progress) => {
+                self.postMessage({ type: 'progress', requestId, progress });
+            }
+        });
+
+        if (activeRoute && activeRoute.requestId === requestId) {
+            activeRoute = null;
+        }
+
+        self.postMessage({ type: 'route-result', requestId, result });
+    }
+
+    /**
+     * Find the road segment nearest to a point
+     */
+    async function findRoad({ requestId, point }) {
+        const result = await Pathfinder.findRoadSegment(point, graph);
+        self.postMessage({ type: 'road-result', requestId, result });
+    }
+
+    /**
+     * Cancel a running route
+     */
+    function cancel(requestId) {
+        if (activeRoute && activeRoute.requestId === requestId) {
+            activeRoute.controller.abort();
+        }
+    }
+})();
@@ -0,0 +1,942 @@
+/**
+ * Tile Archives Module
+ * Moves regions in and out of the tile store as single files, so a region
+ * prepared once can be sideloaded onto devices that never go online.
+ * Imports MBTiles (SQLite) and PMTiles v3 archives; exports PMTiles v3.
+ *
+ * Archives of PNG, JPEG or WebP tiles are shown as the standard map and
+ * archives of vector tiles as the vector map (see TileStore sources).
+ */
+
+const TileArchives = (function() {
+    const SQLITE_MAGIC = 'SQLite format 3\0';
+    const PMTILES_MAGIC = 'PMTiles';
+    const PMTILES_VERSION = 3;
+    const PMTILES_HEADER_BYTES = 127;
+    const PMTILES_ROOT_MAX_BYTES = 16384 - PMTILES_HEADER_BYTES; // Header and root directory fit one 16 KB read
+    const PMTILES_LEAF_SIZE = 4096; // Entries per leaf directory to start from when the root overflows
+
+    const CHUNK_BYTES = 1024 * 1024; // Files are read in chunks this size
+    const MAX_CACHED_CHUNKS = 8;
+    const SAVE_BATCH_SIZE = 100; // Tiles written per transaction while importing
+
+    const COMPRESSION = { UNKNOWN: 0, NONE: 1, GZIP: 2, BROTLI: 3, ZSTD: 4 };
+    const COMPRESSION_NAMES = { 1: 'none', 2: 'gzip', 3: 'brotli', 4: 'zstd' };
+    const PMTILES_TILE_TYPES = { 1: 'pbf', 2: 'png', 3: 'jpg', 4: 'webp', 5: 'avif' };
+    const MIME_TYPES = {
+        pbf: 'application/x-protobuf',
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        webp: 'image/webp',
+        avif: 'image/avif'
+    };
+
+    /**
+     * Random access to a local file, read in cached chunks
+     */
+    class ArchiveFile {
+        constructor(file) {
+            this.file = file;
+            this.chunks = new Map();
+        }
+
+        get size() {
+            return this.file.size;
+        }
+
+        /**
+         * Read bytes from the file
+         * @returns {Uint8Array}
+         */
+        async read(offset, length) {
+            if (offset < 0 || offset + length > this.file.size) {
+                throw new Error('Archive is truncated');
+            }
+
+            // Large reads, like big tiles, skip the cache
+            if (length > CHUNK_BYTES) {
+                return new Uint8Array(await this.file.slice(offset, offset + length).arrayBuffer());
+            }
+
+            const result = new Uint8Array(length);
+            const first = Math.floor(offset / CHUNK_BYTES);
+            const last = Math.floor((offset + length - 1) / CHUNK_BYTES);
+
+            for (let index = first; index <= last; index++) {
+                const chunk = await this.getChunk(index);
+                const chunkStart = index * CHUNK_BYTES;
+                const from = Math.max(offset, chunkStart);
+                const to = Math.min(offset + length, chunkStart + chunk.length);
+                result.set(chunk.subarray(from - chunkStart, to - chunkStart), from - offset);
+            }
+
+            return result;
+        }
+
+        async getChunk(index) {
+            let chunk = this.chunks.get(index);
+
+            if (chunk) {
+                // Move to the most recently used end
+                this.chunks.delete(index);
+            } else {
+                const start = index * CHUNK_BYTES;
+                chunk = new Uint8Array(await this.file.slice(start, start + CHUNK_BYTES).arrayBuffer());
+            }
+
+            this.chunks.set(index, chunk);
+            if (this.chunks.size > MAX_CACHED_CHUNKS) {
+                this.chunks.delete(this.chunks.keys().next().value);
+            }
+
+            return chunk;
+        }
+    }
+
+    /**
+     * Read-only access to the tables of an SQLite database file; enough to
+     * scan rowid tables, which is all MBTiles needs
+     */
+    class SqliteReader {
+        constructor(file) {
+            this.file = file;
+            this.tables = new Map();
+        }
+
+        async open() {
+            const header = await this.file.read(0, 100);
+            const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+
+            const pageSize = view.getUint16(16);
+            this.pageSize = pageSize === 1 ? 65536 : pageSize;
+            this.usableSize = this.pageSize - header[20];
+
+            const encoding = view.getUint32(56);
+            this.decoder = new TextDecoder(encoding === 2 ? 'utf-16le' : encoding === 3 ? 'utf-16be' : 'utf-8');
+
+            // The schema table (sqlite_master) is rooted at page 1
+            for await (const row of this.scan(1)) {
+                const [type, name, , rootPage, sql] = row.values;
+                if (type === 'table') {
+                    this.tables.set(name, { rootPage, ...parseColumns(sql) });
+                }
+            }
+        }
+
+        hasTable(name) {
+            return this.tables.has(name);
+        }
+
+        /**
+         * Rows of a table as objects keyed by column name
+         */
+        async *rows(name) {
+            const table = this.tables.get(name);
+            if (!table) {
+                throw new Error(`Table ${name} not found`);
+            }
+
+            for await (const row of this.scan(table.rootPage)) {
+                const record = {};
+                table.columns.forEach((column, index) => {
+                    record[column] = index === table.rowidColumn ? row.rowid : row.values[index];
+                });
+                yield record;
+            }
+        }
+
+        readPage(number) {
+            return this.file.read((number - 1) * this.pageSize, this.pageSize);
+        }
+
+        /**
+         * Walk a table b-tree in rowid order
+         * @returns {AsyncGenerator} - { rowid, values }
+         */
+        async *scan(pageNumber) {
+            const page = await this.readPage(pageNumber);
+            const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+            const start = pageNumber === 1 ? 100 : 0; // Page 1 begins with the file header
+            const type = page[start];
+            const cellCount = view.getUint16(start + 3);
+
+            if (type === 0x05) {
+                // Interior page: left children in the cells, then the rightmost child
+                for (let i = 0; i < cellCount; i++) {
+                    const cell = view.getUint16(start + 12 + i * 2);
+                    yield* this.scan(view.getUint32(cell));
+                }
+                yield* this.scan(view.getUint32(start + 8));
+            } else if (type === 0x0d) {
+                for (let i = 0; i < cellCount; i++) {
+                    yield await this.readCell(page, view, view.getUint16(start + 8 + i * 2));
+                }
+            } else {
+                throw new Error(`Unsupported SQLite page type ${type}`);
+            }
+        }
+
+        /**
+         * Read a leaf cell, following overflow pages for large payloads
+         */
+        async readCell(page, view, position) {
+            const [payloadSize, sizeLength] = readSqliteVarint(page, position);
+            position += sizeLength;
+            const [rowid, rowidLength] = readSqliteVarint(page, position);
+            position += rowidLength;
+
+            const maxLocal = this.usableSize - 35;
+            let payload;
+
+            if (payloadSize <= maxLocal) {
+                payload = page.subarray(position, position + payloadSize);
+            } else {
+                const minLocal = Math.floor((this.usableSize - 12) * 32 / 255) - 23;
+                const surplus = minLocal + (payloadSize - minLocal) % (this.usableSize - 4);
+                const local = surplus <= maxLocal ? surplus : minLocal;
+
+                payload = new Uint8Array(payloadSize);
+                payload.set(page.subarray(position, position + local));
+
+                let filled = local;
+                let overflow = view.getUint32(position + local);
+                while (overflow !== 0 && filled < payloadSize) {
+                    const overflowPage = await this.readPage(overflow);
+                    const take = Math.min(this.usableSize - 4, payloadSize - filled);
+                    payload.set(overflowPage.subarray(4, 4 + take), filled);
+                    filled += take;
+                    overflow = new DataView(overflowPage.buffer, overflowPage.byteOffset).getUint32(0);
+                }
+            }
+
+            return { rowid, values: this.decodeRecord(payload) };
+        }
+
+        /**
+         * Decode a record: a header of serial types, then the values
+         */
+        decodeRecord(payload) {
+            const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+            const [headerSize, length] = readSqliteVarint(payload, 0);
+            const types = [];
+
+            for (let position = length; position < headerSize;) {
+                const [type, typeLength] = readSqliteVarint(payload, position);
+                types.push(type);
+                position += typeLength;
+            }
+
+            let position = headerSize;
+            return types.map((type) => {
+                if (type === 0) return null;
+                if (type === 8) return 0;
+                if (type === 9) return 1;
+
+                if (type === 7) {
+                    const value = view.getFloat64(position);
+                    position += 8;
+                    return value;
+                }
+
+                if (type <= 6) {
+                    const size = [0, 1, 2, 3, 4, 6, 8][type];
+                    const value = readSignedInt(payload, position, size);
+                    position += size;
+                    return value;
+                }
+
+                const size = Math.floor((type - 12) / 2);
+                const bytes = payload.subarray(position, position + size);
+                position += size;
+                return type % 2 === 0 ? bytes : this.decoder.decode(bytes);
+            });
+        }
+    }
+
+    /**
+     * Column names of a CREATE TABLE statement, and which one (if any) is an
+     * alias of the rowid
+     * @returns {Object} - { columns, rowidColumn }
+     */
+    function parseColumns(sql) {
+        const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+        const definitions = [];
+        let depth = 0;
+        let current = '';
+
+        for (const char of body) {
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (char === ',' && depth === 0) {
+                definitions.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        definitions.push(current.trim());
+
+        const columns = [];
+        let rowidColumn = -1;
+
+        for (const definition of definitions) {
+            if (/^(constraint|primary|unique|check|foreign)\b/i.test(definition)) {
+                continue;
+            }
+
+            const name = definition.match(/^("[^"]+"|`[^`]+`|\[[^\]]+\]|\S+)/)[1].replace(/^["`[]|["`\]]$/g, '');
+            if (/^\S+\s+integer\s+primary\s+key/i.test(definition)) {
+                rowidColumn = columns.length;
+            }
+            columns.push(name);
+        }
+
+        return { columns, rowidColumn };
+    }
+
+    /**
+     * SQLite varint: big-endian 7-bit groups, the ninth byte whole
+     * @returns {Array} - [value, bytes read]
+     */
+    function readSqliteVarint(bytes, position) {
+        let value = 0;
+
+        for (let i = 0; i < 9; i++) {
+            const byte = bytes[position + i];
+            if (i === 8) {
+                return [value * 256 + byte, 9];
+            }
+            value = value * 128 + (byte & 0x7f);
+            if (!(byte & 0x80)) {
+                return [value, i + 1];
+            }
+        }
+
+        return [value, 9];
+    }
+
+    /**
+     * Big-endian two's complement integer of 1 to 8 bytes
+     */
+    function readSignedInt(bytes, position, size) {
+        let value = 0;
+        for (let i = 0; i < size; i++) {
+            value = value * 256 + bytes[position + i];
+        }
+        return bytes[position] & 0x80 ? value - Math.pow(2, size * 8) : value;
+    }
+
+    /**
+     * Read an MBTiles database
+     * @returns {Object} - { metadata, tiles: AsyncGenerator of { z, x, y, data } }
+     */
+    async function readMbtiles(file) {
+        const db = new SqliteReader(file);
+        await db.open();
+
+        const metadata = {};
+        if (db.hasTable('metadata')) {
+            for await (const row of db.rows('metadata')) {
+                metadata[row.name] = row.value;
+            }
+        }
+
+        const format = String(metadata.format || 'png').toLowerCase();
+
+        return {
+            metadata: {
+                name: metadata.name || null,
+                format: format === 'mvt' ? 'pbf' : format,
+                bounds: parseBounds(metadata.bounds)
+            },
+            tiles: readMbtilesTiles(db)
+        };
+    }
+
+    /**
+     * Tiles of an MBTiles database, from a tiles table or the map/images
+     * pair that deduplicating writers use instead
+     */
+    async function* readMbtilesTiles(db) {
+        // Rows are numbered from the south (TMS)
+        const toTile = (z, x, row) => ({ z, x, y: Math.pow(2, z) - 1 - row });
+
+        if (db.hasTable('tiles')) {
+            for await (const row of db.rows('tiles')) {
+                yield { ...toTile(row.zoom_level, row.tile_column, row.tile_row), data: row.tile_data };
+            }
+            return;
+        }
+
+        if (!db.hasTable('map') || !db.hasTable('images')) {
+            throw new Error('Not an MBTiles file: no tiles table');
+        }
+
+        const positions = new Map();
+        for await (const row of db.rows('map')) {
+            const tile = toTile(row.zoom_level, row.tile_column, row.tile_row);
+            if (!positions.has(row.tile_id)) {
+                positions.set(row.tile_id, []);
+            }
+            positions.get(row.tile_id).push(tile);
+        }
+
+        for await (const row of db.rows('images')) {
+            for (const tile of positions.get(row.tile_id) || []) {
+                yield { ...tile, data: row.tile_data };
+            }
+        }
+    }
+
+    /**
+     * Parse MBTiles "west,south,east,north" bounds
+     * @returns {Array|null} - [[south, west], [north, east]]
+     */
+    function parseBounds(text) {
+        const values = String(text || '').split(',').map(Number);
+        if (values.length !== 4 || values.some(value => !isFinite(value))) {
+            return null;
+        }
+
+        const [west, south, east, north] = values;
+        return [[south, west], [north, east]];
+    }
+
+    /**
+     * Read a PMTiles v3 archive
+     * @returns {Object} - { metadata, tiles: AsyncGenerator of { z, x, y, data } }
+     */
+    async function readPmtiles(file) {
+        const bytes = await file.read(0, PMTILES_HEADER_BYTES);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (bytes[7] !== PMTILES_VERSION) {
+            throw new Error(`PMTiles version ${bytes[7]} is not supported`);
+        }
+
+        const u64 = offset => Number(view.getBigUint64(offset, true));
+        const e7 = offset => view.getInt32(offset, true) / 1e7;
+        const header = {
+            rootOffset: u64(8),
+            rootLength: u64(16),
+            metadataOffset: u64(24),
+            metadataLength: u64(32),
+            leafOffset: u64(40),
+            dataOffset: u64(56),
+            internalCompression: bytes[97],
+            tileCompression: bytes[98],
+            tileType: bytes[99]
+        };
+
+        const format = PMTILES_TILE_TYPES[header.tileType];
+        if (!format) {
+            throw new Error('Unknown PMTiles tile type');
+        }
+
+        // Browsers inflate only gzip; refuse others before any region is created
+        if (header.tileCompression !== COMPRESSION.NONE && header.tileCompression !== COMPRESSION.GZIP) {
+            const compression = COMPRESSION_NAMES[header.tileCompression] || 'an unknown method';
+            throw new Error(`PMTiles tiles compressed with ${compression} are not supported; ` +
+                'convert the archive to gzip or uncompressed tiles');
+        }
+
+        let name = null;
+        if (header.metadataLength > 0) {
+            try {
+                const json = await decompress(await file.read(header.metadataOffset, header.metadataLength), header.internalCompression);
+                name = JSON.parse(new TextDecoder().decode(json)).name || null;
+            } catch (error) {
+                console.warn('Unreadable PMTiles metadata:', error);
+            }
+        }
+
+        return {
+            metadata: {
+                name,
+                format,
+                bounds: [[e7(106), e7(102)], [e7(114), e7(110)]]
+            },
+            tiles: readPmtilesTiles(file, header, format)
+        };
+    }
+
+    /**
+     * Tiles of a PMTiles archive, walking leaf directories depth first
+     */
+    async function* readPmtilesTiles(file, header, format, offset = header.rootOffset, length = header.rootLength) {
+        const directory = await decompress(await file.read(offset, length), header.internalCompression);
+
+        for (const entry of deserializeDirectory(directory)) {
+            if (entry.runLength === 0) {
+                yield* readPmtilesTiles(file, header, format, header.leafOffset + entry.offset, entry.length);
+                continue;
+            }
+
+            let data = await file.read(header.dataOffset + entry.offset, entry.length);
+
+            // Vector tiles may stay gzipped (VectorTiles inflates them); images may not
+            if (header.tileCompression === COMPRESSION.GZIP && format !== 'pbf') {
+                data = await decompress(data, COMPRESSION.GZIP);
+            }
+
+            // A run is one tile repeated, like open ocean
+            for (let i = 0; i < entry.runLength; i++) {
+                yield { ...tileIdToZxy(entry.tileId + i), data };
+            }
+        }
+    }
+
+    /**
+     * Decode a PMTiles directory
+     * @returns {Array} - [{ tileId, offset, length, runLength }]
+     */
+    function deserializeDirectory(bytes) {
+        const state = { bytes, position: 0 };
+        const count = readVarint(state);
+        const entries = [];
+
+        let tileId = 0;
+        for (let i = 0; i < count; i++) {
+            tileId += readVarint(state);
+            entries.push({ tileId, offset: 0, length: 0, runLength: 0 });
+        }
+        for (const entry of entries) {
+            entry.runLength = readVarint(state);
+        }
+        for (const entry of entries) {
+            entry.length = readVarint(state);
+        }
+        entries.forEach((entry, i) => {
+            // Zero means "right after the previous entry"
+            const value = readVarint(state);
+            entry.offset = value === 0 && i > 0
+                ? entries[i - 1].offset + entries[i - 1].length
+                : value - 1;
+        });
+
+        return entries;
+    }
+
+    /**
+     * Encode a PMTiles directory
+     */
+    function serializeDirectory(entries) {
+        const bytes = [];
+        writeVarint(bytes, entries.length);
+
+        let lastId = 0;
+        for (const entry of entries) {
+            writeVarint(bytes, entry.tileId - lastId);
+            lastId = entry.tileId;
+        }
+        entries.forEach(entry => writeVarint(bytes, entry.runLength));
+        entries.forEach(entry => writeVarint(bytes, entry.length));
+        entries.forEach((entry, i) => {
+            const follows = i > 0 && entry.offset === entries[i - 1].offset + entries[i - 1].length;
+            writeVarint(bytes, follows ? 0 : entry.offset + 1);
+        });
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Little-endian base-128 varint, as in protocol buffers
+     */
+    function readVarint(state) {
+        let value = 0;
+        let multiplier = 1;
+        let byte;
+
+        do {
+            if (state.position >= state.bytes.length) {
+                throw new Error('Truncated PMTiles directory');
+            }
+            byte = state.bytes[state.position++];
+            value += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+
+        return value;
+    }
+
+    function writeVarint(bytes, value) {
+        do {
+            let byte = value % 128;
+            value = Math.floor(value / 128);
+            if (value > 0) {
+                byte |= 0x80;
+            }
+            bytes.push(byte);
+        } while (value > 0);
+    }
+
+    /**
+     * Position of a tile on the Hilbert curve that orders PMTiles archives,
+     * after all tiles of lower zoom levels
+     */
+    function zxyToTileId(z, x, y) {
+        let id = (Math.pow(4, z) - 1) / 3;
+        const xy = [x, y];
+
+        for (let size = Math.pow(2, z - 1); size >= 1; size /= 2) {
+            const rx = (xy[0] & size) > 0 ? 1 : 0;
+            const ry = (xy[1] & size) > 0 ? 1 : 0;
+            id += size * size * ((3 * rx) ^ ry);
+            rotate(size, xy, rx, ry);
+        }
+
+        return id;
+    }
+
+    /**
+     * Tile coordinates of a PMTiles tile ID
+     * @returns {Object} - { z, x, y }
+     */
+    function tileIdToZxy(id) {
+        let z = 0;
+        let first = 0;
+        while (first + Math.pow(4, z) <= id) {
+            first += Math.pow(4, z);
+            z++;
+        }
+
+        let position = id - first;
+        const xy = [0, 0];
+        for (let size = 1; size < Math.pow(2, z); size *= 2) {
+            const rx = Math.floor(position / 2) & 1;
+            const ry = (position ^ rx) & 1;
+            rotate(size, xy, rx, ry);
+            xy[0] += size * rx;
+            xy[1] += size * ry;
+            position = Math.floor(position / 4);
+        }
+
+        return { z, x: xy[0], y: xy[1] };
+    }
+
+    function rotate(size, xy, rx, ry) {
+        if (ry === 0) {
+            if (rx === 1) {
+                xy[0] = size - 1 - xy[0];
+                xy[1] = size - 1 - xy[1];
+            }
+            [xy[0], xy[1]] = [xy[1], xy[0]];
+        }
+    }
+
+    /**
+     * Inflate data with a PMTiles compression
+     */
+    async function decompress(bytes, compression) {
+        if (compression === COMPRESSION.NONE) {
+            return bytes;
+        }
+        if (compression !== COMPRESSION.GZIP) {
+            throw new Error('Only uncompressed and gzip archives are supported');
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Gzip a blob
+     * @returns {Uint8Array}
+     */
+    async function gzip(blob) {
+        if (typeof CompressionStream === 'undefined') {
+            throw new Error('This browser cannot compress archives');
+        }
+
+        const stream = blob.stream().pipeThrough(new CompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Import an MBTiles or PMTiles file as a new region
+     * @param {File} file - Archive picked by the user
+     * @param {Function} onProgress - Called with the number of tiles imported so far
+     * @returns {Object} - { region, tiles: number imported }
+     */
+    async function importFile(file, onProgress = null) {
+        const archiveFile = new ArchiveFile(file);
+        const magic = new TextDecoder().decode(await archiveFile.read(0, Math.min(16, file.size)));
+
+        let archive;
+        if (magic.startsWith(SQLITE_MAGIC)) {
+            archive = await readMbtiles(archiveFile);
+        } else if (magic.startsWith(PMTILES_MAGIC)) {
+            archive = await readPmtiles(archiveFile);
+        } else {
+            throw new Error('Not an MBTiles or PMTiles file');
+        }
+
+        const { metadata } = archive;
+        const source = metadata.format === 'pbf' ? 'vector' : 'raster';
+        const type = MIME_TYPES[metadata.format] || 'application/octet-stream';
+        const maxSourceZoom = TileStore.getMaxZoom(source);
+
+        const region = {
+            name: metadata.name || file.name.replace(/\.(mbtiles|pmtiles)$/i, ''),
+            bounds: metadata.bounds,
+            minZoom: Infinity,
+            maxZoom: -Infinity,
+            source,
+            format: metadata.format,
+            imported: true,
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+            bytes: 0,
+            tileCount: 0,
+            graphPackId: null
+        };
+        region.id = await CacheManager.saveRegion(region);
+
+        const extent = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+        let batch = [];
+
+        const flush = async () => {
+            await TileStore.putMany(batch, region.id);
+            batch = [];
+            if (onProgress) {
+                onProgress(region.tileCount);
+            }
+        };
+
+        try {
+            for await (const tile of archive.tiles) {
+                // The map never asks for deeper tiles than the source has
+                if (tile.z > maxSourceZoom || !tile.data) {
+                    continue;
+                }
+
+                batch.push({ url: TileStore.getTileUrl(tile, source), blob: new Blob([tile.data], { type }) });
+                region.tileCount++;
+                region.bytes += tile.data.length;
+                region.minZoom = Math.min(region.minZoom, tile.z);
+                region.maxZoom = Math.max(region.maxZoom, tile.z);
+                extendExtent(extent, tile);
+
+                if (batch.length >= SAVE_BATCH_SIZE) {
+                    await flush();
+                }
+            }
+            await flush();
+        } catch (error) {
+            // Leave nothing half imported
+            await CacheManager.deleteRegion(region.id);
+            throw error;
+        }
+
+        if (region.tileCount === 0) {
+            await CacheManager.deleteRegion(region.id);
+            throw new Error('The archive has no tiles this map can show');
+        }
+
+        if (!region.bounds) {
+            region.bounds = [[extent.south, extent.west], [extent.north, extent.east]];
+        }
+        await CacheManager.saveRegion(region);
+
+        return { region, tiles: region.tileCount };
+    }
+
+    /**
+     * Grow an extent to cover a tile
+     */
+    function extendExtent(extent, tile) {
+        const count = Math.pow(2, tile.z);
+        const lat = y => Math.atan(Math.sinh(Math.PI * (1 - 2 * y / count))) * 180 / Math.PI;
+
+        extent.west = Math.min(extent.west, tile.x / count * 360 - 180);
+        extent.east = Math.max(extent.east, (tile.x + 1) / count * 360 - 180);
+        extent.north = Math.max(extent.north, lat(tile.y));
+        extent.south = Math.min(extent.south, lat(tile.y + 1));
+    }
+
+    /**
+     * Export a region's tiles as a PMTiles v3 archive
+     * @returns {Object} - { blob, filename }
+     */
+    async function exportRegion(regionId) {
+        const region = await CacheManager.getRegion(regionId);
+        if (!region) {
+            throw new Error('Region not found');
+        }
+
+        const source = region.source || 'raster';
+        // Tiles are read one at a time, in archive order, so large regions
+        // are never loaded at once
+        const records = (await CacheManager.getRegionTileUrls(regionId))
+            .map(url => ({ url, tile: TileStore.parseTileUrl(url) }))
+            .filter(record => record.tile && record.tile.source === source);
+
+        records.forEach((record) => {
+            record.tileId = zxyToTileId(record.tile.z, record.tile.x, record.tile.y);
+        });
+        records.sort((a, b) => a.tileId - b.tileId);
+
+        // Vector tiles are stored as fetched (inflated) or as imported
+        // (often gzipped); the archive declares one compression for all
+        const tileCompression = source === 'vector' ? COMPRESSION.GZIP : COMPRESSION.NONE;
+        const tileData = [];
+        const entries = [];
+        let offset = 0;
+        let minZoom = Infinity;
+        let maxZoom = -Infinity;
+
+        for (const record of records) {
+            const stored = await CacheManager.getTile(record.url);
+            if (!stored) {
+                continue;
+            }
+
+            let data = stored.blob;
+            if (tileCompression === COMPRESSION.GZIP && !(await isGzipped(data))) {
+                data = new Blob([await gzip(data)]);
+            }
+
+            entries.push({ tileId: record.tileId, offset, length: data.size, runLength: 1 });
+            tileData.push(data);
+            offset += data.size;
+            minZoom = Math.min(minZoom, record.tile.z);
+            maxZoom = Math.max(maxZoom, record.tile.z);
+        }
+
+        if (entries.length === 0) {
+            throw new Error('The region has no tiles yet');
+        }
+
+        const internalCompression = typeof CompressionStream === 'undefined' ? COMPRESSION.NONE : COMPRESSION.GZIP;
+        const compressDirectory = async (directoryEntries) => {
+            const bytes = serializeDirectory(directoryEntries);
+            return internalCompression === COMPRESSION.GZIP ? gzip(new Blob([bytes])) : bytes;
+        };
+
+        const { root, leaves } = await buildDirectories(entries, compressDirectory);
+        const leavesLength = leaves.reduce((sum, leaf) => sum + leaf.length, 0);
+
+        // Imported regions keep the format they came in; downloaded tiles are PNG
+        const format = region.format === 'jpeg' ? 'jpg' : region.format || (source === 'vector' ? 'pbf' : 'png');
+        const tileType = Number(Object.keys(PMTILES_TILE_TYPES).find(key => PMTILES_TILE_TYPES[key] === format) || 0);
+        const [[south, west], [north, east]] = region.bounds;
+        let metadata = new TextEncoder().encode(JSON.stringify({
+            name: region.name,
+            format,
+            bounds: `${west},${south},${east},${north}`,
+            attribution: '© OpenStreetMap contributors'
+        }));
+        if (internalCompression === COMPRESSION.GZIP) {
+            metadata = await gzip(new Blob([metadata]));
+        }
+
+        const header = writePmtilesHeader({
+            rootOffset: PMTILES_HEADER_BYTES,
+            rootLength: root.length,
+            metadataOffset: PMTILES_HEADER_BYTES + root.length,
+            metadataLength: metadata.length,
+            leafOffset: PMTILES_HEADER_BYTES + root.length + metadata.length,
+            leafLength: leavesLength,
+            dataOffset: PMTILES_HEADER_BYTES + root.length + metadata.length + leavesLength,
+            dataLength: offset,
+            tileCount: entries.length,
+            internalCompression,
+            tileCompression,
+            tileType,
+            minZoom,
+            maxZoom,
+            bounds: region.bounds
+        });
+
+        return {
+            blob: new Blob([header, root, metadata, ...leaves, ...tileData], { type: 'application/vnd.pmtiles' }),
+            filename: `${region.name.replace(/[^\p{L}\p{N} _-]+/gu, '').trim() || 'region'}.pmtiles`
+        };
+    }
+
+    /**
+     * Check for the gzip magic number
+     */
+    async function isGzipped(blob) {
+        const bytes = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+        return bytes[0] === 0x1f && bytes[1] === 0x8b;
+    }
+
+    /**
+     * Fit the directory in the root, or split it into leaf directories the
+     * root points to, growing leaves until the root fits
+     * @returns {Object} - { root: Uint8Array, leaves: [Uint8Array] }
+     */
+    async function buildDirectories(entries, compressDirectory) {
+        const root = await compressDirectory(entries);
+        if (root.length <= PMTILES_ROOT_MAX_BYTES) {
+            return { root, leaves: [] };
+        }
+
+        for (let leafSize = PMTILES_LEAF_SIZE; ; leafSize *= 2) {
+            const leaves = [];
+            const rootEntries = [];
+            let offset = 0;
+
+            for (let i = 0; i < entries.length; i += leafSize) {
+                const chunk = entries.slice(i, i + leafSize);
+                const leaf = await compressDirectory(chunk);
+                rootEntries.push({ tileId: chunk[0].tileId, offset, length: leaf.length, runLength: 0 });
+                leaves.push(leaf);
+                offset += leaf.length;
+            }
+
+            const leafRoot = await compressDirectory(rootEntries);
+            if (leafRoot.length <= PMTILES_ROOT_MAX_BYTES) {
+                return { root: leafRoot, leaves };
+            }
+        }
+    }
+
+    /**
+     * Encode the fixed-size PMTiles v3 header
+     */
+    function writePmtilesHeader(header) {
+        const bytes = new Uint8Array(PMTILES_HEADER_BYTES);
+        const view = new DataView(bytes.buffer);
+        const u64 = (offset, value) => view.setBigUint64(offset, BigInt(value), true);
+        const e7 = (offset, value) => view.setInt32(offset, Math.round(value * 1e7), true);
+        const [[south, west], [north, east]] = header.bounds;
+
+        bytes.set(new TextEncoder().encode(PMTILES_MAGIC), 0);
+        bytes[7] = PMTILES_VERSION;
+        u64(8, header.rootOffset);
+        u64(16, header.rootLength);
+        u64(24, header.metadataOffset);
+        u64(32, header.metadataLength);
+        u64(40, header.leafOffset);
+        u64(48, header.leafLength);
+        u64(56, header.dataOffset);
+        u64(64, header.dataLength);
+        u64(72, header.tileCount); // Addressed tiles
+        u64(80, header.tileCount); // Directory entries
+        u64(88, header.tileCount); // Distinct tile contents
+        bytes[96] = 1; // Clustered: tile data is in tile ID order
+        bytes[97] = header.internalCompression;
+        bytes[98] = header.tileCompression;
+        bytes[99] = header.tileType;
+        bytes[100] = header.minZoom;
+        bytes[101] = header.maxZoom;
+        e7(102, west);
+        e7(106, south);
+        e7(110, east);
+        e7(114, north);
+        bytes[118] = header.minZoom;
+        e7(119, (west + east) / 2);
+        e7(123, (south + north) / 2);
+
+        return bytes;
+    }
+
+    // Public API
+    return {
+        importFile,
+        exportRegion
+    };
+})();
@@ -0,0 +1,250 @@
+/**
+ * Tile Store Module
+ * Single storage layer for map tiles, shared by the page (area downloads)
+ * and the service worker (serving tiles). Tiles live in the GeoCacheDB
+ * map_tiles store under a canonical URL, so a tile requested from any
+ * {s}. subdomain finds the copy downloaded ahead of time.
+ *
+ * Two tile sources are handled: 'raster' OSM PNG tiles and 'vector'
+ * Mapbox Vector Tiles in the Shortbread schema, drawn by VectorTiles.
+ *
+ * Tiles cached while browsing are kept within a size budget (the
+ * 'tileCacheBudget' preference, in MB) by evicting the least recently used;
+ * tiles of downloaded regions are kept until their region is deleted.
+ */
+
+const TileStore = (function() {
+    const SOURCES = {
+        raster: {
+            host: 'tile.openstreetmap.org',
+            path: /^\/(\d+)\/(\d+)\/(\d+)\.png$/,
+            url: tile => `/${tile.z}/${tile.x}/${tile.y}.png`,
+            type: 'image/png',
+            maxZoom: 19
+        },
+        vector: {
+            host: 'tiles.versatiles.org',
+            path: /^\/tiles\/osm\/(\d+)\/(\d+)\/(\d+)$/,
+            url: tile => `/tiles/osm/${tile.z}/${tile.x}/${tile.y}`,
+            type: 'application/x-protobuf',
+            maxZoom: 14 // Deeper zoom levels draw the zoom 14 tile larger
+        }
+    };
+    const DEFAULT_CACHE_BUDGET_MB = 200;
+    const EVICTION_DELAY_MS = 30 * 1000; // Batch evictions after a burst of new tiles
+    const TOUCH_INTERVAL_MS = 60 * 60 * 1000; // Record reuse at most hourly to spare writes
+
+    let evictionTimer = null;
+
+    /**
+     * Canonical URL of a tile
+     * @param {Object} tile - { x, y, z }
+     * @param {String} source - 'raster' or 'vector'
+     */
+    function getTileUrl(tile, source = 'raster') {
+        const definition = SOURCES[source];
+        return `https://${definition.host}${definition.url(tile)}`;
+    }
+
+    /**
+     * Read tile coordinates from a tile URL on any subdomain
+     * @returns {Object|null} - { x, y, z, source }, or null if the URL is not a map tile
+     */
+    function parseTileUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+
+        for (const [source, definition] of Object.entries(SOURCES)) {
+            // Exact hostname match for security
+            if (parsed.hostname !== definition.host && !parsed.hostname.endsWith('.' + definition.host)) {
+                continue;
+            }
+
+            const match = definition.path.exec(parsed.pathname);
+            if (match) {
+                return { z: Number(match[1]), x: Number(match[2]), y: Number(match[3]), source };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Canonical form of a tile URL, or null if it is not a map tile
+     */
+    function normalizeUrl(url) {
+        const tile = parseTileUrl(url);
+        return tile ? getTileUrl(tile, tile.source) : null;
+    }
+
+    /**
+     * Deepest zoom level a source has tiles for
+     */
+    function getMaxZoom(source) {
+        return SOURCES[source].maxZoom;
+    }
+
+    /**
+     * Check whether a URL is a map tile this store handles
+     */
+    function isTileUrl(url) {
+        return parseTileUrl(url) !== null;
+    }
+
+    /**
+     * Canonical form of a tile URL; throws for other URLs
+     */
+    function storageKey(url) {
+        const key = normalizeUrl(url);
+        if (!key) {
+            throw new Error(`Not a map tile URL: ${url}`);
+        }
+        return key;
+    }
+
+    /**
+     * Get a stored tile
+     * @returns {Blob|null}
+     */
+    async function get(url) {
+        const record = await CacheManager.getTile(storageKey(url));
+        return record ? record.blob : null;
+    }
+
+    /**
+     * Check whether a tile is stored
+     */
+    async function has(url) {
+        return (await CacheManager.getTile(storageKey(url))) !== undefined;
+    }
+
+    /**
+     * Store a tile under its canonical URL
+     * @param {Number} regionId - Download region the tile belongs to, if any
+     */
+    async function put(url, blob, regionId = null) {
+        return CacheManager.saveTile(storageKey(url), blob, regionId);
+    }
+
+    /**
+     * Store many tiles under their canonical URLs
+     * @param {Array} tiles - [{ url, blob }]
+     * @param {Number} regionId - Region the tiles belong to, if any
+     */
+    async function putMany(tiles, regionId = null) {
+        return CacheManager.saveTiles(
+            tiles.map(tile => ({ url: storageKey(tile.url), blob: tile.blob })),
+            regionId
+        );
+    }
+
+    /**
+     * Mark a stored tile as used by a download region
+     * @returns {Object|undefined} - { url, blob, timestamp, regions }, or
+     *                               undefined if the tile is not stored
+     */
+    async function claim(url, regionId) {
+        return CacheManager.claimTile(storageKey(url), regionId);
+    }
+
+    /**
+     * Get a tile from the store, or from the network and store it
+     * @param {String} url - Tile URL on any subdomain; the network request uses it as is
+     * @returns {Response} - Rejects when the tile is not stored and the network fails
+     */
+    async function fetchTile(url) {
+        try {
+            const key = storageKey(url);
+            const record = await CacheManager.getTile(key);
+
+            if (record) {
+                if (!(Date.now() - record.accessedAt < TOUCH_INTERVAL_MS)) {
+                    CacheManager.touchTile(key).catch((error) => {
+                        console.warn('Tile store write failed:', error);
+                    });
+                }
+                return createResponse(record.blob, key);
+            }
+        } catch (error) {
+            // Storage trouble shouldn't keep the map from loading online
+            console.warn('Tile store read failed:', error);
+        }
+
+        // CORS mode so the body is readable and can be stored
+        const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+
+        if (response.ok) {
+            const blob = await response.clone().blob();
+            put(url, blob).then(scheduleEviction).catch((error) => {
+                console.warn('Tile store write failed:', error);
+            });
+        }
+
+        return response;
+    }
+
+    /**
+     * Evict browsed tiles over the budget once new tiles stop arriving
+     */
+    function scheduleEviction() {
+        clearTimeout(evictionTimer);
+        evictionTimer = setTimeout(() => {
+            evict().catch((error) => {
+                console.warn('Tile eviction failed:', error);
+            });
+        }, EVICTION_DELAY_MS);
+    }
+
+    /**
+     * Size budget for tiles cached while browsing, in MB
+     */
+    async function getCacheBudget() {
+        return await CacheManager.getPreference('tileCacheBudget') || DEFAULT_CACHE_BUDGET_MB;
+    }
+
+    /**
+     * Delete least recently used browsed tiles over the budget
+     * @returns {Object} - { evicted, bytes }
+     */
+    async function evict() {
+        const budget = await getCacheBudget();
+        const result = await CacheManager.evictTiles(budget * 1024 * 1024);
+
+        if (result.evicted > 0) {
+            console.log(`Evicted ${result.evicted} tiles (${(result.bytes / 1024 / 1024).toFixed(2)} MB)`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Build a response for a stored tile
+     */
+    function createResponse(blob, url) {
+        return new Response(blob, {
+            headers: { 'Content-Type': blob.type || SOURCES[parseTileUrl(url).source].type }
+        });
+    }
+
+    // Public API
+    return {
+        getTileUrl,
+        parseTileUrl,
+        normalizeUrl,
+        isTileUrl,
+        getMaxZoom,
+        get,
+        has,
+        put,
+        putMany,
+        claim,
+        fetchTile,
+        getCacheBudget,
+        evict,
+        DEFAULT_CACHE_BUDGET_MB
+    };
+})();
@@ -0,0 +1,656 @@
+/**
+ * Vector Tiles Module
+ * Decodes Mapbox Vector Tiles (protocol buffers) from the tile store and
+ * draws them on canvas with a built-in style for the Shortbread schema.
+ * One zoom 14 tile holds everything needed down to street level, so deeper
+ * zoom levels draw part of it larger instead of downloading more tiles.
+ */
+
+const VectorTiles = (function() {
+    const SOURCE = 'vector';
+    const MAX_CACHED_TILES = 48; // Decoded tiles kept for neighbouring and deeper zoom levels
+
+    // Geometry types and commands (Mapbox Vector Tile spec 2.1)
+    const GEOMETRY = { POINT: 1, LINE: 2, POLYGON: 3 };
+    const COMMAND = { MOVE_TO: 1, LINE_TO: 2, CLOSE_PATH: 7 };
+
+    // Protocol buffer wire types
+    const WIRE = { VARINT: 0, FIXED64: 1, BYTES: 2, FIXED32: 5 };
+
+    const BACKGROUND = '#f2efe9';
+    const WATER = '#aad3df';
+    const LABEL_FONT = 'Roboto, Arial, sans-serif';
+
+    const LAND_COLORS = {
+        forest: '#add19e', wood: '#add19e', scrub: '#c8d7ab', heath: '#d6d99f',
+        grass: '#cdebb0', grassland: '#cdebb0', meadow: '#cdebb0', village_green: '#cdebb0',
+        park: '#c8facc', garden: '#c8facc', recreation_ground: '#c8facc', playground: '#c8facc',
+        pitch: '#aae0cb', golf_course: '#b5e3b5', cemetery: '#aacbaf', allotments: '#c9e1bf',
+        farmland: '#eef0d5', orchard: '#aedfa3', vineyard: '#aedfa3',
+        residential: '#e0dfdf', commercial: '#f2dad9', retail: '#ffd6d1',
+        industrial: '#ebdbe8', railway: '#ebdbe8', quarry: '#c5c3c3', landfill: '#b6b592',
+        sand: '#f5e9c6', beach: '#fff1ba', bare_rock: '#eee5dc', scree: '#eee5dc',
+        wetland: '#d6ebe0', swamp: '#d6ebe0', bog: '#d6ebe0', glacier: '#ddecec'
+    };
+
+    // Road styles by kind, in drawing order; width in pixels at zoom 14
+    const ROAD_STYLES = {
+        path: { color: '#fa8072', width: 0.8, dash: [2, 2], minZoom: 14 },
+        footway: { color: '#fa8072', width: 0.8, dash: [2, 2], minZoom: 14 },
+        cycleway: { color: '#0000ff', width: 0.8, dash: [2, 2], minZoom: 14 },
+        bridleway: { color: '#008000', width: 0.8, dash: [2, 2], minZoom: 14 },
+        steps: { color: '#fa8072', width: 1.5, dash: [1, 1], minZoom: 15 },
+        track: { color: '#996600', width: 1, dash: [4, 2], minZoom: 13 },
+        rail: { color: '#707070', width: 1.2, dash: null, minZoom: 8 },
+        light_rail: { color: '#666666', width: 1, dash: null, minZoom: 12 },
+        tram: { color: '#444444', width: 0.8, dash: null, minZoom: 13 },
+        subway: { color: '#999999', width: 1, dash: [3, 3], minZoom: 13 },
+        service: { color: '#ffffff', casing: '#bbbbbb', width: 1.2, minZoom: 14 },
+        pedestrian: { color: '#dddde8', casing: '#999999', width: 2, minZoom: 13 },
+        living_street: { color: '#ededed', casing: '#bbbbbb', width: 2.5, minZoom: 13 },
+        residential: { color: '#ffffff', casing: '#bbbbbb', width: 2.5, minZoom: 12 },
+        unclassified: { color: '#ffffff', casing: '#bbbbbb', width: 2.5, minZoom: 12 },
+        tertiary: { color: '#ffffff', casing: '#8f8f8f', width: 3.5, minZoom: 11 },
+        secondary: { color: '#f7fabf', casing: '#707d05', width: 4, minZoom: 9 },
+        primary: { color: '#fcd6a4', casing: '#a06b00', width: 4.5, minZoom: 7 },
+        trunk: { color: '#f9b29c', casing: '#c84e2f', width: 5, minZoom: 5 },
+        motorway: { color: '#e892a2', casing: '#dc2a67', width: 5, minZoom: 5 }
+    };
+    const ROAD_RANKS = Object.keys(ROAD_STYLES);
+
+    // Place labels: font size and the lowest zoom to show them at
+    const PLACE_LABELS = {
+        capital: { size: 15, minZoom: 4 },
+        state_capital: { size: 14, minZoom: 5 },
+        city: { size: 14, minZoom: 6 },
+        town: { size: 12, minZoom: 9 },
+        village: { size: 11, minZoom: 12 },
+        suburb: { size: 11, minZoom: 12 },
+        hamlet: { size: 10, minZoom: 14 },
+        neighbourhood: { size: 10, minZoom: 14 },
+        quarter: { size: 10, minZoom: 14 }
+    };
+    const STREET_LABEL_MIN_ZOOM = 15;
+
+    // Layers in drawing order
+    const STYLE = [
+        { layer: 'ocean', type: 'fill', color: () => WATER },
+        { layer: 'land', type: 'fill', color: properties => LAND_COLORS[properties.kind] || null },
+        { layer: 'water_polygons', type: 'fill', color: () => WATER },
+        {
+            layer: 'water_lines',
+            type: 'line',
+            color: () => WATER,
+            width: properties => properties.kind === 'river' || properties.kind === 'canal' ? 2 : 1
+        },
+        { layer: 'buildings', type: 'fill', color: () => '#d9d0c9', outline: '#c4b6ab', minZoom: 14 },
+        {
+            layer: 'boundaries',
+            type: 'line',
+            color: properties => properties.maritime ? null : '#9e9cab',
+            width: properties => properties.admin_level <= 2 ? 1.5 : 1,
+            dash: [6, 3]
+        },
+        { layer: 'streets', type: 'roads' },
+        { layer: 'street_labels', type: 'lineLabel', minZoom: STREET_LABEL_MIN_ZOOM },
+        { layer: 'place_labels', type: 'pointLabel' }
+    ];
+
+    // Decoded tiles by "z/x/y", least recently used first
+    const decodedTiles = new Map();
+
+    /**
+     * Minimal protocol buffer reader
+     */
+    class PbfReader {
+        constructor(bytes) {
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            this.pos = 0;
+        }
+
+        get done() {
+            return this.pos >= this.bytes.length;
+        }
+
+        readVarint() {
+            let result = 0;
+            let multiplier = 1;
+            let byte;
+
+            // Multiply instead of shifting so values past 32 bits stay exact up to 2^53
+            do {
+                if (this.pos >= this.bytes.length) {
+                    throw new Error('Truncated varint');
+                }
+                byte = this.bytes[this.pos++];
+                result += (byte & 0x7f) * multiplier;
+                multiplier *= 128;
+            } while (byte & 0x80);
+
+            return result;
+        }
+
+        readSVarint() {
+            const value = this.readVarint();
+            return value % 2 === 1 ? (value + 1) / -2 : value / 2;
+        }
+
+        readBytes() {
+            const end = this.readVarint() + this.pos;
+            if (end > this.bytes.length) {
+                throw new Error('Truncated field');
+            }
+            const bytes = this.bytes.subarray(this.pos, end);
+            this.pos = end;
+            return bytes;
+        }
+
+        readString() {
+            return new TextDecoder().decode(this.readBytes());
+        }
+
+        readFloat() {
+            const value = this.view.getFloat32(this.pos, true);
+            this.pos += 4;
+            return value;
+        }
+
+        readDouble() {
+            const value = this.view.getFloat64(this.pos, true);
+            this.pos += 8;
+            return value;
+        }
+
+        readPacked() {
+            const reader = new PbfReader(this.readBytes());
+            const values = [];
+            while (!reader.done) {
+                values.push(reader.readVarint());
+            }
+            return values;
+        }
+
+        /**
+         * Read the next field key
+         * @returns {Object} - { field, wireType }
+         */
+        readKey() {
+            const key = this.readVarint();
+            return { field: Math.floor(key / 8), wireType: key & 0x7 };
+        }
+
+        skip(wireType) {
+            switch (wireType) {
+                case WIRE.VARINT: this.readVarint(); break;
+                case WIRE.FIXED64: this.pos += 8; break;
+                case WIRE.BYTES: this.pos += this.readVarint(); break;
+                case WIRE.FIXED32: this.pos += 4; break;
+                default: throw new Error(`Unsupported wire type ${wireType}`);
+            }
+        }
+    }
+
+    /**
+     * Decode a vector tile
+     * @param {Uint8Array} bytes - Uncompressed tile
+     * @returns {Object} - Layers by name: { extent, features: [{ type, properties, geometry }] }
+     *                     where geometry is a list of rings or lines, each a flat
+     *                     [x0, y0, x1, y1, ...] array in tile units
+     */
+    function decode(bytes) {
+        const reader = new PbfReader(bytes);
+        const layers = {};
+
+        while (!reader.done) {
+            const { field, wireType } = reader.readKey();
+            if (field === 3 && wireType === WIRE.BYTES) {
+                const layer = decodeLayer(new PbfReader(reader.readBytes()));
+                layers[layer.name] = layer;
+            } else {
+                reader.skip(wireType);
+            }
+        }
+
+        return layers;
+    }
+
+    /**
+     * Decode a layer message
+     */
+    function decodeLayer(reader) {
+        const layer = { name: '', extent: 4096, features: [] };
+        const keys = [];
+        const values = [];
+        const rawFeatures = [];
+
+        while (!reader.done) {
+            const { field, wireType } = reader.readKey();
+            switch (field) {
+                case 1: layer.name = reader.readString(); break;
+                case 2: rawFeatures.push(reader.readBytes()); break;
+                case 3: keys.push(reader.readString()); break;
+                case 4: values.push(decodeValue(new PbfReader(reader.readBytes()))); break;
+                case 5: layer.extent = reader.readVarint(); break;
+                default: reader.skip(wireType);
+            }
+        }
+
+        // Features refer to keys and values, which may come after them
+        layer.features = rawFeatures.map(bytes => decodeFeature(new PbfReader(bytes), keys, values));
+        return layer;
+    }
+
+    /**
+     * Decode a tag value message
+     */
+    function decodeValue(reader) {
+        let value = null;
+
+        while (!reader.done) {
+            const { field, wireType } = reader.readKey();
+            switch (field) {
+                case 1: value = reader.readString(); break;
+                case 2: value = reader.readFloat(); break;
+                case 3: value = reader.readDouble(); break;
+                case 4: value = reader.readVarint(); break; // int64; negative values are not used by the schema
+                case 5: value = reader.readVarint(); break;
+                case 6: value = reader.readSVarint(); break;
+                case 7: value = reader.readVarint() !== 0; break;
+                default: reader.skip(wireType);
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Decode a feature message
+     */
+    function decodeFeature(reader, keys, values) {
+        let type = 0;
+        let tags = [];
+        let commands = [];
+
+        while (!reader.done) {
+            const { field, wireType } = reader.readKey();
+            switch (field) {
+                case 2: tags = reader.readPacked(); break;
+                case 3: type = reader.readVarint(); break;
+                case 4: commands = reader.readPacked(); break;
+                default: reader.skip(wireType);
+            }
+        }
+
+        const properties = {};
+        for (let i = 0; i + 1 < tags.length; i += 2) {
+            properties[keys[tags[i]]] = values[tags[i + 1]];
+        }
+
+        return { type, properties, geometry: decodeGeometry(commands) };
+    }
+
+    /**
+     * Turn geometry commands into absolute rings or lines
+     */
+    function decodeGeometry(commands) {
+        const parts = [];
+        let current = null;
+        let x = 0;
+        let y = 0;
+        let i = 0;
+
+        while (i < commands.length) {
+            const command = commands[i] & 0x7;
+            const count = Math.floor(commands[i] / 8);
+            i++;
+
+            if (command === COMMAND.CLOSE_PATH) {
+                if (current && current.length >= 2) {
+                    current.push(current[0], current[1]);
+                }
+                continue;
+            }
+
+            for (let n = 0; n < count && i + 1 < commands.length; n++) {
+                x += zigzag(commands[i++]);
+                y += zigzag(commands[i++]);
+
+                if (command === COMMAND.MOVE_TO) {
+                    current = [];
+                    parts.push(current);
+                }
+                if (current) {
+                    current.push(x, y);
+                }
+            }
+        }
+
+        return parts;
+    }
+
+    function zigzag(value) {
+        return value % 2 === 1 ? (value + 1) / -2 : value / 2;
+    }
+
+    /**
+     * Load and decode a tile from the tile store or network
+     * @returns {Object|null} - Decoded layers, or null if the tile is unavailable
+     */
+    function loadTile(tile) {
+        const key = `${tile.z}/${tile.x}/${tile.y}`;
+        let promise = decodedTiles.get(key);
+
+        if (promise) {
+            // Move to the most recently used end
+            decodedTiles.delete(key);
+        } else {
+            promise = fetchAndDecode(tile);
+            promise.then((layers) => {
+                // Retry unavailable tiles next time, e.g. once back online
+                if (!layers) {
+                    decodedTiles.delete(key);
+                }
+            });
+        }
+
+        decodedTiles.set(key, promise);
+        while (decodedTiles.size > MAX_CACHED_TILES) {
+            decodedTiles.delete(decodedTiles.keys().next().value);
+        }
+
+        return promise;
+    }
+
+    async function fetchAndDecode(tile) {
+        try {
+            const response = await TileStore.fetchTile(TileStore.getTileUrl(tile, SOURCE));
+            if (!response.ok) {
+                return null;
+            }
+
+            return decode(await decompress(new Uint8Array(await response.arrayBuffer())));
+        } catch (error) {
+            console.warn('Vector tile unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Inflate tiles a server sent gzipped without a Content-Encoding header
+     */
+    async function decompress(bytes) {
+        if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) {
+            return bytes;
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Draw a map tile; zoom levels past the source's deepest draw part of
+     * an ancestor tile
+     * @param {HTMLCanvasElement} canvas - Tile canvas, sized for the device pixel ratio
+     * @param {Object} coords - { x, y, z }
+     * @param {Number} size - Tile size in CSS pixels
+     */
+    async function drawTile(canvas, coords, size) {
+        const sourceZoom = Math.min(coords.z, TileStore.getMaxZoom(SOURCE));
+        const scale = Math.pow(2, coords.z - sourceZoom);
+        const source = { z: sourceZoom, x: Math.floor(coords.x / scale), y: Math.floor(coords.y / scale) };
+
+        const layers = await loadTile(source);
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(canvas.width / size, canvas.height / size);
+        ctx.fillStyle = BACKGROUND;
+        ctx.fillRect(0, 0, size, size);
+
+        if (!layers) {
+            return false;
+        }
+
+        for (const style of STYLE) {
+            const layer = layers[style.layer];
+            if (!layer || (style.minZoom && coords.z < style.minZoom)) {
+                continue;
+            }
+
+            // Tile units to canvas pixels
+            const view = {
+                zoom: coords.z,
+                size,
+                factor: size * scale / layer.extent,
+                offsetX: (coords.x - source.x * scale) * size,
+                offsetY: (coords.y - source.y * scale) * size
+            };
+
+            PAINTERS[style.type](ctx, layer, style, view);
+        }
+
+        return true;
+    }
+
+    /**
+     * Trace rings or lines as one canvas path
+     */
+    function tracePath(ctx, parts, view) {
+        ctx.beginPath();
+        for (const part of parts) {
+            for (let i = 0; i < part.length; i += 2) {
+                const x = part[i] * view.factor - view.offsetX;
+                const y = part[i + 1] * view.factor - view.offsetY;
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+        }
+    }
+
+    /**
+     * Line width for the zoom level, from a width at zoom 14
+     */
+    function scaleWidth(width, zoom) {
+        return Math.max(0.5, width * Math.pow(1.5, zoom - 14));
+    }
+
+    const PAINTERS = {
+        fill(ctx, layer, style, view) {
+            for (const feature of layer.features) {
+                const color = feature.type === GEOMETRY.POLYGON && style.color(feature.properties, view.zoom);
+                if (!color) {
+                    continue;
+                }
+
+                tracePath(ctx, feature.geometry, view);
+                ctx.fillStyle = color;
+                ctx.fill('evenodd');
+
+                if (style.outline) {
+                    ctx.strokeStyle = style.outline;
+                    ctx.lineWidth = 0.5;
+                    ctx.stroke();
+                }
+            }
+        },
+
+        line(ctx, layer, style, view) {
+            ctx.lineJoin = 'round';
+            ctx.lineCap = 'round';
+            ctx.setLineDash(style.dash || []);
+
+            for (const feature of layer.features) {
+                const color = feature.type === GEOMETRY.LINE && style.color(feature.properties, view.zoom);
+                if (!color) {
+                    continue;
+                }
+
+                tracePath(ctx, feature.geometry, view);
+                ctx.strokeStyle = color;
+                ctx.lineWidth = scaleWidth(style.width(feature.properties), view.zoom);
+                ctx.stroke();
+            }
+
+            ctx.setLineDash([]);
+        },
+
+        // Casings under fills, minor roads under major ones
+        roads(ctx, layer, style, view) {
+            const roads = layer.features
+                .filter((feature) => {
+                    const road = ROAD_STYLES[feature.properties.kind];
+                    return feature.type === GEOMETRY.LINE && road && view.zoom >= road.minZoom;
+                })
+                .sort((a, b) => ROAD_RANKS.indexOf(a.properties.kind) - ROAD_RANKS.indexOf(b.properties.kind));
+
+            ctx.lineJoin = 'round';
+            ctx.lineCap = 'round';
+
+            for (const pass of ['casing', 'fill']) {
+                for (const feature of roads) {
+                    const road = ROAD_STYLES[feature.properties.kind];
+                    const width = scaleWidth(road.width, view.zoom) * (feature.properties.link ? 0.7 : 1);
+
+                    if (pass === 'casing' && !road.casing) {
+                        continue;
+                    }
+
+                    tracePath(ctx, feature.geometry, view);
+                    ctx.globalAlpha = feature.properties.tunnel ? 0.5 : 1;
+
+                    if (pass === 'casing') {
+                        ctx.setLineDash([]);
+                        ctx.strokeStyle = road.casing;
+                        ctx.lineWidth = width + 1.5;
+                    } else {
+                        ctx.setLineDash(road.dash || []);
+                        ctx.strokeStyle = road.color;
+                        ctx.lineWidth = width;
+                    }
+                    ctx.stroke();
+                }
+            }
+
+            ctx.globalAlpha = 1;
+            ctx.setLineDash([]);
+        },
+
+        pointLabel(ctx, layer, style, view) {
+            for (const feature of layer.features) {
+                const label = PLACE_LABELS[feature.properties.kind];
+                if (feature.type !== GEOMETRY.POINT || !label || !feature.properties.name || view.zoom < label.minZoom) {
+                    continue;
+                }
+
+                for (const point of feature.geometry) {
+                    const x = point[0] * view.factor - view.offsetX;
+                    const y = point[1] * view.factor - view.offsetY;
+
+                    // Neighbouring tiles draw labels on their own side
+                    if (x < 0 || y < 0 || x >= view.size || y >= view.size) {
+                        continue;
+                    }
+
+                    drawText(ctx, feature.properties.name, x, y, 0, `${label.size}px ${LABEL_FONT}`, '#333333');
+                }
+            }
+        },
+
+        // Street names centered on the longest straight stretch that fits them
+        lineLabel(ctx, layer, style, view) {
+            ctx.font = `11px ${LABEL_FONT}`;
+
+            for (const feature of layer.features) {
+                const name = feature.properties.name;
+                if (feature.type !== GEOMETRY.LINE || !name) {
+                    continue;
+                }
+
+                const textWidth = ctx.measureText(name).width;
+                let best = null;
+
+                for (const line of feature.geometry) {
+                    for (let i = 0; i + 3 < line.length; i += 2) {
+                        const x1 = line[i] * view.factor - view.offsetX;
+                        const y1 = line[i + 1] * view.factor - view.offsetY;
+                        const x2 = line[i + 2] * view.factor - view.offsetX;
+                        const y2 = line[i + 3] * view.factor - view.offsetY;
+                        const length = Math.hypot(x2 - x1, y2 - y1);
+
+                        if (!best || length > best.length) {
+                            best = { x: (x1 + x2) / 2, y: (y1 + y2) / 2, angle: Math.atan2(y2 - y1, x2 - x1), length };
+                        }
+                    }
+                }
+
+                if (!best || best.length < textWidth + 8 ||
+                    best.x < 0 || best.y < 0 || best.x >= view.size || best.y >= view.size) {
+                    continue;
+                }
+
+                // Keep text upright
+                let angle = best.angle;
+                if (angle > Math.PI / 2 || angle < -Math.PI / 2) {
+                    angle += Math.PI;
+                }
+
+                drawText(ctx, name, best.x, best.y, angle, ctx.font, '#555555');
+            }
+        }
+    };
+
+    /**
+     * Draw text with a light halo
+     */
+    function drawText(ctx, text, x, y, angle, font, color) {
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.font = font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.strokeText(text, 0, 0);
+        ctx.fillStyle = color;
+        ctx.fillText(text, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Create a Leaflet layer that draws vector tiles
+     * @param {Object} options - L.GridLayer options
+     */
+    function createLayer(options = {}) {
+        const VectorTileLayer = L.GridLayer.extend({
+            createTile(coords, done) {
+                const size = this.getTileSize();
+                const ratio = window.devicePixelRatio || 1;
+                const canvas = document.createElement('canvas');
+                canvas.width = size.x * ratio;
+                canvas.height = size.y * ratio;
+
+                drawTile(canvas, coords, size.x)
+                    .then(() => done(null, canvas))
+                    .catch((error) => {
+                        console.error('Vector tile drawing error:', error);
+                        done(error, canvas);
+                    });
+
+                return canvas;
+            }
+        });
+
+        return new VectorTileLayer(options);
+    }
+
+    // Public API
+    return {
+        decode,
+        createLayer
+    };
+})();
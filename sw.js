@@ -3,7 +3,16 @@
  * Handles offline support and caching strategies
  */
 
-const CACHE_VERSION = 'geocache-v1';
+importScripts(
+    '/js/cache.js',
+    '/js/tile-store.js',
+    '/js/pathfinding.js',
+    '/js/osm-import.js',
+    '/js/geocoder.js',
+    '/js/download-queue.js'
+);
+
+const CACHE_VERSION = 'geocache-v33';
 const CACHE_ASSETS = [
     '/',
     '/index.html',
@@ -11,12 +20,27 @@ const CACHE_ASSETS = [
     '/js/app.js',
     '/js/map.js',
     '/js/cache.js',
+    '/js/profiles.js',
     '/js/pathfinding.js',
+    '/js/osm-import.js',
+    '/js/geocoder.js',
+    '/js/coordinates.js',
+    '/js/tile-store.js',
+    '/js/vector-tiles.js',
+    '/js/tile-archives.js',
+    '/js/download-queue.js',
+    '/js/download-service.js',
+    '/js/instructions.js',
+    '/js/route-formats.js',
+    '/js/navigation.js',
+    '/js/route-service.js',
+    '/js/route-worker.js',
     '/js/sw-register.js',
     '/manifest.json'
 ];
 
-const TILE_CACHE = 'geocache-tiles-v1';
+// Tiles used to be kept in this Cache API cache; they now live in TileStore
+const LEGACY_TILE_CACHE = 'geocache-tiles-v1';
 
 // Offline tile placeholder
 const OFFLINE_TILE_SVG = '<svg width="256" height="256" xmlns="http://www.w3.org/2000/svg"><rect width="256" height="256" fill="#f0f0f0"/><text x="128" y="128" text-anchor="middle" font-family="Arial" font-size="16" fill="#999">Offline</text></svg>';
@@ -55,7 +79,7 @@ self.addEventListener('activate', (event) => {
                 return Promise.all(
                     cacheNames
                         .filter((name) => {
-                            return name !== CACHE_VERSION && name !== TILE_CACHE;
+                            return name !== CACHE_VERSION && name !== LEGACY_TILE_CACHE;
                         })
                         .map((name) => {
                             console.log('Deleting old cache:', name);
@@ -63,6 +87,10 @@ self.addEventListener('activate', (event) => {
                         })
                 );
             })
+            .then(() => migrateLegacyTiles())
+            .then(() => TileStore.evict().catch((error) => {
+                console.warn('Tile eviction failed:', error);
+            }))
             .then(() => {
                 console.log('Service Worker activated');
                 return self.clients.claim();
@@ -78,8 +106,7 @@ self.addEventListener('fetch', (event) => {
     const url = new URL(request.url);
 
     // Handle map tiles separately - exact hostname match for security
-    if (url.hostname === 'tile.openstreetmap.org' || 
-        url.hostname.endsWith('.tile.openstreetmap.org')) {
+    if (TileStore.isTileUrl(request.url)) {
         event.respondWith(handleTileRequest(request));
         return;
     }
@@ -98,29 +125,18 @@ self.addEventListener('fetch', (event) => {
 
 /**
  * Handle map tile requests
- * Strategy: Cache first, then network
+ * Strategy: Tile store first (shared with area downloads), then network
  */
 async function handleTileRequest(request) {
     try {
-        // Try cache first
-        const cache = await caches.open(TILE_CACHE);
-        const cachedResponse = await cache.match(request);
-
-        if (cachedResponse) {
-            return cachedResponse;
-        }
-
-        // Not in cache, fetch from network
-        const networkResponse = await fetch(request);
-
-        // Cache the tile for future use
-        if (networkResponse.ok) {
-            cache.put(request, networkResponse.clone());
-        }
-
-        return networkResponse;
+        return await TileStore.fetchTile(request.url);
     } catch (error) {
         console.error('Tile fetch error:', error);
+
+        // Vector tiles are decoded on the page, not shown; report them missing
+        if (TileStore.parseTileUrl(request.url).source === 'vector') {
+            return new Response(null, { status: 504, statusText: 'Offline' });
+        }
         
         // Return a placeholder tile if offline
         return new Response(OFFLINE_TILE_SVG, {
@@ -129,6 +145,32 @@ async function handleTileRequest(request) {
     }
 }
 
+/**
+ * Move tiles cached by older versions into the tile store
+ */
+async function migrateLegacyTiles() {
+    try {
+        if (!(await caches.has(LEGACY_TILE_CACHE))) {
+            return;
+        }
+
+        const cache = await caches.open(LEGACY_TILE_CACHE);
+        const requests = await cache.keys();
+
+        for (const request of requests) {
+            const response = await cache.match(request);
+            if (response && response.ok && TileStore.isTileUrl(request.url)) {
+                await TileStore.put(request.url, await response.blob());
+            }
+        }
+
+        await caches.delete(LEGACY_TILE_CACHE);
+        console.log(`Moved ${requests.length} cached tiles to the tile store`);
+    } catch (error) {
+        console.error('Tile migration failed:', error);
+    }
+}
+
 /**
  * Handle external resources (Leaflet, fonts, etc.)
  * Strategy: Network first, then cache
@@ -203,6 +245,32 @@ async function handleAppResource(request) {
     }
 }
 
+/**
+ * Messages from pages - region downloads run here so they survive page reloads
+ */
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    switch (message.type) {
+        case 'download-resume':
+            event.waitUntil(DownloadQueue.pump());
+            break;
+        case 'download-cancel':
+            event.waitUntil(DownloadQueue.cancel(message.jobId));
+            break;
+    }
+});
+
+/**
+ * Forward download progress to every open page
+ */
+DownloadQueue.subscribe(async (progress) => {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach((client) => {
+        client.postMessage({ type: 'download-progress', progress });
+    });
+});
+
 /**
  * Background sync for failed requests (future enhancement)
  */